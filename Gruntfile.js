@@ -9,8 +9,16 @@ module.exports = function(grunt) {
 		sourceNames: ['__prologue__',
 			'utilities',
 			'Element', ///////////////////////////////////////////////////////////////////// Core
+			'EvaluationCache',
+			'WorkerPool',
 			'Problem',
+			'Termination',
+			'HallOfFame',
+			'indicators',
 			'Metaheuristic',
+			'elements/PermutationElement', ///////////////////////////////////////////// Elements
+			'elements/VariableLengthElement',
+			'elements/ExpressionElement',
 			'metaheuristics/HillClimbing', /////////////////////////////////////// Metaheuristics
 			'metaheuristics/GeneticAlgorithm',
 			'metaheuristics/BeamSearch',
@@ -21,11 +29,20 @@ module.exports = function(grunt) {
 			'metaheuristics/HarmonySearch',
 			'metaheuristics/DistributionEstimation',
 			'metaheuristics/GradientDescent',
+			'metaheuristics/IslandModel',
+			'metaheuristics/Pipeline',
+			'metaheuristics/Restarts',
+			'metaheuristics/NSGA2',
+			'metaheuristics/NSGA3',
+			'metaheuristics/MOEAD',
+			'metaheuristics/SPEA2',
 			'problems/HelloWorld', ///////////////////////////////////////////////////// Problems
 			'problems/testbeds',
 			'problems/NQueensPuzzle',
 			'problems/KnapsackProblem',
 			'problems/associationRules',
+			'problems/geneticProgramming',
+			'problems/ParameterTuningProblem',
 			'__epilogue__'],
 		deps: [
 			{ id: 'creatartis-base', name: 'base' },
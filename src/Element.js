@@ -50,20 +50,109 @@ var Element = exports.Element = declare({
 		return Array.prototype.slice.call(this.__values__);
 	},
 
-	/** The default element `model` defines 10 dimensions with 2^32 values. Please override.
+	/** The element `model` defines the dimensions of the elements' `values`. Each dimension may be:
+
+	+ `{ n }`: an integer in the range [0, n). This is the default type.
+
+	+ `{ type: 'integer', min, max }`: an integer in the range [min, max].
+
+	+ `{ type: 'real', min, max }`: a real number in the range [min, max].
+
+	+ `{ type: 'categorical', values }`: an index of the given `values` array, which are treated
+		as unordered categories. An `n` may be given instead of the `values` array.
+
+	+ `{ type: 'boolean' }`: either 0 (false) or 1 (true).
+
+	Models with real or negative dimensions are stored in a `Float64Array` (see `Problem`).
+
+	The default element `model` defines 10 dimensions with 128 values. Please override.
 	*/
 	model: Iterable.repeat({ n: 128 }, 10).toArray(),
 
-	/** Random values are integers within the range defined by the element's model.
+	/** `dimensionType(i)` returns the type of the dimension `i` of the model, which is `'integer'`
+	by default.
+	*/
+	dimensionType: function dimensionType(i) {
+		return this.model[i].type || 'integer';
+	},
+
+	/** `isContinuous(i)` tells if the dimension `i` of the model holds real values.
+	*/
+	isContinuous: function isContinuous(i) {
+		return this.dimensionType(i) === 'real';
+	},
+
+	/** `isNominal(i)` tells if the values of the dimension `i` of the model have no meaningful
+	order, like categorical and boolean dimensions.
+	*/
+	isNominal: function isNominal(i) {
+		var type = this.dimensionType(i);
+		return type === 'categorical' || type === 'boolean';
+	},
+
+	/** `valueRange(i)` returns an array with the minimum and maximum values (both inclusive) for
+	the dimension `i` of the model.
+	*/
+	valueRange: function valueRange(i) {
+		var model = this.model[i];
+		switch (this.dimensionType(i)) {
+			case 'integer': return model.hasOwnProperty('n') ? [0, model.n - 1] :
+				[Math.ceil(model.min), Math.floor(model.max)];
+			case 'real': return [+model.min, +model.max];
+			case 'categorical': return [0, (model.values ? model.values.length : model.n) - 1];
+			case 'boolean': return [0, 1];
+			default: raise("Unknown type ", model.type, " for dimension #", i, "!");
+		}
+	},
+
+	/** `coerceValue(value, i)` forces the `value` to fit the dimension `i` of the model.
+	*/
+	coerceValue: function coerceValue(value, i) {
+		var range = this.valueRange(i);
+		if (isNaN(value)) {
+			return range[0];
+		}
+		value = clamp(value, range[0], range[1]);
+		return this.isContinuous(i) ? value : Math.floor(value);
+	},
+
+	/** Random values are uniformly distributed within the range defined by the element's model.
+	Discrete dimensions always get integer values.
 	*/
 	randomValue: function randomValue(i) {
-		return this.problem.random.randomInt(0, this.model[i].n) |0;
+		var range = this.valueRange(i),
+			random = this.problem.random;
+		return this.isContinuous(i) ? random.random(range[0], range[1]) :
+			random.randomInt(range[0], range[1] + 1) |0;
+	},
+
+	/** `mutatedValue(i, random=problem.random, ratio=1)` returns a random variation of the value of
+	this element in the dimension `i`. Nominal dimensions get a different value chosen at random.
+	Ordered dimensions get a deviation with a triangular distribution, as wide as the dimension's
+	range times the given `ratio`.
+	*/
+	mutatedValue: function mutatedValue(i, random, ratio) {
+		random = random || this.problem.random;
+		ratio = isNaN(ratio) ? 1 : +ratio;
+		var value = this.__values__[i],
+			range = this.valueRange(i),
+			other;
+		if (this.isNominal(i)) {
+			if (range[1] <= range[0]) {
+				return value;
+			}
+			other = random.randomInt(range[0], range[1]);
+			return other >= value ? other + 1 : other;
+		} else {
+			return this.coerceValue(value + (random.random() - random.random()) * ratio *
+				(range[1] - range[0] + (this.isContinuous(i) ? 0 : 1)), i);
+		}
 	},
 
 	randomValues: function randomValues() {
-		var random = this.problem.random;
-		return new this.ArrayType(this.model.map(function (model) {
-			return random.randomInt(0, model.n) |0;
+		var element = this;
+		return new this.ArrayType(this.model.map(function (model, i) {
+			return element.randomValue(i);
 		}));
 	},
 
@@ -72,21 +161,29 @@ var Element = exports.Element = declare({
 	element's model.
 	*/
 	checkValues: function checkValues(values, coerce) {
+		var element = this;
 		return new this.ArrayType(this.model.map(function (model, i) {
-			var v = values[i],
-				n = model.n;
-			if (isNaN(v)) {
-				raiseIf(!coerce, "Value #", i, " (", v, ") is NaN!");
-				return 0;
-			}
-			if (v < 0 || v >= n) {
-				raiseIf(!coerce, "Value #", i, " (", v, ") is out of range [0,", n-1, "]!");
-				return v < 0 ? 0 : n - 1;
-			}
-			return v;
+			return element.checkValue(values[i], i, coerce);
 		}));
 	},
 
+	/** `checkValue(value, i, coerce)` checks a single `value` for the dimension `i` of the model,
+	the same way `checkValues` does.
+	*/
+	checkValue: function checkValue(value, i, coerce) {
+		var range = this.valueRange(i);
+		if (isNaN(value)) {
+			raiseIf(!coerce, "Value #", i, " (", value, ") is NaN!");
+			return range[0];
+		}
+		if (value < range[0] || value > range[1]) {
+			raiseIf(!coerce, "Value #", i, " (", value, ") is out of range [", range[0], ",",
+				range[1], "]!");
+			return value < range[0] ? range[0] : range[1];
+		}
+		return this.isContinuous(i) ? value : Math.floor(value);
+	},
+
 	/** Whether this element is an actual solution or not is decided by `suffices()`, which is
 	delegated to `Problem.sufficientElement` by default.
 	*/
@@ -106,13 +203,27 @@ var Element = exports.Element = declare({
 	/** The element's `evaluation` is calculated by `evaluate()`, which assigns and returns this
 	array of numbers. It may return a promise if the evaluation has to be done asynchronously. This
 	can be interpreted as the solution's cost in a search problem or the target function of an
-	optimization problem.
+	optimization problem. If the problem has an `evaluationCache`, it is used to get and store the
+	evaluation. If the problem has an `evaluator` or a `workerPool`, the evaluation is delegated to
+	it.
 	*/
 	evaluate: function evaluate() {
-		var elem = this;
-		return Future.then(this.problem.evaluation(this), function (e) {
+		var elem = this,
+			cache = this.problem.evaluationCache,
+			cached = cache && cache.get(this.__values__);
+		if (cached) {
+			this.evaluation = cached;
+			return this.evaluation;
+		}
+		this.problem.evaluationCount++;
+		var evaluator = this.problem.evaluator || this.problem.workerPool,
+			evaluation = evaluator ? evaluator.evaluation(this) : this.problem.evaluation(this);
+		return Future.then(evaluation, function (e) {
 			elem.evaluation = e;
 			raiseIf(elem.evaluation === null, 'The evaluation of ', elem, ' is null!');
+			if (cache) {
+				cache.set(elem.__values__, elem.evaluation);
+			}
 			return elem.evaluation;
 		});
 	},
@@ -167,6 +278,28 @@ var Element = exports.Element = declare({
 		return length === 0 ? 0 : Math.sqrt(error / length);
 	},
 
+	/** `violations()` returns an array with how much this element violates each of the problem's
+	constraints (see `Problem.violations`). The result is calculated only once.
+	*/
+	violations: function violations() {
+		if (!this.__violations__) {
+			this.__violations__ = this.problem.violations(this);
+		}
+		return this.__violations__;
+	},
+
+	/** `violation()` returns the total violation of the problem's constraints by this element.
+	*/
+	violation: function violation() {
+		return iterable(this.violations()).sum();
+	},
+
+	/** An element `isFeasible()` if it does not violate any of the problem's constraints.
+	*/
+	isFeasible: function isFeasible() {
+		return this.violation() === 0;
+	},
+
 	/** Finding out if this element is better than other uses the problem's `compare` method.
 	*/
 	isBetterThan: function isBetterThan(other) {
@@ -176,25 +309,36 @@ var Element = exports.Element = declare({
 	// ## Expansions ###############################################################################
 
 	/** An element's `neighbourhood` is a set of new elements, with values belonging to the n
-	dimensional ball around this element's values with the given `radius` (1 by default).
+	dimensional ball around this element's values with the given `radius` (1 by default). The
+	`radius` may also be an array with a different radius for each dimension. For nominal
+	dimensions (e.g. categorical) all other values are considered neighbours.
 	*/
 	neighbourhood: function neighbourhood(radius) {
 		var neighbours = [],
-			model = this.model,
 			values = this.__values__,
-			d = Math.abs(Array.isArray(radius) ? radius[i] : radius),
-			n, value;
-		if (isNaN(d)) {
-			d = 1;
-		}
+			d, range, value;
 		for (var i = 0, len = values.length; i < len; i++) {
 			value = values[i];
-			n = model[i].n;
-			if (value > 0) {
-				neighbours.push(this.modification(i, Math.max(0, value - d)));
-			}
-			if (value < n - 1) {
-				neighbours.push(this.modification(i, Math.min(n - 1, value + d)));
+			range = this.valueRange(i);
+			if (this.isNominal(i)) { // Nominal dimensions have all other values as neighbours.
+				for (var v = range[0]; v <= range[1]; v++) {
+					if (v !== value) {
+						neighbours.push(this.modification(i, v));
+					}
+				}
+			} else {
+				d = Math.abs(Array.isArray(radius) ? radius[i] : radius);
+				if (isNaN(d)) {
+					d = 1;
+				} else if (!this.isContinuous(i)) {
+					d = Math.max(1, Math.floor(d)); // Discrete dimensions move at least one unit.
+				}
+				if (value > range[0]) {
+					neighbours.push(this.modification(i, Math.max(range[0], value - d)));
+				}
+				if (value < range[1]) {
+					neighbours.push(this.modification(i, Math.min(range[1], value + d)));
+				}
 			}
 		}
 		return neighbours;
@@ -209,7 +353,7 @@ var Element = exports.Element = declare({
 			pos;
 		for (var i = 0; i < arguments.length; i += 2) {
 			pos = arguments[i] |0;
-			newValues[pos] = clamp(arguments[i + 1], 0, this.model[i].n - 1);
+			newValues[pos] = this.coerceValue(arguments[i + 1], pos);
 		}
 		return new this.constructor(newValues);
 	},
@@ -227,13 +371,15 @@ var Element = exports.Element = declare({
 	*/
 	rangeMapping: function rangeMapping() {
 		var args = arguments,
-			model = this.model,
+			element = this,
 			lastRange = args[args.length - 1];
 		raiseIf(args.length < 1, "Element.rangeMapping() expects at least one argument!");
 		return Array.prototype.map.call(this.__values__, function (v, i) {
-			var n = model[i].n,
+			var range = element.valueRange(i),
+				span = element.isContinuous(i) ? range[1] - range[0] : range[1] - range[0] + 1,
 				rangeTo = args.length > i ? args[i] : lastRange;
-			v = v / n * (rangeTo[1] - rangeTo[0]) + rangeTo[0];
+			v = span > 0 ? (v - range[0]) / span : 0;
+			v = v * (rangeTo[1] - rangeTo[0]) + rangeTo[0];
 			return clamp(v, rangeTo[0], rangeTo[1]);
 		});
 	},
@@ -250,17 +396,32 @@ var Element = exports.Element = declare({
 	*/
 	arrayMapping: function arrayMapping() {
 		var args = arguments,
-			lastItems = args[args.length - 1],
-			model = this.model;
+			lastItems = args[args.length - 1];
 		raiseIf(args.length < 1, "Element.arrayMapping() expects at least one argument!");
-		return Array.prototype.map.call(this.__values__, function (v, i) {
+		return this.normalizedValues().map(function (v, i) {
 			var items = args.length > i ? args[i] : lastItems,
-				n = model[i].n,
-				index = Math.floor(v / n * items.length);
+				index = Math.min(items.length - 1, Math.floor(v * items.length));
 			return items[index];
 		});
 	},
 
+	/** A typed mapping builds an array of equal length of this element's `values`, translating
+	each value according to the type of its dimension in the model: categorical values are replaced
+	by the corresponding item in the model's `values`, and boolean values are converted to `true`
+	or `false`.
+	*/
+	typedMapping: function typedMapping() {
+		var element = this;
+		return this.values().map(function (v, i) {
+			var model = element.model[i];
+			switch (element.dimensionType(i)) {
+				case 'categorical': return model.values ? model.values[v] : v;
+				case 'boolean': return !!v;
+				default: return v;
+			}
+		});
+	},
+
 	/** A set mapping builds an array of equal length of this element's `values`. Each value is
 	used to select one item. Items are not selected more than once.
 	*/
@@ -287,20 +448,24 @@ var Element = exports.Element = declare({
 		return new this.constructor(this.__values__, this.evaluation);
 	},
 
-	/** Two elements can be compared with `equals(other)`. It checks if the other element has the
-	same values and constructor than this one.
+	/** Two elements can be compared with `equals(other, precision=0)`. It checks if the other
+	element has the same constructor than this one, and the same number of values with differences
+	not greater than `precision`.
 	*/
-	equals: function equals(other) {
-		if (this.constructor === other.constructor &&
-				this.__values__.length === other.__values__.length) {
-			for (var i = 0, len = this.__values__.length; i < len; i++) {
-				if (this.__values__[i] !== other.__values__[i]) {
-					return false;
-				}
+	equals: function equals(other, precision) {
+		precision = +precision || 0;
+		var values1 = this.__values__,
+			values2 = other.__values__,
+			len = values1.length;
+		if (this.constructor !== other.constructor || len !== values2.length) {
+			return false;
+		}
+		for (var i = 0; i < len; i++) {
+			if (values1[i] !== values2[i] && !(Math.abs(values1[i] - values2[i]) <= precision)) {
+				return false;
 			}
-			return true;
 		}
-		return false;
+		return true;
 	},
 
 	/** The default string representation of an Element is its Sermat serialization.
@@ -309,15 +474,27 @@ var Element = exports.Element = declare({
 		return Sermat.ser(this);
 	},
 
-	/** Serialization and materialization using Sermat.
+	/** Serialization and materialization using Sermat. The self-adaptive parameters of the
+	element are included, if it has any (see `Metaheuristic.inheritedParameters`).
 	*/
 	'static __SERMAT__': {
 		identifier: 'Element',
 		serializer: function serialize_Element(obj) {
-			return [obj.problem, obj.values(), obj.evaluation];
+			var args = [obj.problem, obj.values(), obj.evaluation];
+			if (obj.__parameters__) {
+				args.push(obj.__parameters__);
+			}
+			return args;
 		},
 		materializer: function materialize_Element(obj, args) {
-			return !args ? null : new args[0].Element(args[1], args[2]);
+			if (!args) {
+				return null;
+			}
+			var element = new args[0].Element(args[1], args[2]);
+			if (args[3]) {
+				element.__parameters__ = args[3];
+			}
+			return element;
 		}
 	}
 }); // declare Element.
@@ -0,0 +1,169 @@
+﻿/** # Evaluation cache
+
+An `EvaluationCache` remembers the evaluations of elements by their values, so elements with the
+same values as others already evaluated do not have to be evaluated again. It is useful when
+evaluations are expensive, and the metaheuristics tend to revisit candidate solutions (e.g.
+`HillClimbing`, `BeamSearch` or `GeneticAlgorithm` in discrete problems). It should not be used if
+the evaluation of an element does not depend only on its values.
+*/
+var EvaluationCache = exports.EvaluationCache = declare({
+	/** The constructor takes the following parameters:
+	*/
+	constructor: function EvaluationCache(params) {
+		params = params || {};
+		initialize(this, params)
+			/** + `size=10000` is the maximum amount of evaluations kept in the cache. When it is
+			exceeded, the least recently used evaluations are forgotten.
+			*/
+			.integer('size', { defaultValue: 10000, coerce: true, minimum: 1 })
+			/** + `path` is the file where the cache is persisted (see `save` and `load`). If the
+			file exists, the cache is loaded from it.
+			*/
+			.string('path', { ignore: true })
+			/** + `entries` is an array of pairs `[values, evaluation]` to fill the cache with.
+			*/
+			.array('entries', { ignore: true });
+		this.clear();
+		if (this.entries) {
+			this.entries.forEach(function (entry) {
+				this.set(entry[0], entry[1]);
+			}, this);
+			delete this.entries;
+		}
+		if (this.path && this.__fs__().existsSync(this.path)) {
+			this.load();
+		}
+	},
+
+	/** `clear()` removes all evaluations from the cache, and resets the `hits` and `misses`
+	counters.
+	*/
+	clear: function clear() {
+		this.__buckets__ = new Map();
+		this.length = 0;
+		this.hits = 0;
+		this.misses = 0;
+	},
+
+	/** `EvaluationCache.hash(values)` is a fast hash function for arrays of numbers, based on the
+	[FNV-1a](http://www.isthe.com/chongo/tech/comp/fnv/) algorithm applied to the 64 bits floating
+	point representation of each value.
+	*/
+	'static hash': (function () {
+		var float64 = new Float64Array(1),
+			uint32 = new Uint32Array(float64.buffer);
+		return function hash(values) {
+			var h = 0x811C9DC5 ^ values.length;
+			for (var i = 0, len = values.length; i < len; i++) {
+				float64[0] = values[i];
+				h = Math.imul(h ^ uint32[0], 0x01000193);
+				h = Math.imul(h ^ uint32[1], 0x01000193);
+			}
+			return h >>> 0;
+		};
+	})(),
+
+	/** `__entry__(bucket, values)` finds the entry with the given `values` in a `bucket` of
+	entries with the same hash, or returns `null` if there is none.
+	*/
+	__entry__: function __entry__(bucket, values) {
+		var len = values.length,
+			entryValues, i;
+		for (var j = 0; j < bucket.length; j++) {
+			entryValues = bucket[j][0];
+			if (entryValues.length === len) {
+				i = 0;
+				while (i < len && entryValues[i] === values[i]) {
+					i++;
+				}
+				if (i === len) {
+					return bucket[j];
+				}
+			}
+		}
+		return null;
+	},
+
+	/** `get(values)` returns a copy of the evaluation for the given `values`, or `undefined` if it
+	is not in the cache. The evaluation becomes the most recently used, and the `hits` or `misses`
+	counters are updated.
+	*/
+	get: function get(values) {
+		var key = EvaluationCache.hash(values),
+			bucket = this.__buckets__.get(key),
+			entry = bucket && this.__entry__(bucket, values);
+		if (entry) {
+			this.__buckets__.delete(key); // Move to the end of the LRU order.
+			this.__buckets__.set(key, bucket);
+			this.hits++;
+			return entry[1].slice();
+		} else {
+			this.misses++;
+			return undefined;
+		}
+	},
+
+	/** `set(values, evaluation)` stores the `evaluation` for the given `values`, as the most
+	recently used. If the cache's `size` is exceeded, the least recently used evaluations are
+	removed.
+	*/
+	set: function set(values, evaluation) {
+		var key = EvaluationCache.hash(values),
+			buckets = this.__buckets__,
+			bucket = buckets.get(key) || [],
+			entry = this.__entry__(bucket, values);
+		evaluation = Array.isArray(evaluation) ? evaluation.slice() : [+evaluation];
+		if (entry) {
+			entry[1] = evaluation;
+		} else {
+			bucket.push([Array.prototype.slice.call(values), evaluation]);
+			this.length++;
+		}
+		buckets.delete(key);
+		buckets.set(key, bucket);
+		while (this.length > this.size) {
+			key = buckets.keys().next().value;
+			this.length -= buckets.get(key).length;
+			buckets.delete(key);
+		}
+	},
+
+	/** `toArray()` returns all pairs `[values, evaluation]` in the cache, from the least to the most
+	recently used.
+	*/
+	toArray: function toArray() {
+		var result = [];
+		this.__buckets__.forEach(function (bucket) {
+			result.push.apply(result, bucket);
+		});
+		return result;
+	},
+
+	// ## Persistence ##############################################################################
+
+	/** Persisting the cache requires Node's `fs` module, hence it is not available in browsers.
+	*/
+	__fs__: function __fs__() {
+		raiseIf(typeof require !== 'function', "Evaluation cache persistence is not available!");
+		return require('fs');
+	},
+
+	/** `save(path=this.path)` writes all the cache's evaluations to the file at `path`, using
+	Sermat.
+	*/
+	save: function save(path) {
+		path = path || this.path;
+		raiseIf(!path, "No path to save the evaluation cache to!");
+		this.__fs__().writeFileSync(path, Sermat.ser(this.toArray()), 'utf8');
+	},
+
+	/** `load(path=this.path)` adds to the cache all the evaluations in the file at `path`.
+	*/
+	load: function load(path) {
+		path = path || this.path;
+		raiseIf(!path, "No path to load the evaluation cache from!");
+		Sermat.mat(this.__fs__().readFileSync(path, 'utf8')).forEach(function (entry) {
+			this.set(entry[0], entry[1]);
+		}, this);
+	}
+}); // declare EvaluationCache.
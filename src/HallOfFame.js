@@ -0,0 +1,118 @@
+﻿/** # Hall of fame
+
+Many metaheuristics replace their state at every step, so the best element of the last step (the
+result of a run) may be worse than others found earlier (e.g. `SimulatedAnnealing` or
+`ParticleSwarm`). A `HallOfFame` is an archive of the best distinct elements seen during a run,
+along with the step each one was found at. In multi-objective problems it keeps the non-dominated
+elements instead, i.e. an approximation of the Pareto front.
+*/
+var HallOfFame = exports.HallOfFame = declare({
+	/** The constructor takes the following parameters:
+	*/
+	constructor: function HallOfFame(params) {
+		params = params || {};
+		initialize(this, params)
+			/** + `size=10` is the maximum amount of elements kept in the archive.
+			*/
+			.integer('size', { defaultValue: 10, coerce: true, minimum: 1 })
+			/** + `precision=0` is used to check if two elements are equal (see `Element.equals`).
+			Only distinct elements are kept.
+			*/
+			.number('precision', { defaultValue: 0, coerce: true })
+			/** + `entries` are the objects `{ element, step }` in the archive, sorted from best to
+			worst in single-objective problems.
+			*/
+			.array('entries', { defaultValue: [] });
+	},
+
+	/** `clear()` removes all entries from the archive.
+	*/
+	clear: function clear() {
+		this.entries = [];
+	},
+
+	/** `elements()` returns an array with the elements in the archive.
+	*/
+	elements: function elements() {
+		return this.entries.map(function (entry) {
+			return entry.element;
+		});
+	},
+
+	/** `best()` returns the best element in the archive, or `undefined` if it is empty.
+	*/
+	best: function best() {
+		return this.entries.length > 0 ? this.entries[0].element : undefined;
+	},
+
+	/** `includes(element)` checks if the archive has an element equal to the given one.
+	*/
+	includes: function includes(element) {
+		var precision = this.precision;
+		return this.entries.some(function (entry) {
+			return entry.element.equals(element, precision);
+		});
+	},
+
+	/** `update(elements, step, problem)` adds the evaluated `elements` that are good enough to the
+	archive, as found at the given `step`. Elements are compared with the `problem`'s `compare`
+	method.
+	*/
+	update: function update(elements, step, problem) {
+		var multiObjective = problem.objectives.length > 1;
+		elements.forEach(function (element) {
+			if (element.evaluation && !this.includes(element)) {
+				if (multiObjective) {
+					this.__updateParetoFront__(element, step, problem);
+				} else {
+					this.__updateRanking__(element, step, problem);
+				}
+			}
+		}, this);
+		return this;
+	},
+
+	/** In single-objective problems, an element enters the archive if it is better than the worst
+	entry, or if the archive is not full. Elements evaluated equally keep the order they were found.
+	*/
+	__updateRanking__: function __updateRanking__(element, step, problem) {
+		var entries = this.entries,
+			i = entries.length;
+		while (i > 0 && problem.compare(element, entries[i - 1].element) > 0) {
+			i--;
+		}
+		if (i < this.size) {
+			entries.splice(i, 0, { element: element, step: step });
+			if (entries.length > this.size) {
+				entries.pop();
+			}
+		}
+	},
+
+	/** In multi-objective problems, an element enters the archive if no entry dominates it, and
+	removes the entries it dominates. If the archive is full, non-dominated elements only enter by
+	displacing the entries they dominate.
+	*/
+	__updateParetoFront__: function __updateParetoFront__(element, step, problem) {
+		var isDominated = this.entries.some(function (entry) {
+			return problem.compare(element, entry.element).domination < 0;
+		});
+		if (!isDominated) {
+			this.entries = this.entries.filter(function (entry) {
+				return !(problem.compare(element, entry.element).domination > 0);
+			});
+			if (this.entries.length < this.size) {
+				this.entries.push({ element: element, step: step });
+			}
+		}
+	},
+
+	/** Serialization and materialization using Sermat.
+	*/
+	'static __SERMAT__': {
+		identifier: 'HallOfFame',
+		serializer: function serialize_HallOfFame(obj) {
+			return [{ size: obj.size, precision: obj.precision, entries: obj.entries }];
+		}
+	}
+}); // declare HallOfFame.
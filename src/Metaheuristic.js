@@ -39,7 +39,76 @@ var Metaheuristic = exports.Metaheuristic = declare({
 		/** Metaheuristic's runs usually gather `statistics` about the process.
 		*/
 			.object('statistics', { defaultValue: new Statistics() })
+		/** The `termination` criterion decides when the run finishes (see `Termination`). By
+		default it is `Termination.steps().or(Termination.sufficientElements())`, i.e. the run
+		finishes after `steps` iterations or when the problem's `sufficientElements` is met.
+		*/
+			.object('termination', { ignore: true })
+		/** The `seed` is an array of elements to start the run with, instead of random ones (see
+		`initiate`).
+		*/
+			.array('seed', { ignore: true })
+		/** The `hypervolumeReference` is the point (an evaluation) that bounds the hypervolume of
+		multi-objective runs (see `qualityIndicators`).
+		*/
+			.array('hypervolumeReference', { ignore: true })
 			.object('logger', { ignore: true });
+		/** The `hallOfFame` keeps the best elements found during the run (see `HallOfFame`). It
+		may be a `HallOfFame`, its parameters, or the amount of elements to keep. By default it
+		keeps 10 elements. It can be disabled with `false` or 0.
+		*/
+		var hallOfFame = params && params.hallOfFame;
+		if (hallOfFame === false || hallOfFame === 0 || hallOfFame === null) {
+			this.hallOfFame = null;
+		} else {
+			this.hallOfFame = hallOfFame instanceof HallOfFame ? hallOfFame :
+				new HallOfFame(typeof hallOfFame === 'number' ? { size: hallOfFame } :
+					hallOfFame === true ? {} : hallOfFame);
+		}
+		/** The memetic mode refines the new elements of every update with a `localSearch` (see
+		`refine`). It is enabled by giving a `localSearch(element, budget)` function, which may be
+		one of `Metaheuristic.localSearches` or a user function (or its operator reference).
+		*/
+		if (params && params.localSearch) {
+			this.localSearch = operatorFromReference(params.localSearch);
+		}
+		initialize(this, params)
+		/** The `localSearchBudget` is the maximum amount of evaluations the local search can do for
+		every element (10 by default).
+		*/
+			.integer('localSearchBudget', { defaultValue: 10, coerce: true, minimum: 0 })
+		/** The `localSearchMode` may be `'lamarckian'` (by default) or `'baldwinian'`.
+		*/
+			.string('localSearchMode', { defaultValue: 'lamarckian', coerce: true });
+		raiseIf(this.localSearchMode !== 'lamarckian' && this.localSearchMode !== 'baldwinian',
+			"Unknown local search mode ", this.localSearchMode, "!");
+		/** The values of some parameters may change during the run, as given by the
+		`parameterControls` object, which has a control function by parameter name (see
+		`controlParameters`). These may be the ones in `Metaheuristic.parameterControls` or user
+		functions (or their operator references).
+		*/
+		if (params && params.parameterControls) {
+			this.parameterControls = iterable(params.parameterControls)
+				.mapApply(function (name, control) {
+					return [name, operatorFromReference(control)];
+				}).toObject();
+		}
+		initialize(this, params)
+		/** The `initialParameters` are the values of the controlled parameters before the run. By
+		default these are taken from the metaheuristic when the run starts.
+		*/
+			.object('initialParameters', { ignore: true })
+		/** The `successRate` of the last update is given when resuming a run (see
+		`updateSuccessRate`).
+		*/
+			.number('successRate', { ignore: true });
+		/** Some controls keep their own state between steps (e.g. the memory of
+		`Metaheuristic.parameterControls.successHistory`). This `controlState` is kept by the
+		metaheuristic by parameter name, so it is included in checkpoints.
+		*/
+		if (params && params.controlState) {
+			this.__controlState__ = params.controlState;
+		}
 		this.events = new Events({
 			events: ["initiated", "updated", "expanded", "evaluated", "sieved", "advanced", "analyzed", "finished"]
 		});
@@ -54,13 +123,16 @@ var Metaheuristic = exports.Metaheuristic = declare({
 	// ## Basic workflow ###########################################################################
 
 	/**	`initiate(size=this.size)` builds and initiates this metaheuristic state with size new
-	cursors. The elements are build using the `initial()` function.
+	cursors. The first elements are taken from the `seed`, if there is one, and the rest are built
+	with random values. It may return a future, if the initiation is asynchronous.
 	*/
 	initiate: function initiate(size) {
 		size = isNaN(size) ? this.size : +size || 0;
+		var seed = this.seed || [];
 		this.state = new Array(size);
 		for (var i = 0; i < size; i++) {
-			this.state[i] = new this.problem.Element(); // Element with random values.
+			this.state[i] = i < seed.length ? seed[i] :
+				new this.problem.Element(); // Element with random values.
 		}
 		this.onInitiate();
 	},
@@ -68,13 +140,18 @@ var Metaheuristic = exports.Metaheuristic = declare({
 	/** `update()` updates this metaheuristic's state. It assumes the state has been initialized.
 	The process may be asynchronous, so it returns a future. The default implementation first
 	expands the state by calling `expand()`, then evaluates the added elements by calling
-	`evaluate()`, and finally removes the worst elements with `sieve()`.
+	`evaluate()`, refines them if there is a `localSearch`, and finally removes the worst elements
+	with `sieve()`.
 	*/
 	update: function update() {
-		var mh = this;
-		this.expand();
-		return Future.then(this.evaluate(), function () {
+		var mh = this,
+			expansion = this.expansion();
+		this.expand(expansion);
+		return Future.then(Future.then(this.evaluate(), function () {
+			return mh.localSearch ? mh.refine(expansion) : expansion;
+		}), function (newElements) {
 			mh.sieve();
+			mh.updateSuccessRate(newElements);
 			mh.onUpdate();
 			return mh;
 		});
@@ -118,20 +195,31 @@ var Metaheuristic = exports.Metaheuristic = declare({
 		return Future.then(this.problem.evaluate(elements), function (results) {
 			elements = mh.sort(elements);
 			if (evalTime) evalTime.addTime();
+			mh.updateHallOfFame(elements);
 			mh.onEvaluate(results);
 			return elements;
 		});
 	},
 
-	/** `sort(elements)` TODO
+	/** `updateHallOfFame(elements)` adds the given evaluated elements to the `hallOfFame`, as found
+	at the step in progress. It is called by `evaluate`. Metaheuristics that evaluate elements
+	otherwise must call it themselves.
+	*/
+	updateHallOfFame: function updateHallOfFame(elements) {
+		if (this.hallOfFame) {
+			this.hallOfFame.update(elements, this.step < 0 ? 0 : this.step + 1, this.problem);
+		}
+	},
+
+	/** `sort(elements=this.state)` sorts the given elements from best to worst, with the problem's
+	`rank` in single-objective optimizations, or else with `multiObjectiveSort`.
 	*/
 	sort: function sort(elements) {
 		elements = elements || this.state;
 		if (this.problem.objectives.length > 1) { // Multi-objective optimization.
 			elements = this.multiObjectiveSort(elements);
 		} else { // Single-objective optimization.
-			elements.sort(this.problem.compare.bind(this.problem));
-			elements.reverse();
+			elements = this.problem.rank(elements);
 		}
 		return elements;
 	},
@@ -147,14 +235,20 @@ var Metaheuristic = exports.Metaheuristic = declare({
 		this.onSieve();
 	},
 
-	/** `finished()` termination criteria for this metaheuristic. By default it checks if the number
-	of passed iterations is not greater than `steps`.
+	/** `finished()` checks the `termination` criterion of this metaheuristic. The criterion that
+	is met, if any, is kept in `terminatedBy`.
 	*/
 	finished: function finished() {
-		return this.step >= this.steps || this.problem.sufficientElements(this.state);
+		this.terminatedBy = this.termination.check(this);
+		return !!this.terminatedBy;
 	},
 
-	/** `analyze()` updates the process' statistics.
+	termination: Termination.steps().or(Termination.sufficientElements()),
+	terminatedBy: null,
+
+	/** `analyze()` updates the process' statistics: the evaluations, the Pareto dominations and
+	quality indicators in multi-objective problems, the hits and misses of the problem's evaluation
+	cache, and the constraint violations in constrained problems.
 	*/
 	analyze: function analyze(statistics) {
 		statistics = statistics || this.statistics;
@@ -177,8 +271,47 @@ var Metaheuristic = exports.Metaheuristic = declare({
 					element.evaluation.forEach(function (v, i) {
 						stats_evaluation[i].add(v, element);
 					});
-					stat_dominators.add(element.pareto.dominators.length, element);
-					stat_dominated.add(element.pareto.dominated.length, element);
+					if (element.pareto) { // Some metaheuristics do not sort by Pareto dominance.
+						stat_dominators.add(element.pareto.dominators.length, element);
+						stat_dominated.add(element.pareto.dominated.length, element);
+					}
+				});
+				iterable(this.qualityIndicators()).forEachApply(function (name, value) {
+					statistics.add({ key:'indicator', name: name, step: step }, value);
+				});
+			}
+			if (this.problem.evaluationCache) { // Cache hits and misses since the last step.
+				var cache = this.problem.evaluationCache,
+					lastCounts = this.__cacheCounts__ || [cache.hits, cache.misses];
+				statistics.add({ key:'cache_hits', step: step }, cache.hits - lastCounts[0]);
+				statistics.add({ key:'cache_misses', step: step }, cache.misses - lastCounts[1]);
+				this.__cacheCounts__ = [cache.hits, cache.misses];
+			}
+			if (this.problem.constraints.length > 0) { // Constrained optimization.
+				var stat_violation = statistics.stat({ key:'violation', step: step }),
+					stat_feasible = statistics.stat({ key:'feasible', step: step }),
+					stats_constraint = this.problem.constraints.map(function (_, i) {
+						return statistics.stat({ key:'constraint_violation', index: i, step: step });
+					});
+				this.state.forEach(function (element) {
+					stat_violation.add(element.violation(), element);
+					stat_feasible.add(element.isFeasible() ? 1 : 0, element);
+					element.violations().forEach(function (v, i) {
+						stats_constraint[i].add(v, element);
+					});
+				});
+			}
+			if (this.parameterControls) { // Trajectories of the controlled parameters.
+				var mh = this;
+				iterable(this.parameterControls).forEachApply(function (name, control) {
+					var stat = statistics.stat({ key:'parameter', name: name, step: step });
+					if (typeof control.inherit === 'function') { // Self-adaptive parameters.
+						mh.state.forEach(function (element) {
+							stat.add(mh.parameter(name, element.__parameters__), element);
+						});
+					} else {
+						stat.add(mh[name]);
+					}
 				});
 			}
 			this.onAnalyze();
@@ -187,7 +320,8 @@ var Metaheuristic = exports.Metaheuristic = declare({
 	},
 
 	/** `advance()` performs one step of the optimization. If the process has not been initialized,
-	it does so. Returns a future if any step is asynchronous.
+	it does so. After each step the problem's constraint handling is adapted, if
+	`adaptsConstraintHandling` is true. Returns a future if any step is asynchronous.
 	*/
 	advance: function advance() {
 		var mh = this,
@@ -195,64 +329,656 @@ var Metaheuristic = exports.Metaheuristic = declare({
 			result;
 		if (isNaN(this.step) || +this.step < 0) {
 			this.reset();
+			this.controlParameters();
 			if (stepTime) stepTime.startTime();
-			this.initiate();
-			result = this.evaluate();
+			result = Future.then(this.initiate(), function () { // Initiation may be asynchronous.
+				return mh.evaluate();
+			});
 		} else {
+			this.controlParameters();
 			if (stepTime) stepTime.startTime();
 			result = this.update();
 		}
 		return Future.then(result, function () {
 			mh.step = isNaN(mh.step) || +mh.step < 0 ? 0 : +mh.step + 1;
 			mh.analyze(); // Calculate the state's stats after updating it.
+			if (mh.adaptsConstraintHandling) {
+				mh.problem.adaptConstraintHandling(mh.state, mh.step);
+			}
 			if (stepTime) stepTime.addTime();
 			mh.onAdvance();
 			return mh;
 		});
 	},
 
-	/** `run()` returns a future that is resolved when the whole search process is finished. The
-	value is the best cursor after the last step. It always returns a future.
+	/** Metaheuristics that run inside other ones (e.g. the islands of an `IslandModel`) must not
+	adapt the problem's constraint handling, since the outer metaheuristic does it once per step.
+	These have `adaptsConstraintHandling` set to false.
+	*/
+	adaptsConstraintHandling: true,
+
+	/** `run(signal)` returns a future that is resolved when the whole search process is finished.
+	The value is the best element found during the whole run (see `bestElement`), even if the last
+	state has lost it. It always returns a future. The archive of the best elements is also given
+	to the `finished` event along with the metaheuristic, and it is available as its `hallOfFame`.
+	The run can be paused, resumed and aborted (see `pause`, `resume` and `abort`). If an abort
+	`signal` is given (e.g. the `signal` of an `AbortController`), the run is aborted when the
+	signal is.
 	*/
-	run: function run() {
+	run: function run(signal) {
 		var mh = this,
-			advance = this.advance.bind(this),
-			continues = function continues() {
-				return !mh.finished();
-			};
-		return Future.doWhile(advance, continues).then(function () {
-			mh.onFinish();
-			return mh.state[0]; // Return the best cursor.
+			unlisten = this.__listen__(signal);
+		return Future.doWhile(function () {
+			return mh.__continues__().then(function (continues) {
+				return continues && Future.then(mh.advance(), function () {
+					return true;
+				});
+			});
+		}).always(unlisten).then(function () {
+			return mh.__finish__();
 		});
 	},
 
+	/** `__finish__()` concludes a run, persisting the problem's evaluation cache if it has a
+	`path` and emitting the `finished` event. Returns the best element found (see `bestElement`).
+	*/
+	__finish__: function __finish__() {
+		if (this.problem.evaluationCache && this.problem.evaluationCache.path) {
+			this.problem.evaluationCache.save(); // Persist the cache between runs.
+		}
+		this.onFinish();
+		return this.bestElement();
+	},
+
+	/** `bestElement()` returns the best element found so far: the best one in the `hallOfFame` if
+	it is better than the first element of the state, else the latter. In multi-objective
+	optimizations there is no single best in the archive, so the first element of the state is
+	returned.
+	*/
+	bestElement: function bestElement() {
+		var best = this.state[0],
+			archived = this.hallOfFame && this.problem.objectives.length === 1 ?
+				this.hallOfFame.best() : undefined;
+		if (archived && (!best || this.problem.compare(archived, best) > 0)) {
+			best = archived;
+		}
+		return best;
+	},
+
 	/** `reset()` reset the process to start over again. Basically cleans the statistics and sets
 	the current `step` to -1.
 	*/
 	reset: function reset() {
 		this.step = -1;
+		this.terminatedBy = null;
+		this.successRate = NaN;
+		this.termination.reset(this);
+		var cache = this.problem && this.problem.evaluationCache;
+		this.__cacheCounts__ = cache ? [cache.hits, cache.misses] : null;
 		if (this.statistics) this.statistics.reset();
+		if (this.hallOfFame) this.hallOfFame.clear();
+	},
+
+	// ## Memetic mode #############################################################################
+
+	/** [Memetic algorithms](https://en.wikipedia.org/wiki/Memetic_algorithm) combine population
+	based metaheuristics with local searches. `refine(elements)` applies the `localSearch` to the
+	given evaluated elements of the state (the new ones in every update), with a budget of
+	`localSearchBudget` evaluations for each one. With the `'lamarckian'` mode the elements are
+	replaced by the ones found by the local search. With the `'baldwinian'` mode the elements keep
+	their values, but take the evaluations of the ones found by the local search. Either way the
+	replacements keep the self-adaptive parameters of the original elements. The state is sorted
+	afterwards. Returns a future of the refined elements, i.e. the elements that replaced the given
+	ones in the state (or the given ones, if they were not replaced).
+	*/
+	refine: function refine(elements) {
+		var mh = this,
+			lamarckian = this.localSearchMode === 'lamarckian';
+		return Future.all(elements.map(function (element) {
+			return element.evaluation ? mh.localSearch(element, mh.localSearchBudget) : element;
+		})).then(function (refined) {
+			var replacements = refined.map(function (found, i) {
+				var element = elements[i],
+					index = mh.state.indexOf(element),
+					replacement = element;
+				if (found !== element && index >= 0) {
+					replacement = lamarckian ? found :
+						new element.constructor(element.__values__, found.evaluation);
+					if (!replacement.__parameters__) {
+						mh.inherit(replacement, element.__parameters__);
+					}
+					mh.state[index] = replacement;
+				}
+				return replacement;
+			});
+			mh.updateHallOfFame(refined);
+			mh.state = mh.sort(mh.state);
+			return replacements;
+		});
+	},
+
+	localSearch: null,
+
+	/** `Metaheuristic.localSearches` is a bundle of local search builders for the memetic mode. A
+	local search is called with the metaheuristic as `this`, and takes an evaluated `element` and
+	the maximum amount of evaluations it can do. It returns (or a future of) the best element it
+	finds, or the given element if it finds none better. Local searches only support
+	single-objective problems.
+	*/
+	'static localSearches': {
+		/** + `hillClimbing(delta=1)` moves to the best element in the neighbourhood (see
+		`Element.neighbourhood`) while it is better than the current one. If the neighbourhood is
+		larger than the remaining budget, a random sample of it is evaluated.
+		*/
+		hillClimbing: function hillClimbing(delta) {
+			delta = isNaN(delta) ? 1 : +delta;
+			var localSearch = function hillClimbingSearch(element, budget) {
+				var mh = this;
+				return (function climb(current, budget) {
+					var neighbours = current.neighbourhood(delta);
+					if (budget < 1 || neighbours.length < 1) {
+						return current;
+					} else if (neighbours.length > budget) {
+						neighbours = mh.random.choices(budget, neighbours);
+					}
+					return Future.then(mh.problem.evaluate(neighbours), function () {
+						var best = neighbours.reduce(function (best, neighbour) {
+							return neighbour.isBetterThan(best) ? neighbour : best;
+						}, current);
+						return best === current ? current : climb(best, budget - neighbours.length);
+					});
+				})(element, budget);
+			};
+			localSearch.__operator__ = ['Metaheuristic.localSearches.hillClimbing', delta];
+			return localSearch;
+		},
+
+		/** + `gradientDescent(delta=1, rate=1)` moves the element against its gradient (estimated
+		by finite differences of width `delta`, see `GradientDescent`) times the `rate`. If the
+		move does not lead to a better element, the rate is halved.
+		*/
+		gradientDescent: function gradientDescent(delta, rate) {
+			delta = isNaN(delta) ? 1 : +delta;
+			rate = isNaN(rate) ? 1 : +rate;
+			var localSearch = function gradientDescentSearch(element, budget) {
+				var mh = this,
+					gradientCost = 2 * element.__values__.length;
+				return (function descend(current, gradient, rate, budget) {
+					if (!gradient) {
+						return budget < gradientCost + 1 ? current : Future.then(
+							GradientDescent.prototype.gradientFiniteDifferences.call(mh, current, delta),
+							function (gradient) {
+								return descend(current, gradient, rate, budget - gradientCost);
+							});
+					} else if (budget < 1) {
+						return current;
+					}
+					var next = new current.constructor(gradient.map(function (g, i) {
+						return current.coerceValue(current.__values__[i] - g * rate, i);
+					}));
+					return Future.then(next.evaluate(), function () {
+						return next.isBetterThan(current) ? descend(next, null, rate, budget - 1) :
+							descend(current, gradient, rate / 2, budget - 1);
+					});
+				})(element, null, rate, budget);
+			};
+			localSearch.__operator__ = ['Metaheuristic.localSearches.gradientDescent', delta, rate];
+			return localSearch;
+		}
+	}, // Metaheuristic.localSearches
+
+	// ## Parameter control ########################################################################
+
+	/** Parameters like the `mutationRate` of `GeneticAlgorithm` may change during the run, which is
+	called [parameter control](https://doi.org/10.1109/4235.771166). A control is a function called
+	with the metaheuristic as `this`, and the `name` and `value` of the parameter, which returns the
+	new value of the parameter. `controlParameters()` calls the `parameterControls` before every
+	step. Before initiating the run (i.e. with a negative `step`), controls are called with the
+	`initialParameters`, so they can start over. Controls that need to keep some state between
+	steps must keep it in the metaheuristic's `__controlState__` object, by parameter name, and not
+	in the control function, since a control may be shared by many metaheuristics.
+
+	The trajectories of the controlled parameters are recorded in the `statistics`, with the key
+	`parameter` and the parameter's `name`.
+	*/
+	controlParameters: function controlParameters() {
+		var mh = this,
+			controls = this.parameterControls;
+		if (controls) {
+			if (this.step < 0 && !this.initialParameters) {
+				this.initialParameters = iterable(controls).mapApply(function (name) {
+					return [name, mh[name]];
+				}).toObject();
+			}
+			if (this.step < 0 || !this.__controlState__) {
+				this.__controlState__ = {};
+			}
+			iterable(controls).forEachApply(function (name, control) {
+				mh[name] = control.call(mh, name,
+					mh.step < 0 ? mh.initialParameters[name] : mh[name]);
+			});
+		}
+	},
+
+	parameterControls: null,
+	initialParameters: null,
+	__controlState__: null,
+
+	/** Some controls adapt the parameters to the `successRate`, the ratio of the new elements of
+	the last update that made it into the state. `updateSuccessRate(newElements)` is called by
+	`update` after sieving the state. Metaheuristics that update their state otherwise should call
+	it for these controls to work.
+	*/
+	updateSuccessRate: function updateSuccessRate(newElements) {
+		var state = this.state;
+		this.successRate = newElements.length < 1 ? NaN : newElements.filter(function (element) {
+			return state.indexOf(element) >= 0;
+		}).length / newElements.length;
+		return this.successRate;
+	},
+
+	successRate: NaN,
+
+	/** Self-adaptive parameters are encoded in the elements, in their `__parameters__` object.
+	Each new element inherits them from its parents with some random variation (see
+	`Metaheuristic.parameterControls.selfAdaptation`). `inheritedParameters(parents)` returns the
+	values of the self-adaptive parameters for a new element built from the given `parents`, or
+	null if there are none.
+	*/
+	inheritedParameters: function inheritedParameters(parents) {
+		var mh = this,
+			result = null;
+		iterable(this.parameterControls || {}).forEachApply(function (name, control) {
+			if (typeof control.inherit === 'function') {
+				result = result || {};
+				result[name] = control.inherit.call(mh, name, parents.map(function (parent) {
+					return mh.parameter(name, parent.__parameters__);
+				}));
+			}
+		});
+		return result;
+	},
+
+	/** `inherit(element, parameters)` sets the self-adaptive `parameters` of a new `element`, as
+	returned by `inheritedParameters`. Returns the element.
+	*/
+	inherit: function inherit(element, parameters) {
+		if (parameters) {
+			element.__parameters__ = base.copy({}, parameters);
+		}
+		return element;
+	},
+
+	/** `parameter(name, parameters)` returns the value of the parameter with the given `name` in
+	the `parameters` of an element, or the metaheuristic's own value if it is not there.
+	Metaheuristics use it to support self-adaptive parameters.
+	*/
+	parameter: function parameter(name, parameters) {
+		return parameters && parameters.hasOwnProperty(name) ? parameters[name] : this[name];
+	},
+
+	/** `Metaheuristic.parameterControls` is a bundle of parameter control builders. The
+	implemented controls are:
+	*/
+	'static parameterControls': {
+		/** + `linear(from, to)` changes the parameter linearly over the `steps` of the run.
+		*/
+		linear: function linear(from, to) {
+			from = +from;
+			to = +to;
+			var control = function linearControl(name, value) {
+				var t = Math.min(1, Math.max(0, (this.step + 1) / this.steps));
+				return from + (to - from) * t;
+			};
+			control.__operator__ = ['Metaheuristic.parameterControls.linear', from, to];
+			return control;
+		},
+
+		/** + `exponential(from, to)` changes the parameter geometrically over the `steps` of the
+		run. Both `from` and `to` must be positive.
+		*/
+		exponential: function exponential(from, to) {
+			from = +from;
+			to = +to;
+			raiseIf(!(from > 0) || !(to > 0), "Exponential controls require positive values!");
+			var control = function exponentialControl(name, value) {
+				var t = Math.min(1, Math.max(0, (this.step + 1) / this.steps));
+				return from * Math.pow(to / from, t);
+			};
+			control.__operator__ = ['Metaheuristic.parameterControls.exponential', from, to];
+			return control;
+		},
+
+		/** + `oneFifthRule(factor=0.85, target=0.2)` implements Rechenberg's 1/5th success rule for
+		step sizes (e.g. the `delta` of `EvolutionStrategy`). If the `successRate` is greater than
+		the `target`, the parameter is divided by the `factor`. If it is less, the parameter is
+		multiplied by it.
+		*/
+		oneFifthRule: function oneFifthRule(factor, target) {
+			factor = isNaN(factor) ? 0.85 : +factor;
+			target = isNaN(target) ? 0.2 : +target;
+			var control = function oneFifthRuleControl(name, value) {
+				var rate = this.successRate;
+				return this.step < 0 ? value : rate > target ? value / factor :
+					rate < target ? value * factor : value;
+			};
+			control.__operator__ = ['Metaheuristic.parameterControls.oneFifthRule', factor, target];
+			return control;
+		},
+
+		/** + `successHistory(memorySize=5, deviation=0.1, min=0, max=1)` is a simplified form of
+		[success-history based adaptation](https://doi.org/10.1109/CEC.2013.6557555). The control
+		keeps a `memory` of values, which starts filled with the initial value. At every step the
+		parameter is sampled around a random value of the memory, as far as `deviation` (with a
+		triangular distribution) and within the range `[min, max]`. If the update at the previous
+		step had any success, the value used then replaces the oldest one in the memory. The
+		`memory` and the `index` of the oldest value are kept in the metaheuristic's
+		`__controlState__`.
+		*/
+		successHistory: function successHistory(memorySize, deviation, min, max) {
+			memorySize = isNaN(memorySize) ? 5 : Math.max(1, memorySize |0);
+			deviation = isNaN(deviation) ? 0.1 : +deviation;
+			min = isNaN(min) ? 0 : +min;
+			max = isNaN(max) ? 1 : +max;
+			var control = function successHistoryControl(name, value) {
+				var random = this.random,
+					controlState = this.__controlState__ || (this.__controlState__ = {}),
+					history = controlState[name];
+				if (this.step < 0 || !history) {
+					controlState[name] = {
+						memory: Iterable.repeat(value, memorySize).toArray(),
+						index: 0
+					};
+					return value;
+				}
+				if (this.successRate > 0) {
+					history.memory[history.index] = value;
+					history.index = (history.index + 1) % memorySize;
+				}
+				return clamp(random.choice(history.memory) +
+					(random.random() - random.random()) * deviation, min, max);
+			};
+			control.__operator__ = ['Metaheuristic.parameterControls.successHistory', memorySize,
+				deviation, min, max];
+			return control;
+		},
+
+		/** + `selfAdaptation(learningRate=1, min=0, max=Infinity)` makes the parameter
+		self-adaptive. Every new element inherits the average value of its parents, multiplied by
+		`exp(learningRate * r)`, where `r` follows a triangular distribution in `[-1, 1]`, within
+		the range `[min, max]`. The metaheuristic's value is the average of the elements in the
+		state, and it is used for the elements without a value of their own (e.g. at the
+		beginning of the run).
+		*/
+		selfAdaptation: function selfAdaptation(learningRate, min, max) {
+			learningRate = isNaN(learningRate) ? 1 : +learningRate;
+			min = isNaN(min) ? 0 : +min;
+			max = isNaN(max) ? Infinity : +max;
+			var control = function selfAdaptationControl(name, value) {
+				var values = this.state.filter(function (element) {
+						var parameters = element.__parameters__;
+						return parameters && parameters.hasOwnProperty(name);
+					}).map(function (element) {
+						return element.__parameters__[name];
+					});
+				return this.step < 0 || values.length < 1 ? value :
+					iterable(values).sum() / values.length;
+			};
+			control.inherit = function inherit(name, values) {
+				var value = iterable(values).sum() / values.length;
+				return clamp(value * Math.exp(learningRate * (this.random.random() -
+					this.random.random())), min, max);
+			};
+			control.__operator__ = ['Metaheuristic.parameterControls.selfAdaptation', learningRate,
+				min, max];
+			return control;
+		}
+	}, // Metaheuristic.parameterControls
+
+	// ## Run control ###############################################################################
+
+	/** Runs can be controlled from outside. `abort()` makes the current run finish after the step
+	in progress, as if the `termination` criterion had been met. The criterion that is reported in
+	`terminatedBy` is `Metaheuristic.abortion`. The run's result is the best element found so far
+	(see `bestElement`), even if the aborted state has lost it.
+	*/
+	abort: function abort() {
+		this.aborted = true;
+		this.resume(); // Paused runs must notice the abortion.
+		return this;
+	},
+
+	aborted: false,
+
+	'static abortion': Termination.predicate(function (mh) {
+		return mh.aborted;
+	}, 'aborted'),
+
+	/** `pause()` makes the current run wait before starting the next step, until `resume()` is
+	called. Pausing does not interrupt the step in progress.
+	*/
+	pause: function pause() {
+		if (!this.paused) {
+			this.paused = true;
+			this.__resumption__ = new Future();
+		}
+		return this;
+	},
+
+	paused: false,
+
+	/** `resume()` continues a paused run.
+	*/
+	resume: function resume() {
+		if (this.paused) {
+			this.paused = false;
+			this.__resumption__.resolve(this);
+			this.__resumption__ = null;
+		}
+		return this;
+	},
+
+	/** `__listen__(signal)` prepares a new run, clearing the `aborted` flag and making the given
+	abort `signal` abort this metaheuristic. Returns a function that stops listening to the signal.
+	*/
+	__listen__: function __listen__(signal) {
+		var mh = this,
+			onAbort = function onAbort() {
+				mh.abort();
+			};
+		this.aborted = false;
+		if (!signal) {
+			return function () {};
+		} else if (signal.aborted) {
+			this.abort();
+			return function () {};
+		} else {
+			signal.addEventListener('abort', onAbort);
+			return function () {
+				signal.removeEventListener('abort', onAbort);
+			};
+		}
+	},
+
+	/** `__continues__()` returns a future that is resolved when the run can take another step, with
+	`false` if the run has been aborted or it is finished, or `true` otherwise. It waits while the
+	run is paused.
+	*/
+	__continues__: function __continues__() {
+		var mh = this;
+		return Future.when(this.__resumption__ || this).then(function () {
+			if (mh.aborted) {
+				mh.terminatedBy = Metaheuristic.abortion;
+				return false;
+			} else {
+				return mh.step < 0 || !mh.finished();
+			}
+		});
+	},
+
+	/** `iterate(signal)` returns an asynchronous iterator over the run of this metaheuristic, which
+	advances one step each time a value is asked for. Hence it can be used like
+	`for await (var snapshot of mh.iterate()) { ... }`. (It is not called `steps` because that is
+	the name of the parameter with the amount of steps to take.) The values are snapshots of the run
+	after each step, i.e. objects with the current `step`, the `best` element, a copy of the `state`
+	and the elements in the `hallOfFame`. Its `next()` method can also be called directly, and
+	returns a future. The iteration can be paused, resumed and aborted like `run` (see `pause`,
+	`resume` and `abort`). After the last step the run is finished as usual.
+	*/
+	iterate: function iterate(signal) {
+		var mh = this,
+			unlisten = this.__listen__(signal),
+			done = false,
+			iterator = {
+				next: function next() {
+					if (done) {
+						return Future.when({ done: true, value: undefined });
+					}
+					return mh.__continues__().then(function (continues) {
+						if (continues) {
+							return Future.then(mh.advance(), function () {
+								return { done: false, value: {
+									step: mh.step,
+									best: mh.state[0],
+									state: mh.state.slice(),
+									hallOfFame: mh.hallOfFame ? mh.hallOfFame.elements() : []
+								}};
+							});
+						} else {
+							iterator.return();
+							mh.__finish__();
+							return { done: true, value: undefined };
+						}
+					});
+				},
+				return: function (value) {
+					done = true;
+					unlisten();
+					return Future.when({ done: true, value: value });
+				}
+			};
+		if (typeof Symbol === 'function' && Symbol.asyncIterator) {
+			iterator[Symbol.asyncIterator] = function () {
+				return iterator;
+			};
+		}
+		return iterator;
+	},
+
+	// ## Ask and tell ##############################################################################
+
+	/** The ask-and-tell interface allows to run the optimization while the evaluations are done
+	externally, e.g. by another system or by people. The metaheuristic advances as usual, but the
+	elements' evaluations are asked for and have to be told back. Meanwhile, the problem's
+	`evaluator` is set to collect the elements pending evaluation, so the problem should not be
+	used by other runs. Since any algorithm's step may require many rounds of evaluations, both
+	methods return futures.
+
+	`ask(n=Infinity)` returns a future of at most `n` elements pending evaluation. If there are none,
+	the next step of the optimization is started, until evaluations are required or the
+	metaheuristic is `finished()`. In the latter case the future's value is an empty array.
+	*/
+	ask: function ask(n) {
+		var mh = this,
+			asking = this.__asking__;
+		n = isNaN(n) ? Infinity : Math.max(0, n);
+		if (asking && asking.pending.length > 0) {
+			return Future.when(asking.pending.slice(0, n).map(function (pending) {
+				return pending.element;
+			}));
+		} else if (asking) { // Evaluations have been told, but the step is still going on.
+			return asking.waiting.then(function () {
+				return mh.ask(n);
+			});
+		} else if (this.step >= 0 && this.finished()) {
+			return Future.when([]);
+		} else {
+			return this.__askStep__().then(function () {
+				return mh.ask(n);
+			});
+		}
+	},
+
+	/** `__askStep__()` advances the metaheuristic, setting the problem's `evaluator` to collect
+	the elements pending evaluation. Returns a future that is resolved when evaluations are
+	required, or when the step is completed.
+	*/
+	__askStep__: function __askStep__() {
+		var mh = this,
+			problem = this.problem,
+			asking = this.__asking__ = { pending: [], waiting: new Future() };
+		problem.evaluator = {
+			evaluation: function evaluation(element) {
+				var future = new Future();
+				asking.pending.push({ element: element, future: future });
+				asking.waiting.resolve(mh);
+				return future;
+			}
+		};
+		Future.invoke(this.advance, this).then(function () {
+			problem.evaluator = null;
+			mh.__asking__ = null;
+			if (mh.finished()) {
+				mh.__finish__();
+			}
+			asking.waiting.resolve(mh);
+		}, function (error) {
+			problem.evaluator = null;
+			mh.__asking__ = null;
+			asking.waiting.reject(error);
+		});
+		return asking.waiting;
+	},
+
+	/** `tell(elements, evaluations)` sets the `evaluations` of the given `elements`, which must
+	have been returned by `ask`. If `evaluations` are not given, the elements' own `evaluation`s are
+	used. Once all pending evaluations are told, the metaheuristic continues its step. The result is
+	a future that is resolved when the metaheuristic requires more evaluations or completes the
+	step.
+	*/
+	tell: function tell(elements, evaluations) {
+		var asking = this.__asking__,
+			mh = this,
+			told = [];
+		raiseIf(!asking, "There are no pending evaluations!");
+		elements.forEach(function (element, i) {
+			var index = -1;
+			for (var j = 0; j < asking.pending.length; j++) {
+				if (asking.pending[j].element === element) {
+					index = j;
+					break;
+				}
+			}
+			raiseIf(index < 0, "Element ", element, " has not been asked for!");
+			told.push([asking.pending.splice(index, 1)[0].future,
+				evaluations ? evaluations[i] : element.evaluation]);
+		});
+		if (asking.pending.length > 0) {
+			told.forEach(function (t) {
+				t[0].resolve(t[1]);
+			});
+			return Future.when(this);
+		} else {
+			asking.waiting = new Future();
+			told.forEach(function (t) {
+				t[0].resolve(t[1]);
+			});
+			return asking.waiting.then(function () {
+				return mh;
+			});
+		}
 	},
 
 	// ## State control ############################################################################
 
-	/** The `nub` method eliminates repeated elements inside the state. Use responsibly, since this
-	is an expensive operation. Returns the size of the resulting state.
+	/** The `nub` method eliminates repeated elements inside the state, as defined by
+	`Element.equals` with the given `precision`. Elements with different lengths are never equal.
+	Use responsibly, since this is an expensive operation. Returns the size of the resulting state.
 	*/
 	nub: function nub(precision) {
 		precision = +precision || 0;
 		this.state = iterable(this.state).nub(function (e1, e2) {
-			var values1 = e1.__values__,
-				values2 = e2.__values__,
-				len = values1.length;
-			if (len !== values2.length) {
-				return false;
-			} else for (var i = 0; i < len; ++i) {
-				if (Math.abs(values1[i] - values2[i]) > precision) {
-					return false;
-				}
-			}
-			return true;
+			return e1.equals(e2, precision);
 		}).toArray();
 		return this.state.length;
 	},
@@ -310,10 +1036,11 @@ var Metaheuristic = exports.Metaheuristic = declare({
 		this.__log__('debug', 'Statistics have been gathered. Haec sunt numeri.');
 	},
 
-	/** + `finished` when the run finishes.
+	/** + `finished` when the run finishes, along with the termination criterion that was met and
+	the `hallOfFame`.
 	*/
 	onFinish: function onFinish() {
-		this.events.emit('finished', this);
+		this.events.emit('finished', this, this.terminatedBy, this.hallOfFame);
 		this.__log__('debug', 'Finished. Nos invenerunt!');
 	},
 
@@ -359,39 +1086,88 @@ var Metaheuristic = exports.Metaheuristic = declare({
 	},
 
 	/** The crowding distance is an estimation of the density of elements surrounding each element
-	in the given list (or the state by default). Every element will be added a `crowdingDistance`
-	number property.
+	in the given list (or the state by default), which should be a front of non-dominated elements.
+	Every element will be added a `crowdingDistance` number property: the sum over all objectives
+	of the distance between its neighbours, normalized by the range of the objective in the list.
+	The elements at the extremes of any objective get an infinite distance.
 	*/
 	crowdingDistance: function crowdingDistance(elements) {
 		elements = elements || this.state;
 		var es = elements.slice(), // shallow copy.
 			count = this.problem.objectives.length,
-			i, j;
+			range, i, j;
 		for (i = 0; i < es.length; i++) {
 			es[i].crowdingDistance = 0;
 		}
+		if (es.length < 1) {
+			return elements;
+		}
 		for (i = 0; i < count; i++) {
 			es.sort(function (elem1, elem2) {
 				return elem1.evaluation[i] - elem2.evaluation[i];
 			});
 			es[0].crowdingDistance = Infinity;
 			es[es.length - 1].crowdingDistance = Infinity;
-			for (j = 1; j < es.length - 1; j++) {
-				es[j].crowdingDistance += es[j + 1].evaluation[i] - es[j - 1].evaluation[i];
+			range = es[es.length - 1].evaluation[i] - es[0].evaluation[i];
+			if (range > 0) {
+				for (j = 1; j < es.length - 1; j++) {
+					es[j].crowdingDistance +=
+						(es[j + 1].evaluation[i] - es[j - 1].evaluation[i]) / range;
+				}
 			}
 		}
 		return elements;
 	},
 
+	/** The fast non-dominated sorting splits the given elements (or the state by default) in
+	fronts. The first front has the elements no other element dominates, the second front has the
+	elements dominated only by elements in the first front, and so on. Every element will be added a
+	`rank` number property, with the index of its front (0 for the first one). Returns an array of
+	fronts, each an array of elements.
+	*/
+	nonDominatedFronts: function nonDominatedFronts(elements) {
+		elements = this.paretoAnalysis(elements || this.state);
+		var fronts = [],
+			front = [],
+			next;
+		elements.forEach(function (element) {
+			element.pareto.count = element.pareto.dominators.length;
+			if (element.pareto.count === 0) {
+				front.push(element);
+			}
+		});
+		while (front.length > 0) {
+			next = [];
+			front.forEach(function (element) {
+				element.rank = fronts.length;
+				element.pareto.dominated.forEach(function (dominated) {
+					if (--dominated.pareto.count === 0) {
+						next.push(dominated);
+					}
+				});
+			});
+			fronts.push(front);
+			front = next;
+		}
+		return fronts;
+	},
+
 	/** The non-dominated sort is based on [_"A Fast Elitist Non-Dominated Sorting Genetic Algorithm
 	for Multi-Objective Optimization: NSGA-II"_ by Deb (2000)](http://citeseer.ist.psu.edu/viewdoc/summary?doi=10.1.1.18.4257).
+	The elements are sorted by the rank of their front (see `nonDominatedFronts`), and the elements
+	of each front by their crowding distance (see `crowdingDistance`), greater first. The sorting is
+	done in place.
 	*/
 	nonDominatedSort: function nonDominatedSort(elements) {
-		elements = this.paretoAnalysis(elements);
-		elements = this.crowdingDistance(elements);
-		elements.sort(function (elem1, elem2) {
-			return (elem1.pareto.dominators.length - elem2.pareto.dominators.length) ||
-				(elem2.crowdingDistance - elem1.crowdingDistance);
+		var mh = this,
+			i = 0;
+		this.nonDominatedFronts(elements).forEach(function (front) {
+			mh.crowdingDistance(front).sort(function (elem1, elem2) {
+				return elem2.crowdingDistance > elem1.crowdingDistance ? 1 :
+					elem2.crowdingDistance < elem1.crowdingDistance ? -1 : 0;
+			}).forEach(function (element) {
+				elements[i++] = element;
+			});
 		});
 		return elements;
 	},
@@ -399,6 +1175,7 @@ var Metaheuristic = exports.Metaheuristic = declare({
 	/** The Pareto strength of an element is defined as the sum of the amount of elements being
 	dominated by all dominators of a given element. For more information see: [_"SPEA2: Improving
 	the Strength Pareto Evolutionary Algorithm"_ by Zitzler et al (2001)](http://citeseer.ist.psu.edu/viewdoc/summary?doi=10.1.1.112.5073).
+	The full algorithm is implemented by `SPEA2`.
 	*/
 	strengthParetoSort: function strengthParetoSort(elements) {
 		elements = this.paretoAnalysis(elements);
@@ -412,6 +1189,44 @@ var Metaheuristic = exports.Metaheuristic = declare({
 		});
 	},
 
+	/** `qualityIndicators(elements=this.state)` measures the non-dominated points of the given
+	elements with the functions in `indicators`. The `spread` is always included. If the problem
+	has a `paretoFront()` method (e.g. `TestBed`), it is used as the reference front for the
+	generational distance (`gd`), the inverted generational distance (`igd` and `igd_plus`) and the
+	additive epsilon (`epsilon`). The `hypervolume` is included if there is a `hypervolumeReference`
+	or a reference front, in which case its nadir point plus a tenth of its range is used.
+	*/
+	qualityIndicators: function qualityIndicators(elements) {
+		var problem = this.problem,
+			points = indicators.points(problem, elements || this.state),
+			front = indicators.nonDominatedPoints(points),
+			referenceFront = typeof problem.paretoFront === 'function' ?
+				indicators.points(problem, problem.paretoFront()) : null,
+			reference = this.hypervolumeReference ?
+				problem.objectiveLosses(this.hypervolumeReference) : null,
+			result = {};
+		if (!reference && referenceFront) {
+			reference = referenceFront[0].map(function (_, i) {
+				var values = referenceFront.map(function (point) {
+						return point[i];
+					}),
+					max = Math.max.apply(Math, values);
+				return max + (max - Math.min.apply(Math, values)) / 10;
+			});
+		}
+		if (reference) {
+			result.hypervolume = indicators.hypervolume(front, reference);
+		}
+		if (referenceFront) {
+			result.gd = indicators.generationalDistance(front, referenceFront);
+			result.igd = indicators.invertedGenerationalDistance(front, referenceFront);
+			result.igd_plus = indicators.invertedGenerationalDistancePlus(front, referenceFront);
+			result.epsilon = indicators.additiveEpsilon(front, referenceFront);
+		}
+		result.spread = indicators.spread(front, referenceFront || front);
+		return result;
+	},
+
 	// ## Utilities ################################################################################
 
 	/** The default string representation of a Metaheuristic is like `"[object class]"`.
@@ -423,14 +1238,41 @@ var Metaheuristic = exports.Metaheuristic = declare({
 	/** Returns a reconstruction of the parameters used in the construction of this instance.
 	*/
 	__params__: function __params__() {
-		var params = { problem: this.problem, size: this.size, steps: this.steps };
+		var params = { problem: this.problem, size: this.size, steps: this.steps,
+			hallOfFame: this.hallOfFame || 0 };
 		if (this.random !== Randomness.DEFAULT) {
 			params.random = this.random;
 		}
+		if (this.seed) {
+			params.seed = this.seed;
+		}
+		if (this.hypervolumeReference) {
+			params.hypervolumeReference = this.hypervolumeReference;
+		}
+		if (this.localSearch) {
+			params.localSearch = operatorReference(this.localSearch);
+			params.localSearchBudget = this.localSearchBudget;
+			params.localSearchMode = this.localSearchMode;
+		}
+		if (this.parameterControls) {
+			params.parameterControls = iterable(this.parameterControls)
+				.mapApply(function (name, control) {
+					return [name, operatorReference(control)];
+				}).toObject();
+		}
 		if (this.step >= 0) {
 			params.step = this.step;
 			params.state = this.state;
 			params.statistics = this.statistics;
+			if (this.initialParameters) {
+				params.initialParameters = this.initialParameters;
+			}
+			if (this.__controlState__) {
+				params.controlState = this.__controlState__;
+			}
+			if (!isNaN(this.successRate)) {
+				params.successRate = this.successRate;
+			}
 		} else if (this.state.length > 0) {
 			params.state = this.state;
 		}
@@ -443,6 +1285,78 @@ var Metaheuristic = exports.Metaheuristic = declare({
 		return params;
 	},
 
+	/** Some metaheuristics run other metaheuristics on the same problem (e.g. `IslandModel` and
+	`Pipeline`). `Metaheuristic.__innerRecords__(metaheuristics)` serializes these as arrays with
+	their constructor and their parameters without the problem, which is the outer metaheuristic's.
+	*/
+	'static __innerRecords__': function __innerRecords__(metaheuristics) {
+		return metaheuristics.map(function (mh) {
+			var params = mh.constructor.__SERMAT__.serializer(mh)[0];
+			delete params.problem;
+			return [mh.constructor, params];
+		});
+	},
+
+	/** `Metaheuristic.__fromInnerRecords__(sermat, records, problem)` materializes the records
+	made by `__innerRecords__`, with the given `problem`.
+	*/
+	'static __fromInnerRecords__': function __fromInnerRecords__(sermat, records, problem) {
+		return records.map(function (record) {
+			var type = record[0],
+				params = base.copy({ problem: problem }, record[1]),
+				materializer = type.__SERMAT__.materializer;
+			return materializer ? materializer.call(sermat, null, [params]) : new type(params);
+		});
+	},
+
+	// ## Checkpoints ###############################################################################
+
+	/** A checkpoint is a serialization of a metaheuristic with its current state, from which the
+	run can be resumed. The problem, the pseudorandom number generators and any other object the
+	metaheuristic uses must be serializable with Sermat. Functions must be registered operators (see
+	`utilities.registerOperators`). For the resumed run to continue exactly like the original one,
+	the generators of both the metaheuristic and the problem must be deterministic and keep track of
+	their state, e.g. `utilities.TrackedRandomness`. The `termination` and the event listeners are
+	not part of the checkpoint.
+
+	`checkpoint(path)` returns the checkpoint of this metaheuristic as a string. If a `path` is
+	given, the checkpoint is also written to that file (only in Node).
+	*/
+	checkpoint: function checkpoint(path) {
+		var text = Metaheuristic.__checkpointSermat__().ser(this);
+		if (path) {
+			require('fs').writeFileSync(path, text, 'utf8');
+		}
+		return text;
+	},
+
+	/** `Metaheuristic.restore(checkpoint)` rebuilds a metaheuristic from the given `checkpoint`
+	string. Calling its `run` method continues the run from where the checkpoint was made.
+	*/
+	'static restore': function restore(checkpoint) {
+		return Metaheuristic.__checkpointSermat__().mat(checkpoint);
+	},
+
+	/** `Metaheuristic.loadCheckpoint(path)` restores the checkpoint in the given file (only in
+	Node).
+	*/
+	'static loadCheckpoint': function loadCheckpoint(path) {
+		return Metaheuristic.restore(require('fs').readFileSync(path, 'utf8'));
+	},
+
+	/** Checkpoints use a Sermat instance in `BINDING_MODE`, since the elements in the state share
+	references to the problem and other objects. It includes all types in this library and its
+	dependencies.
+	*/
+	'static __checkpointSermat__': function __checkpointSermat__() {
+		if (!Metaheuristic.hasOwnProperty('__sermat__')) {
+			var sermat = new Sermat({ mode: Sermat.BINDING_MODE });
+			sermat.include([base, exports]);
+			Metaheuristic.__sermat__ = sermat;
+		}
+		return Metaheuristic.__sermat__;
+	},
+
 	/** Serialization and materialization using Sermat.
 	*/
 	'static __SERMAT__': {
@@ -452,3 +1366,13 @@ var Metaheuristic = exports.Metaheuristic = declare({
 		}
 	}
 }); // declare Metaheuristic.
+
+/** The local searches are registered (see `utilities.registerOperators`), with names like
+`Metaheuristic.localSearches.hillClimbing`.
+*/
+registerOperators('Metaheuristic.localSearches', Metaheuristic.localSearches);
+
+/** The parameter controls are registered too, with names like
+`Metaheuristic.parameterControls.linear`.
+*/
+registerOperators('Metaheuristic.parameterControls', Metaheuristic.parameterControls);
@@ -24,8 +24,9 @@ var Problem = exports.Problem = declare({
 			the optimization approximate it.
 			*/
 			.array('objectives', { ignore: true })
-			/** + The `elementModel` defines the elements' dimensions, each with a number `n` of
-			possible values (from 0 to `n`).
+			/** + The `elementModel` defines the elements' dimensions, each by default with a
+			number `n` of possible integer values (from 0 to `n`). Dimensions may also have a
+			`type`: integer, real, categorical or boolean. See `Element.model`.
 			*/
 			.array('elementModel', { ignore: true })
 			/** + The `Element` parameter can be used to specify a particular element type. The
@@ -33,12 +34,56 @@ var Problem = exports.Problem = declare({
 			is given.
 			*/
 			.func('Element', { ignore: true })
+			/** + The `constraints` candidate solutions must satisfy (none by default). See
+			`violations`.
+			*/
+			.array('constraints', { ignore: true })
+			/** + The `constraintHandling` is the comparison used when the problem has constraints,
+			by default Deb's feasibility rules. See `Problem.constraintHandlings`.
+			*/
+			.func('constraintHandling', { defaultValue: Problem.constraintHandlings.feasibilityRules })
 		;
+		this.constraints = this.constraints.map(function (constraint, i) {
+			var type = constraint.type || 'inequality';
+			raiseIf(type !== 'inequality' && type !== 'equality', "Unknown type ", type,
+				" for constraint #", i, "!");
+			raiseIf(typeof constraint.fn !== 'function' && typeof constraint.violation !== 'function',
+				"Constraint #", i, " has no function!");
+			return {
+				name: constraint.name || 'c'+ i,
+				type: type,
+				fn: constraint.fn,
+				tolerance: isNaN(constraint.tolerance) ? 1e-4 : +constraint.tolerance,
+				violation: constraint.violation
+			};
+		});
+		/** + An `evaluationCache` can be used to avoid evaluating elements with the same values
+		more than once. It may be an `EvaluationCache`, its parameters, or `true` to use one with
+		default parameters. No cache is used by default.
+		*/
+		if (params.evaluationCache) {
+			this.evaluationCache = params.evaluationCache instanceof EvaluationCache ?
+				params.evaluationCache :
+				new EvaluationCache(params.evaluationCache === true ? {} : params.evaluationCache);
+		}
+		/** + A `workerPool` can be used to evaluate elements in parallel. It may be a `WorkerPool`
+		or its parameters. By default elements are evaluated with the problem's `evaluation`.
+		*/
+		if (params.workerPool) {
+			this.workerPool = params.workerPool instanceof WorkerPool ? params.workerPool :
+				new WorkerPool(params.workerPool);
+		}
 		/** + `objective` is a shortcut for `objectives` when there is only one.
 		*/
 		if (!isNaN(params.objective)) {
 			this.objectives = [params.objective];
 		}
+		/** + The `handlingState` is the state of an adaptive `constraintHandling`, if the problem
+		is being restored from a checkpoint (see `adaptConstraintHandling`).
+		*/
+		if (params.handlingState) {
+			this.__handlingState__ = params.handlingState;
+		}
 		/** Every problem defines a type for its `Element`s.
 		*/
 		this.Element = declare(this.Element || Element, {
@@ -47,6 +92,15 @@ var Problem = exports.Problem = declare({
 		if (params.elementModel) {
 			this.Element.prototype.model = params.elementModel;
 		}
+		/** Element models with real or negative dimensions need a floating point `ArrayType`.
+		*/
+		var elementProto = this.Element.prototype;
+		if (elementProto.ArrayType !== Float32Array && elementProto.ArrayType !== Float64Array &&
+				elementProto.model.some(function (_, i) {
+					return elementProto.isContinuous(i) || elementProto.valueRange(i)[0] < 0;
+				})) {
+			elementProto.ArrayType = Float64Array;
+		}
 	},
 
 	/** The defaults for some of the parameters are placed in the `Problem`'s prototype.
@@ -55,6 +109,20 @@ var Problem = exports.Problem = declare({
 	description: "Problem.description?",
 	random: Randomness.DEFAULT,
 	objectives: [-Infinity],
+	constraints: [],
+	evaluationCache: null,
+	workerPool: null,
+
+	/** The `evaluator` is an object whose `evaluation(element)` method, if present, is used
+	instead of the problem's own `evaluation` (and its `workerPool`). It is set by
+	`Metaheuristic.ask` to collect the elements to be evaluated externally.
+	*/
+	evaluator: null,
+
+	/** The `evaluationCount` is the number of elements of this problem that have been evaluated,
+	not counting the evaluations taken from the `evaluationCache`.
+	*/
+	evaluationCount: 0,
 
 	/** The problem's elements must be evaluated somehow. This can be interpreted as the solution's
 	cost in a search problem or the target function of an optimization problem. The default
@@ -113,11 +181,32 @@ var Problem = exports.Problem = declare({
 
 	/** How elements are compared with each other in the problem determines which kind of
 	optimization is performed. The `compare` method implements the comparison between two elements.
-	It returns a positive number if `element2` is better than `element1`, a negative number if
-	`element2` is worse then `element1`, or zero otherwise. Better and worse may mean less or
+	It returns a positive number if `element1` is better than `element2`, a negative number if
+	`element1` is worse then `element2`, or zero otherwise. Better and worse may mean less or
 	greater evaluation (`minimization`), viceversa (`maximization`) or another criteria altogether.
+	If the problem has constraints, the comparison is done by the `constraintHandling`.
 	*/
 	compare: function compare(element1, element2) {
+		return this.constraints.length > 0 ? this.constraintHandling(element1, element2) :
+			this.objectiveComparison(element1, element2);
+	},
+
+	/** `rank(elements)` sorts the given elements from best to worst, in place, and returns them.
+	It uses the `compare` method, unless the problem has constraints and its `constraintHandling`
+	has its own `rank` procedure (e.g. `stochasticRanking`).
+	*/
+	rank: function rank(elements) {
+		if (this.constraints.length > 0 && typeof this.constraintHandling.rank === 'function') {
+			return this.constraintHandling.rank.call(this, elements);
+		}
+		elements.sort(this.compare.bind(this));
+		return elements.reverse();
+	},
+
+	/** The `objectiveComparison` compares two elements by their evaluations only, using
+	`singleObjectiveComparison` or `paretoComparison` depending on the number of objectives.
+	*/
+	objectiveComparison: function objectiveComparison(element1, element2) {
 		if (this.objectives.length === 1) {
 			return this.singleObjectiveComparison(this.objectives[0],
 				element1.evaluation[0], element2.evaluation[0]);
@@ -185,20 +274,300 @@ var Problem = exports.Problem = declare({
 		return result;
 	},
 
+	/** The `objectiveLosses(values)` method turns the given evaluation (an array of numbers) into an
+	array of values to be minimized, one for each objective: the value itself when minimizing, its
+	opposite when maximizing, and its distance to the objective when approximating a value. Values
+	that are not numbers are mapped to `Infinity`. It is used by the metaheuristics that aggregate
+	the objectives (e.g. `MOEAD`).
+	*/
+	objectiveLosses: function objectiveLosses(values) {
+		return this.objectives.map(function (objective, i) {
+			var value = values[i],
+				loss = objective === -Infinity ? value : objective === +Infinity ? -value :
+					Math.abs(value - objective);
+			return isNaN(loss) ? Infinity : loss;
+		});
+	},
+
+	// ## Constraints ##############################################################################
+
+	/** Constraints are objects with a function `fn(element)`, called with the problem as `this`.
+	The constraint's `type` may be:
+
+	+ `'inequality'` (the default): the constraint is satisfied if `fn` returns zero or less.
+
+	+ `'equality'`: the constraint is satisfied if `fn` returns zero, or a number not greater
+		than the constraint's `tolerance` (1e-4 by default) in absolute value.
+
+	Constraints may also have a `name`, and a custom `violation(element)` function to be used
+	instead of `fn`, which must return zero if the constraint is satisfied and a positive number
+	otherwise.
+
+	The method `violations(element)` returns an array with how much the given element violates
+	each constraint. Elements cache this array (see `Element.violations`).
+	*/
+	violations: function violations(element) {
+		var problem = this;
+		return this.constraints.map(function (constraint) {
+			if (constraint.violation) {
+				return Math.max(0, +constraint.violation.call(problem, element));
+			}
+			var value = +constraint.fn.call(problem, element);
+			return constraint.type === 'equality' ?
+				Math.max(0, Math.abs(value) - constraint.tolerance) : Math.max(0, value);
+		});
+	},
+
+	/** The `violationComparison` compares two elements by their total violation of the
+	constraints: the less the better. For multi-objective problems the result is like the one of
+	`paretoComparison`.
+	*/
+	violationComparison: function violationComparison(element1, element2) {
+		var d = element2.violation() - element1.violation(),
+			result;
+		if (this.objectives.length === 1) {
+			return d;
+		} else {
+			result = this.objectives.map(function () {
+				return d;
+			});
+			result.domination = d;
+			return result;
+		}
+	},
+
+	/** The `penalizedComparison` compares two elements by their evaluations, after making them
+	worse by the total violation of the constraints multiplied by the `penalty`.
+	*/
+	penalizedComparison: function penalizedComparison(element1, element2, penalty) {
+		var values1 = this.penalizedEvaluation(element1, penalty),
+			values2 = this.penalizedEvaluation(element2, penalty);
+		if (this.objectives.length === 1) {
+			return this.singleObjectiveComparison(this.objectives[0], values1[0], values2[0]);
+		} else {
+			return this.paretoComparison(this.objectives, values1, values2);
+		}
+	},
+
+	/** The `penalizedEvaluation` of an element moves each of its evaluations away from its
+	objective by the total violation of the constraints multiplied by the `penalty`.
+	*/
+	penalizedEvaluation: function penalizedEvaluation(element, penalty) {
+		var objectives = this.objectives,
+			p = penalty * element.violation();
+		return element.evaluation.map(function (value, i) {
+			var objective = objectives[i];
+			return objective === -Infinity ? value + p : objective === +Infinity ? value - p :
+				value >= objective ? value + p : value - p;
+		});
+	},
+
+	/** Some constraint handlings change during the run. `adaptConstraintHandling(elements, step)`
+	is called by the metaheuristics after each step, with the sorted state. Handlings that need to
+	keep some state between steps must keep it in the problem's `__handlingState__` object, and not
+	in the handling function, since a handling may be shared by many problems.
+	*/
+	adaptConstraintHandling: function adaptConstraintHandling(elements, step) {
+		if (this.constraints.length > 0 && typeof this.constraintHandling.adapt === 'function') {
+			this.constraintHandling.adapt.call(this, elements, step);
+		}
+	},
+
+	__handlingState__: null,
+
+	/** ## Constraint handlings ####################################################################
+
+	`Problem.constraintHandlings` is a bundle of comparison methods for problems with constraints.
+	They are called with the problem as `this`. The implemented methods are:
+	*/
+	'static constraintHandlings': {
+		/** + `feasibilityRules(element1, element2)` implements
+		[Deb's feasibility rules](http://citeseerx.ist.psu.edu/viewdoc/summary?doi=10.1.1.17.8370):
+		feasible elements are better than infeasible ones, feasible elements are compared by their
+		evaluations, and infeasible elements by their violations.
+		*/
+		feasibilityRules: function feasibilityRules(element1, element2) {
+			return element1.violation() === 0 && element2.violation() === 0 ?
+				this.objectiveComparison(element1, element2) :
+				this.violationComparison(element1, element2);
+		},
+
+		/** + `staticPenalty(penalty=1000)` builds a comparison of the evaluations penalized with a
+		fixed `penalty` factor (see `penalizedComparison`).
+		*/
+		staticPenalty: function staticPenalty(penalty) {
+			penalty = isNaN(penalty) ? 1000 : +penalty;
+			var comparison = function staticPenaltyComparison(element1, element2) {
+				return this.penalizedComparison(element1, element2, penalty);
+			};
+			comparison.__operator__ = ['Problem.constraintHandlings.staticPenalty', penalty];
+			return comparison;
+		},
+
+		/** + `adaptivePenalty(penalty=1, window=5, decrease=3, increase=2)` builds a comparison of
+		the evaluations penalized with a changing penalty factor, as proposed by
+		[Bean and Hadj-Alouane](http://hdl.handle.net/2027.42/3480). The factor starts at
+		`penalty`. If the best element has been feasible for the last `window` steps, the factor is
+		divided by `decrease`. If it has been infeasible for the last `window` steps, the factor is
+		multiplied by `increase`. The current `penalty` and the `history` of the best element's
+		feasibility are kept in the problem's `__handlingState__`.
+		*/
+		adaptivePenalty: function adaptivePenalty(penalty, window, decrease, increase) {
+			penalty = isNaN(penalty) ? 1 : +penalty;
+			window = isNaN(window) ? 5 : window |0;
+			decrease = isNaN(decrease) ? 3 : +decrease;
+			increase = isNaN(increase) ? 2 : +increase;
+			var comparison = function adaptivePenaltyComparison(element1, element2) {
+				var state = this.__handlingState__;
+				return this.penalizedComparison(element1, element2, state ? state.penalty : penalty);
+			};
+			comparison.__operator__ = ['Problem.constraintHandlings.adaptivePenalty', penalty, window,
+				decrease, increase];
+			comparison.adapt = function adapt(elements, step) {
+				var state = this.__handlingState__;
+				if (step <= 0 || !state) {
+					state = this.__handlingState__ = { penalty: penalty, history: [] };
+				}
+				var history = state.history;
+				history.push(elements[0].violation() === 0);
+				if (history.length > window) {
+					history.shift();
+				}
+				if (history.length >= window) {
+					if (history.indexOf(false) < 0) {
+						state.penalty /= decrease;
+					} else if (history.indexOf(true) < 0) {
+						state.penalty *= increase;
+					}
+				}
+			};
+			return comparison;
+		},
+
+		/** + `stochasticRanking(probability=0.45, sweeps)` implements
+		[stochastic ranking](http://dx.doi.org/10.1109/4235.873238). Its `rank` procedure is a
+		bubble sort of up to `sweeps` passes (by default as many as elements), that stops when a pass
+		makes no swap. Each pair of adjacent elements is compared by their evaluations if both are
+		feasible, or with the given `probability`; else they are compared by their violations.
+		Comparisons between two elements outside the ranking use the feasibility rules.
+		*/
+		stochasticRanking: function stochasticRanking(probability, sweeps) {
+			probability = isNaN(probability) ? 0.45 : +probability;
+			sweeps = isNaN(sweeps) ? NaN : sweeps |0;
+			var comparison = function stochasticRankingComparison(element1, element2) {
+				return Problem.constraintHandlings.feasibilityRules.call(this, element1, element2);
+			};
+			comparison.rank = function rank(elements) {
+				var maxSweeps = isNaN(sweeps) ? elements.length : sweeps,
+					swapped = true,
+					element1, element2, i, sweep;
+				for (sweep = 0; swapped && sweep < maxSweeps; sweep++) {
+					swapped = false;
+					for (i = 0; i < elements.length - 1; i++) {
+						element1 = elements[i];
+						element2 = elements[i + 1];
+						if (((element1.violation() === 0 && element2.violation() === 0) ||
+								this.random.randomBool(probability) ?
+								this.objectiveComparison(element1, element2) :
+								this.violationComparison(element1, element2)) < 0) {
+							elements[i] = element2;
+							elements[i + 1] = element1;
+							swapped = true;
+						}
+					}
+				}
+				return elements;
+			};
+			comparison.__operator__ = ['Problem.constraintHandlings.stochasticRanking', probability]
+				.concat(isNaN(sweeps) ? [] : [sweeps]);
+			return comparison;
+		},
+
+		/** + `epsilonConstraint(steps=100, exponent=5, epsilon)` builds a comparison that
+		implements the [epsilon constrained method](http://dx.doi.org/10.1109/CEC.2006.1688283):
+		elements with violations not greater than `epsilon` (or with equal violations) are compared
+		by their evaluations, and the rest by their violations. The `epsilon` decreases down to zero
+		in the given number of `steps`, with the given `exponent`. If `epsilon` is not given, it
+		starts as the violation of the element at the top 20% of the initial state. The current
+		`epsilon` and the `initialEpsilon` are kept in the problem's `__handlingState__`.
+		*/
+		epsilonConstraint: function epsilonConstraint(steps, exponent, epsilon) {
+			steps = isNaN(steps) ? 100 : +steps;
+			exponent = isNaN(exponent) ? 5 : +exponent;
+			epsilon = isNaN(epsilon) ? NaN : +epsilon;
+			var comparison = function epsilonConstraintComparison(element1, element2) {
+				var state = this.__handlingState__,
+					currentEpsilon = state ? state.epsilon : isNaN(epsilon) ? Infinity : epsilon,
+					violation1 = element1.violation(),
+					violation2 = element2.violation();
+				return (violation1 <= currentEpsilon && violation2 <= currentEpsilon) ||
+					violation1 === violation2 ?
+					this.objectiveComparison(element1, element2) :
+					this.violationComparison(element1, element2);
+			};
+			comparison.__operator__ = ['Problem.constraintHandlings.epsilonConstraint', steps, exponent]
+				.concat(isNaN(epsilon) ? [] : [epsilon]);
+			comparison.adapt = function adapt(elements, step) {
+				var state = this.__handlingState__;
+				if (step <= 0 || !state) {
+					state = this.__handlingState__ = { initialEpsilon: epsilon };
+					if (isNaN(epsilon)) {
+						var violations = elements.map(function (element) {
+							return element.violation();
+						}).sort(function (v1, v2) {
+							return v1 - v2;
+						});
+						state.initialEpsilon = violations[Math.floor(violations.length * 0.2)] || 0;
+					}
+				}
+				state.epsilon = step < steps ?
+					state.initialEpsilon * Math.pow(1 - step / steps, exponent) : 0;
+			};
+			return comparison;
+		}
+	}, // Problem.constraintHandlings
+
 	// ## Utilities ################################################################################
 
-	/** Returns a reconstruction of the parameters used in the construction of this instance.
+	/** Returns a reconstruction of the parameters used in the construction of this instance. It
+	always includes the `title`, `description`, `random` and `objectives`, plus the properties with
+	the given ids. The `Element` is included if it is not derived from the base `Element` class. The
+	`constraints` and `constraintHandling` are included if they are not the defaults, with their
+	functions as operator references (see `utilities.operatorReference`). The `handlingState` is
+	included if the constraint handling has any, so checkpoints can be resumed exactly.
 	*/
-	__params__: function __params__() { //FIXME
+	__params__: function __params__() {
 		var params = {},
 			self = this,
-			ids = arguments.length > 0 ? Array.prototype.slice.call(arguments) :
-				['title', 'description', 'random', 'objectives', 'elementModel'];
+			ids = ['title', 'description', 'random', 'objectives']
+				.concat(Array.prototype.slice.call(arguments)),
+			ElementType = Object.getPrototypeOf(this.Element.prototype).constructor;
 		ids.forEach(function (id) {
 			if (typeof self[id] !== 'undefined') {
 				params[id] = self[id];
 			}
 		});
+		if (ElementType !== Element) {
+			params.Element = ElementType;
+		}
+		if (this.constraints.length > 0) {
+			params.constraints = this.constraints.map(function (constraint) {
+				var result = { name: constraint.name, type: constraint.type,
+					tolerance: constraint.tolerance };
+				['fn', 'violation'].forEach(function (id) {
+					if (constraint[id]) {
+						result[id] = operatorReference(constraint[id]);
+					}
+				});
+				return result;
+			});
+		}
+		if (this.constraintHandling !== Problem.constraintHandlings.feasibilityRules) {
+			params.constraintHandling = operatorReference(this.constraintHandling);
+		}
+		if (this.__handlingState__) {
+			params.handlingState = this.__handlingState__;
+		}
 		return params;
 	},
 
@@ -213,7 +582,33 @@ var Problem = exports.Problem = declare({
 	'static __SERMAT__': {
 		identifier: 'Problem',
 		serializer: function serialize_Problem(obj) {
-			return [obj.__params__()];
+			return [obj.__params__('elementModel')];
+		},
+		materializer: function materialize_Problem(obj, args, type) {
+			if (!args) {
+				return null;
+			}
+			var params = base.copy({}, args[0]);
+			if (params.constraints) {
+				params.constraints = params.constraints.map(function (constraint) {
+					constraint = base.copy({}, constraint);
+					['fn', 'violation'].forEach(function (id) {
+						if (constraint[id]) {
+							constraint[id] = operatorFromReference(constraint[id]);
+						}
+					});
+					return constraint;
+				});
+			}
+			if (params.constraintHandling) {
+				params.constraintHandling = operatorFromReference(params.constraintHandling);
+			}
+			return new type(params);
 		}
 	}
 }); // declare Problem.
+
+/** The constraint handlings are registered (see `utilities.registerOperators`), with names like
+`Problem.constraintHandlings.staticPenalty`.
+*/
+registerOperators('Problem.constraintHandlings', Problem.constraintHandlings);
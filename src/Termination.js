@@ -0,0 +1,246 @@
+﻿/** # Termination
+
+A `Termination` is a criterion that decides when a metaheuristic run must finish. Criteria can be
+combined with `and` and `or`. The `termination` of a metaheuristic is checked by its `finished`
+method after every step, and the criterion that stopped the run is reported by the `finished`
+event.
+
+Some criteria keep track of the run (e.g. the time it started), so each instance should be used by
+only one metaheuristic at a time.
+*/
+var Termination = exports.Termination = declare({
+	/** The constructor takes the following parameters:
+	*/
+	constructor: function Termination(params) {
+		initialize(this, params)
+			/** + `name` identifies the criterion, e.g. when reporting the end of a run.
+			*/
+			.string('name', { defaultValue: 'termination', coerce: true })
+			/** + `condition(mh)` is the function that checks if the metaheuristic `mh` has to
+			finish.
+			*/
+			.func('condition', { ignore: true })
+			/** + `reset(mh)` is called when the metaheuristic `mh` starts a new run.
+			*/
+			.func('reset', { ignore: true });
+	},
+
+	/** `check(mh)` returns the criterion that determines that the metaheuristic `mh` has to
+	finish, or `null` if it must go on.
+	*/
+	check: function check(mh) {
+		return this.condition(mh) ? this : null;
+	},
+
+	/** The default `condition` never finishes.
+	*/
+	condition: function condition(mh) {
+		return false;
+	},
+
+	/** The default `reset` does nothing.
+	*/
+	reset: function reset(mh) {
+		// Nothing by default.
+	},
+
+	/** `and(criteria...)` builds a criterion that finishes when this one and all the other given
+	criteria are met at the same time. The criterion reported is the conjunction itself.
+	*/
+	and: function and() {
+		var criteria = [this].concat(Array.prototype.slice.call(arguments));
+		return new Termination({
+			name: '('+ criteria.map(function (criterion) {
+				return criterion.name;
+			}).join(' and ') +')',
+			condition: function condition(mh) {
+				return criteria.every(function (criterion) {
+					return !!criterion.check(mh);
+				});
+			},
+			reset: function reset(mh) {
+				criteria.forEach(function (criterion) {
+					criterion.reset(mh);
+				});
+			}
+		});
+	},
+
+	/** `or(criteria...)` builds a criterion that finishes when this one or any of the other given
+	criteria are met. The criterion reported is the first one that is met.
+	*/
+	or: function or() {
+		var criteria = [this].concat(Array.prototype.slice.call(arguments)),
+			disjunction = new Termination({
+				name: '('+ criteria.map(function (criterion) {
+					return criterion.name;
+				}).join(' or ') +')',
+				reset: function reset(mh) {
+					criteria.forEach(function (criterion) {
+						criterion.reset(mh);
+					});
+				}
+			});
+		disjunction.check = function check(mh) {
+			for (var i = 0, result; i < criteria.length; i++) {
+				result = criteria[i].check(mh);
+				if (result) {
+					return result;
+				}
+			}
+			return null;
+		};
+		return disjunction;
+	},
+
+	/** The string representation of a criterion is its `name`.
+	*/
+	toString: function toString() {
+		return this.name;
+	},
+
+	// ## Criteria #################################################################################
+
+	/** The following functions build the available criteria:
+
+	+ `steps(count=mh.steps)` finishes after the given amount of steps.
+	*/
+	'static steps': function steps(count) {
+		return new Termination({ name: 'steps',
+			condition: function condition(mh) {
+				return mh.step >= (isNaN(count) ? mh.steps : count);
+			}
+		});
+	},
+
+	/** + `sufficientElements()` finishes when the problem's `sufficientElements` is met by the
+	state.
+	*/
+	'static sufficientElements': function sufficientElements() {
+		return new Termination({ name: 'sufficientElements',
+			condition: function condition(mh) {
+				return mh.problem.sufficientElements(mh.state);
+			}
+		});
+	},
+
+	/** + `evaluations(count)` finishes after the given amount of evaluations have been done in the
+	run (see `Problem.evaluationCount`).
+	*/
+	'static evaluations': function evaluations(count) {
+		var initialCount = 0;
+		return new Termination({ name: 'evaluations',
+			condition: function condition(mh) {
+				return mh.problem.evaluationCount - initialCount >= count;
+			},
+			reset: function reset(mh) {
+				initialCount = mh.problem.evaluationCount;
+			}
+		});
+	},
+
+	/** + `time(ms)` finishes after the given amount of milliseconds of wall-clock time have passed
+	since the run started.
+	*/
+	'static time': function time(ms) {
+		var startTime = Date.now();
+		return new Termination({ name: 'time',
+			condition: function condition(mh) {
+				return Date.now() - startTime >= ms;
+			},
+			reset: function reset(mh) {
+				startTime = Date.now();
+			}
+		});
+	},
+
+	/** + `stagnation(steps, tolerance=0)` finishes when the best element has not improved for the
+	given amount of `steps`. An element is an improvement if the problem's `compare` with the best
+	element so far is greater than `tolerance`. In multi-objective problems there is an improvement
+	when any element of the state dominates the best element so far (the `tolerance` is ignored).
+	*/
+	'static stagnation': function stagnation(steps, tolerance) {
+		tolerance = +tolerance || 0;
+		var best = null,
+			bestStep = 0;
+		return new Termination({ name: 'stagnation',
+			condition: function condition(mh) {
+				var problem = mh.problem,
+					multiObjective = problem.objectives.length > 1,
+					elem = !best || !multiObjective ? mh.state[0] :
+						mh.state.filter(function (elem) {
+							return problem.compare(elem, best).domination > 0;
+						})[0];
+				if (elem && (!best || multiObjective || problem.compare(elem, best) > tolerance)) {
+					best = elem;
+					bestStep = mh.step;
+				}
+				return mh.step - bestStep >= steps;
+			},
+			reset: function reset(mh) {
+				best = null;
+				bestStep = 0;
+			}
+		});
+	},
+
+	/** + `target(value, tolerance=1e-8, index=0)` finishes when the best element's evaluation (at
+	the given `index`) is closer to `value` than `tolerance`.
+	*/
+	'static target': function target(value, tolerance, index) {
+		tolerance = isNaN(tolerance) ? 1e-8 : +tolerance;
+		index = index |0;
+		return new Termination({ name: 'target',
+			condition: function condition(mh) {
+				var elem = mh.state[0];
+				return !!elem && !!elem.evaluation &&
+					Math.abs(elem.evaluation[index] - value) <= tolerance;
+			}
+		});
+	},
+
+	/** + `diversity(threshold)` finishes when the diversity of the state falls below the given
+	`threshold`. It is measured as the average distance of the elements' normalized values to their
+	centroid (see `Termination.diversityOf`).
+	*/
+	'static diversity': function diversity(threshold) {
+		return new Termination({ name: 'diversity',
+			condition: function condition(mh) {
+				return Termination.diversityOf(mh.state) < threshold;
+			}
+		});
+	},
+
+	/** + `predicate(fn, name='predicate')` finishes when `fn(mh)` returns true.
+	*/
+	'static predicate': function predicate(fn, name) {
+		return new Termination({ name: name || 'predicate', condition: fn });
+	},
+
+	/** `Termination.diversityOf(elements)` measures the diversity of the given elements, as the
+	average euclidean distance of their normalized values to their centroid. Elements of different
+	lengths are only compared in the dimensions they have.
+	*/
+	'static diversityOf': function diversityOf(elements) {
+		if (elements.length < 2) {
+			return 0;
+		}
+		var points = elements.map(function (elem) {
+				return elem.normalizedValues();
+			}),
+			centroid = [],
+			counts = [];
+		points.forEach(function (point) {
+			point.forEach(function (v, i) {
+				centroid[i] = (centroid[i] || 0) + v;
+				counts[i] = (counts[i] || 0) + 1;
+			});
+		});
+		centroid = centroid.map(function (sum, i) {
+			return sum / counts[i];
+		});
+		return iterable(points).map(function (point) {
+			return Element.prototype.euclideanDistance(point, centroid);
+		}).sum() / points.length;
+	}
+}); // declare Termination.
@@ -0,0 +1,277 @@
+﻿/** # Worker pool
+
+A `WorkerPool` evaluates elements in parallel, using a pool of
+[`worker_threads`](https://nodejs.org/api/worker_threads.html) in Node or
+[Web Workers](https://developer.mozilla.org/en-US/docs/Web/API/Web_Workers_API) in browsers. It is
+meant for problems with CPU-heavy evaluations. Set it as the `workerPool` of a problem, and its
+elements will be evaluated by the workers, asynchronously.
+
+Each worker builds its own instance of the problem, defined by a `module`:
+
++ In Node, it is the path of a module that exports a `Problem`, or a function that returns one.
+
++ In browsers, it is the URL of a script that defines a global `problem`. It runs inside a Web
+	Worker, where `inveniemus` and its dependencies are already loaded.
+*/
+var WorkerPool = exports.WorkerPool = declare({
+	/** The constructor takes the following parameters:
+	*/
+	constructor: function WorkerPool(params) {
+		params = params || {};
+		initialize(this, params)
+			/** + `module` defines the problem, as explained above.
+			*/
+			.string('module')
+			/** + `size` is the maximum number of workers, by default the number of CPU cores
+			available.
+			*/
+			.integer('size', { defaultValue: WorkerPool.defaultSize(), coerce: true, minimum: 1 })
+			/** + `timeout=Infinity` is the maximum time in milliseconds an evaluation can take.
+			Workers that take longer are terminated.
+			*/
+			.number('timeout', { defaultValue: Infinity, coerce: true, minimum: 0 });
+		/** + `timeoutEvaluation` is the evaluation assigned to elements whose evaluations time out.
+		If it is not given, their futures are rejected instead.
+		*/
+		this.timeoutEvaluation = params.timeoutEvaluation;
+		this.__workers__ = [];
+		this.__queue__ = [];
+		this.__lastId__ = 0;
+	},
+
+	/** `WorkerPool.defaultSize()` returns the number of CPU cores available, or 4 if it cannot be
+	found out.
+	*/
+	'static defaultSize': function defaultSize() {
+		if (typeof process === 'object' && process.versions && process.versions.node) {
+			return require('os').cpus().length || 4;
+		} else if (typeof navigator === 'object' && navigator.hardwareConcurrency) {
+			return navigator.hardwareConcurrency;
+		} else {
+			return 4;
+		}
+	},
+
+	// ## Evaluation ###############################################################################
+
+	/** `evaluate(values)` sends the given `values` to be evaluated by a worker, and returns a
+	future for the evaluation. Evaluations are dispatched in the same order they are requested.
+	*/
+	evaluate: function evaluate(values) {
+		var task = {
+				id: ++this.__lastId__,
+				values: Array.prototype.slice.call(values),
+				future: new Future()
+			};
+		this.__queue__.push(task);
+		this.__dispatch__();
+		return task.future;
+	},
+
+	/** `evaluation(element)` evaluates the given `element` with `evaluate`. It can be used in
+	place of a problem's `evaluation` method.
+	*/
+	evaluation: function evaluation(element) {
+		return this.evaluate(element.__values__);
+	},
+
+	/** `terminate()` stops all workers, and rejects all pending evaluations.
+	*/
+	terminate: function terminate() {
+		var tasks = this.__queue__;
+		this.__workers__.forEach(function (worker) {
+			if (worker.task) {
+				clearTimeout(worker.task.timer);
+				tasks.push(worker.task);
+			}
+			worker.terminate();
+		});
+		this.__workers__ = [];
+		this.__queue__ = [];
+		tasks.forEach(function (task) {
+			task.future.reject(new Error("Worker pool has been terminated!"));
+		});
+	},
+
+	/** `__dispatch__()` assigns pending evaluations to idle workers, starting new workers if
+	necessary.
+	*/
+	__dispatch__: function __dispatch__() {
+		var pool = this,
+			worker, task;
+		while (this.__queue__.length > 0) {
+			worker = this.__workers__.filter(function (w) {
+				return !w.task;
+			})[0];
+			if (!worker) {
+				if (this.__workers__.length >= this.size) {
+					break;
+				}
+				worker = this.__spawn__();
+				this.__workers__.push(worker);
+			}
+			task = this.__queue__.shift();
+			worker.task = task;
+			if (isFinite(this.timeout)) {
+				task.timer = setTimeout(function (worker) {
+					pool.__timeout__(worker);
+				}, this.timeout, worker);
+			}
+			worker.ref();
+			worker.post({ id: task.id, values: task.values });
+		}
+	},
+
+	/** `__settle__(worker, message)` handles the `message` with the result of an evaluation sent
+	by a `worker`.
+	*/
+	__settle__: function __settle__(worker, message) {
+		var task = worker.task;
+		if (task && task.id === message.id) {
+			clearTimeout(task.timer);
+			worker.task = null;
+			worker.unref();
+			if (message.hasOwnProperty('error')) {
+				task.future.reject(new Error(message.error));
+			} else {
+				task.future.resolve(message.evaluation);
+			}
+			this.__dispatch__();
+		}
+	},
+
+	/** `__discard__(worker)` terminates and removes the `worker` from the pool, returning the task
+	it was working on.
+	*/
+	__discard__: function __discard__(worker) {
+		var task = worker.task;
+		worker.task = null;
+		worker.terminate();
+		this.__workers__ = this.__workers__.filter(function (w) {
+			return w !== worker;
+		});
+		if (task) {
+			clearTimeout(task.timer);
+		}
+		return task;
+	},
+
+	/** `__timeout__(worker)` handles a `worker` that took too long to evaluate.
+	*/
+	__timeout__: function __timeout__(worker) {
+		var task = this.__discard__(worker);
+		if (task) {
+			if (typeof this.timeoutEvaluation !== 'undefined') {
+				task.future.resolve(this.timeoutEvaluation);
+			} else {
+				task.future.reject(new Error("Evaluation timed out after "+ this.timeout +"ms!"));
+			}
+		}
+		this.__dispatch__();
+	},
+
+	/** `__fail__(worker, error)` handles a `worker` that crashed.
+	*/
+	__fail__: function __fail__(worker, error) {
+		var task = this.__discard__(worker);
+		if (task) {
+			task.future.reject(error instanceof Error ? error : new Error(error));
+		}
+		this.__dispatch__();
+	},
+
+	// ## Workers ##################################################################################
+
+	/** `WorkerPool.workerMain(problem, listen, post)` is the code that runs in the workers. It
+	evaluates the elements of the given `problem` with the values received by `listen`, and
+	sends the results with `post`.
+	*/
+	'static workerMain': function workerMain(problem, listen, post) {
+		problem.workerPool = null; // Workers evaluate with the problem's own `evaluation`.
+		listen(function (message) {
+			new Promise(function (resolve) {
+				resolve(new problem.Element(message.values).evaluate());
+			}).then(function (evaluation) {
+				post({ id: message.id, evaluation: evaluation });
+			}, function (error) {
+				post({ id: message.id, error: String(error && error.message || error) });
+			});
+		});
+	},
+
+	/** `__spawn__()` starts a new worker, and returns an object that wraps it with the following
+	members: `post(message)`, `terminate()`, `ref()`, `unref()` and `task`.
+	*/
+	__spawn__: function __spawn__() {
+		if (typeof process === 'object' && process.versions && process.versions.node) {
+			return this.__spawnThread__();
+		} else if (typeof Worker === 'function') {
+			return this.__spawnWebWorker__();
+		} else {
+			raise("Workers are not supported in this environment!");
+		}
+	},
+
+	/** In Node workers are `worker_threads`. Idle workers are unreferenced, so they do not keep
+	the process running.
+	*/
+	__spawnThread__: function __spawnThread__() {
+		var pool = this,
+			Worker = require('worker_threads').Worker,
+			thread = new Worker('var workerThreads = require("worker_threads"),\n'+
+					'problem = require(workerThreads.workerData.module);\n'+
+				'('+ WorkerPool.workerMain +')(\n'+
+					'typeof problem === "function" ? problem() : problem,\n'+
+					'function (f) { workerThreads.parentPort.on("message", f); },\n'+
+					'function (m) { workerThreads.parentPort.postMessage(m); });',
+				{ eval: true, workerData: { module: require('path').resolve(this.module) } }),
+			worker = {
+				task: null,
+				post: thread.postMessage.bind(thread),
+				terminate: thread.terminate.bind(thread),
+				ref: thread.ref.bind(thread),
+				unref: thread.unref.bind(thread)
+			};
+		thread.on('message', function (message) {
+			pool.__settle__(worker, message);
+		});
+		thread.on('error', function (error) {
+			pool.__fail__(worker, error);
+		});
+		thread.unref();
+		return worker;
+	},
+
+	/** In browsers workers are Web Workers, built from a blob that loads this library (like
+	`base.Parallel.loadModule` does), and then imports the `module` script.
+	*/
+	__spawnWebWorker__: function __spawnWebWorker__() {
+		var pool = this,
+			url = new URL(this.module, location.href).href,
+			blob = new Blob([
+				'self.Sermat = ('+ Sermat.__init__ +')();\n',
+				'self.base = ('+ base.__init__ +')(self.Sermat);\n',
+				'self.inveniemus = ('+ exports.__init__ +')(self.base, self.Sermat);\n',
+				'importScripts('+ JSON.stringify(url) +');\n',
+				'('+ WorkerPool.workerMain +')(self.problem,\n'+
+					'function (f) { self.onmessage = function (e) { f(e.data); }; },\n'+
+					'function (m) { self.postMessage(m); });'
+			], { type: 'application/javascript' }),
+			webWorker = new Worker(URL.createObjectURL(blob)),
+			worker = {
+				task: null,
+				post: webWorker.postMessage.bind(webWorker),
+				terminate: webWorker.terminate.bind(webWorker),
+				ref: function () {},
+				unref: function () {}
+			};
+		webWorker.onmessage = function (event) {
+			pool.__settle__(worker, event.data);
+		};
+		webWorker.onerror = function (event) {
+			event.preventDefault();
+			pool.__fail__(worker, event.message);
+		};
+		return worker;
+	}
+}); // declare WorkerPool.
@@ -1,10 +1,21 @@
 ﻿// See __prologue__.js
-	[Element, Problem, Metaheuristic,
+	[Element, Problem, Metaheuristic, HallOfFame,
+	// elements.
+		PrimitiveSet, PermutationElement, VariableLengthElement, ExpressionElement,
 	// metaheuristics.
+		BeamSearch, DifferentialEvolution, DistributionEstimation, EvolutionStrategy,
+		GeneticAlgorithm, GradientDescent, HarmonySearch, HillClimbing, IslandModel, MOEAD,
+		NSGA2, NSGA3, ParticleSwarm, Pipeline, Restarts, SimulatedAnnealing, SPEA2,
 	// problems.
+		AssociationRuleLearning, ExpressionProblem, BooleanFormulaInference, HelloWorld,
+		KnapsackProblem, NQueensPuzzle, ParameterTuningProblem, SymbolicRegression, TestBed,
+	// utilities.
+		TrackedRandomness
 	].forEach(function (type) {
-		type.__SERMAT__.identifier = exports.__package__ +'.'+ type.__SERMAT__.identifier;
-		exports.__SERMAT__.include.push(type);
+		registerType(type, {
+			identifier: exports.__package__ +'.'+ (type.hasOwnProperty('__SERMAT__') ?
+				type.__SERMAT__.identifier : type.name)
+		});
 	});
 	Sermat.include(exports); // Inveniemus uses Sermat internally.
 
@@ -22,6 +22,13 @@ function __init__(base, Sermat){ "use strict";
 			__dependencies__: [base],
 			__SERMAT__: { include: [] }
 		},
+	/** `elements` is a bundle of special element types, for representations other than plain
+	arrays of numbers.
+	*/
+		elements = exports.elements = {},
+	/** `indicators` is a bundle of quality indicators for approximations of Pareto fronts.
+	*/
+		indicators = exports.indicators = {},
 	/** `metaheuristics` is a bundle of available metaheuristics.
 	*/
 		metaheuristics = exports.metaheuristics = {},
@@ -0,0 +1,422 @@
+﻿/** # Expression element
+
+Elements for [genetic programming](http://en.wikipedia.org/wiki/Genetic_programming), which
+represent expression trees built with a given set of typed primitives. Trees are stored as the
+sequence of their nodes in prefix order (a.k.a.
+[Polish notation](http://en.wikipedia.org/wiki/Polish_notation)), each value being the index of a
+symbol in the primitive set.
+*/
+
+/** ## Primitive sets ##############################################################################
+
+A `PrimitiveSet` defines the symbols expression trees are made of.
+*/
+var PrimitiveSet = elements.PrimitiveSet = declare({
+	/** The constructor takes an array of `symbols`, each an object with:
+
+	+ `name`: a string used to display the symbol.
+
+	+ `type`: the type of the symbol's result. Types can be any string, and they are only compared
+	for equality. Symbols without a type are all of the same type, hence untyped primitive sets are
+	possible.
+
+	+ `args`: the types of the symbol's arguments. Symbols without arguments are terminals, and the
+	rest are functions. Alternatively an `arity` can be given, in which case all arguments have the
+	same type as the symbol.
+
+	+ `fn`: the function that calculates the symbol's result. It is called with the context of the
+	expression's execution as `this`, and the results of the symbol's arguments.
+	*/
+	constructor: function PrimitiveSet(symbols) {
+		raiseIf(!Array.isArray(symbols) || symbols.length < 1, "Primitive sets require symbols!");
+		var terminals = this.__terminals__ = {},
+			functions = this.__functions__ = {};
+		this.symbols = symbols.map(function (symbol, i) {
+			raiseIf(typeof symbol.fn !== 'function', "Symbol #", i, " has no function!");
+			symbol = {
+				name: symbol.name || 's'+ i,
+				type: symbol.type,
+				args: symbol.args || Iterable.repeat(symbol.type, symbol.arity |0).toArray(),
+				fn: symbol.fn
+			};
+			var bundle = symbol.args.length < 1 ? terminals : functions;
+			(bundle[symbol.type] || (bundle[symbol.type] = [])).push(i);
+			return symbol;
+		});
+	},
+
+	/** `PrimitiveSet.variable(name, type)` builds a terminal symbol that returns the property of
+	the execution's context with the given `name`.
+	*/
+	'static variable': function variable(name, type) {
+		return { name: name, type: type, fn: PrimitiveSet.terminalFunctions.variable(name) };
+	},
+
+	/** `PrimitiveSet.constant(value, type)` builds a terminal symbol that always returns the given
+	`value`.
+	*/
+	'static constant': function constant(value, type) {
+		return { name: String(value), type: type, fn: PrimitiveSet.terminalFunctions.constant(value) };
+	},
+
+	/** `PrimitiveSet.terminalFunctions` has the builders of the functions of variables and
+	constants. They are registered operators (see `utilities.registerOperators`), so primitive sets
+	with these terminals can be serialized.
+	*/
+	'static terminalFunctions': {
+		variable: function variable(name) {
+			var fn = function variableFunction() {
+				return this[name];
+			};
+			fn.__operator__ = ['PrimitiveSet.terminalFunctions.variable', name];
+			return fn;
+		},
+
+		constant: function constant(value) {
+			var fn = function constantFunction() {
+				return value;
+			};
+			fn.__operator__ = ['PrimitiveSet.terminalFunctions.constant', value];
+			return fn;
+		}
+	},
+
+	/** `terminals(type)` returns the indices of the terminal symbols of the given `type`.
+	*/
+	terminals: function terminals(type) {
+		return this.__terminals__[type] || [];
+	},
+
+	/** `functions(type)` returns the indices of the function symbols of the given `type`.
+	*/
+	functions: function functions(type) {
+		return this.__functions__[type] || [];
+	},
+
+	/** Two symbols are `compatible(s1, s2)` if they have the same type and the same argument types,
+	hence one can replace the other in any expression.
+	*/
+	compatible: function compatible(s1, s2) {
+		var symbol1 = this.symbols[s1],
+			symbol2 = this.symbols[s2];
+		return symbol1.type === symbol2.type && symbol1.args.length === symbol2.args.length &&
+			symbol1.args.every(function (type, i) {
+				return type === symbol2.args[i];
+			});
+	},
+
+	/** `randomTree(random, type, depth, full=false)` builds a random expression tree of the given
+	`type`, and returns it as an array of symbol indices in prefix order. The tree's depth is at
+	most `depth`. If `full` is true, all the tree's branches have that depth if possible (a.k.a.
+	the _full_ method). Else symbols are chosen at random (a.k.a. the _grow_ method).
+	*/
+	randomTree: function randomTree(random, type, depth, full) {
+		var primitiveSet = this,
+			result = [];
+		(function grow(type, depth) {
+			var terminals = primitiveSet.terminals(type),
+				functions = primitiveSet.functions(type),
+				candidates = depth <= 0 || functions.length < 1 ? terminals :
+					full || terminals.length < 1 ? functions : terminals.concat(functions),
+				symbol;
+			raiseIf(candidates.length < 1, "There are no terminals of type ", type, "!");
+			symbol = random.choice(candidates);
+			result.push(symbol);
+			primitiveSet.symbols[symbol].args.forEach(function (argType) {
+				grow(argType, depth - 1);
+			});
+		})(type, depth);
+		return result;
+	},
+
+	// ## Tree handling ############################################################################
+
+	/** `typeCheck(values, type)` checks if the given `values` are exactly one expression tree of
+	the given `type`.
+	*/
+	typeCheck: function typeCheck(values, type) {
+		var pending = [type],
+			symbol;
+		for (var i = 0, len = values.length; i < len; i++) {
+			symbol = this.symbols[values[i]];
+			if (pending.length < 1 || !symbol || symbol.type !== pending.pop()) {
+				return false;
+			}
+			for (var j = symbol.args.length - 1; j >= 0; j--) {
+				pending.push(symbol.args[j]);
+			}
+		}
+		return pending.length === 0;
+	},
+
+	/** `subtreeEnd(values, start)` returns the position right after the end of the subtree that
+	begins at `start`.
+	*/
+	subtreeEnd: function subtreeEnd(values, start) {
+		var pending = 1,
+			i = start;
+		for (; pending > 0; i++) {
+			raiseIf(i >= values.length, "Invalid expression ", values, "!");
+			pending += this.symbols[values[i]].args.length - 1;
+		}
+		return i;
+	},
+
+	/** `depth(values, start=0)` returns the depth of the subtree that begins at `start`. Terminals
+	have depth 0.
+	*/
+	depth: function depth(values, start) {
+		var pending = [0],
+			i = start |0,
+			result = 0,
+			d, arity;
+		do {
+			d = pending.pop();
+			result = Math.max(result, d);
+			arity = this.symbols[values[i++]].args.length;
+			for (var j = 0; j < arity; j++) {
+				pending.push(d + 1);
+			}
+		} while (pending.length > 0);
+		return result;
+	},
+
+	/** `execute(values, context, start=0)` calculates the result of the subtree that begins at
+	`start`, with the given `context` as `this` for all symbols' functions.
+	*/
+	execute: function execute(values, context, start) {
+		var symbols = this.symbols,
+			pos = start |0;
+		return (function exec() {
+			var symbol = symbols[values[pos++]],
+				args = new Array(symbol.args.length);
+			for (var i = 0; i < args.length; i++) {
+				args[i] = exec();
+			}
+			return symbol.fn.apply(context, args);
+		})();
+	},
+
+	/** `stringify(values, start=0)` returns a string representation of the subtree that begins at
+	`start`, in functional notation (e.g. `and(x, not(y))`).
+	*/
+	stringify: function stringify(values, start) {
+		var symbols = this.symbols,
+			pos = start |0;
+		return (function str() {
+			var symbol = symbols[values[pos++]],
+				args = new Array(symbol.args.length);
+			for (var i = 0; i < args.length; i++) {
+				args[i] = str();
+			}
+			return args.length < 1 ? symbol.name : symbol.name +'('+ args.join(', ') +')';
+		})();
+	},
+
+	// ## Utilities ################################################################################
+
+	/** Serialization and materialization using Sermat. The symbols' functions must be registered
+	operators (see `utilities.registerOperators`).
+	*/
+	'static __SERMAT__': {
+		identifier: 'PrimitiveSet',
+		serializer: function serialize_PrimitiveSet(obj) {
+			return [obj.symbols.map(function (symbol) {
+				var result = { name: symbol.name, fn: operatorReference(symbol.fn) };
+				if (typeof symbol.type !== 'undefined') {
+					result.type = symbol.type;
+				}
+				if (symbol.args.every(function (type) {
+					return type === symbol.type;
+				})) {
+					result.arity = symbol.args.length;
+				} else {
+					result.args = symbol.args;
+				}
+				return result;
+			})];
+		},
+		materializer: function materialize_PrimitiveSet(obj, args, type) {
+			return !args ? null : new type(args[0].map(function (symbol) {
+				return base.copy({ fn: operatorFromReference(symbol.fn) }, symbol);
+			}));
+		}
+	}
+}); // declare PrimitiveSet.
+
+registerOperators('PrimitiveSet.terminalFunctions', PrimitiveSet.terminalFunctions);
+
+/** ## Expression elements #########################################################################
+
+`ExpressionElement` is a variable length element, which values are always a valid expression tree.
+*/
+var ExpressionElement = elements.ExpressionElement = declare(VariableLengthElement, {
+	/** The element's `primitives` must be a `PrimitiveSet`, and `rootType` is the type of the
+	whole expression. Both are usually set by `problems.ExpressionProblem`.
+	*/
+	primitives: null,
+	rootType: undefined,
+
+	/** The depths of random trees go from `minInitialDepth` (2 by default) to `maxInitialDepth`
+	(6 by default).
+	*/
+	minInitialDepth: 2,
+	maxInitialDepth: 6,
+
+	/** In order to control [bloat](http://en.wikipedia.org/wiki/Genetic_programming#Bloat), trees
+	cannot be deeper than `maxDepth` (17 by default) nor have more nodes than the model's length.
+	*/
+	maxDepth: 17,
+
+	/** `ExpressionElement.model(primitives, maxSize=200)` builds an element model for expressions
+	with the given `primitives` and up to `maxSize` nodes.
+	*/
+	'static model': function model(primitives, maxSize) {
+		return VariableLengthElement.model({ n: primitives.symbols.length },
+			isNaN(maxSize) ? 200 : maxSize |0);
+	},
+
+	/** Random values are built with the _ramped half-and-half_ method: the depth is chosen at
+	random between `minInitialDepth` and `maxInitialDepth`, and half of the trees are built with
+	the _full_ method and the other half with the _grow_ method (see `PrimitiveSet.randomTree`).
+	Hence the initial state of any metaheuristic is ramped half-and-half.
+	*/
+	randomValues: function randomValues() {
+		var random = this.problem.random,
+			depth = random.randomInt(this.minInitialDepth, this.maxInitialDepth + 1),
+			full = random.randomBool(),
+			values;
+		do { // Trees that are too big are built again with lesser depth.
+			values = this.randomSubtree(this.rootType, depth--, full);
+		} while (!this.withinLimits(values));
+		return new this.ArrayType(values);
+	},
+
+	/** Checking the values implies checking they are a valid expression tree, within the size and
+	depth limits. If `coerce` is true, invalid values are replaced by random ones.
+	*/
+	checkValues: function checkValues(values, coerce) {
+		if (values.length < 1 || !this.primitives.typeCheck(values, this.rootType) ||
+				!this.withinLimits(values)) {
+			raiseIf(!coerce, "Values [", Array.prototype.join.call(values, ','),
+				"] are not a valid expression!");
+			return this.randomValues();
+		}
+		return new this.ArrayType(values);
+	},
+
+	/** `withinLimits(values)` checks if the given expression `values` are not longer than the
+	model nor deeper than `maxDepth`.
+	*/
+	withinLimits: function withinLimits(values) {
+		return values.length <= this.model.length &&
+			this.primitives.depth(values) <= this.maxDepth;
+	},
+
+	// ## Trees ####################################################################################
+
+	/** `nodeType(index)` returns the type of the node at the given `index`.
+	*/
+	nodeType: function nodeType(index) {
+		return this.primitives.symbols[this.__values__[index]].type;
+	},
+
+	/** `subtree(index)` returns the values of the subtree that begins at the given `index`.
+	*/
+	subtree: function subtree(index) {
+		return Array.prototype.slice.call(this.__values__, index,
+			this.primitives.subtreeEnd(this.__values__, index));
+	},
+
+	/** `depth()` returns the depth of this element's expression tree.
+	*/
+	depth: function depth() {
+		return this.primitives.depth(this.__values__);
+	},
+
+	/** `randomSubtree(type, depth, full=false)` returns the values of a random tree (see
+	`PrimitiveSet.randomTree`).
+	*/
+	randomSubtree: function randomSubtree(type, depth, full) {
+		return this.primitives.randomTree(this.problem.random, type, depth, full);
+	},
+
+	/** `execute(context)` calculates the result of this element's expression.
+	*/
+	execute: function execute(context) {
+		return this.primitives.execute(this.__values__, context);
+	},
+
+	/** `expression()` returns a string representation of this element's expression.
+	*/
+	expression: function expression() {
+		return this.primitives.stringify(this.__values__);
+	},
+
+	// ## Expansions ###############################################################################
+
+	/** The `replacement(index, subtree)` of an expression element returns a new and unevaluated
+	copy of this element, with the subtree at `index` replaced by the given one. If the result
+	would exceed the size or depth limits, `null` is returned instead.
+	*/
+	replacement: function replacement(index, subtree) {
+		var values = this.values(),
+			end = this.primitives.subtreeEnd(values, index);
+		values = values.slice(0, index).concat(Array.prototype.slice.call(subtree),
+			values.slice(end));
+		return this.withinLimits(values) ? new this.constructor(values) : null;
+	},
+
+	/** The `modification(index, value, ...)` of an expression element changes the symbol at the
+	given `index`. If the new symbol is not compatible with the old one (see
+	`PrimitiveSet.compatible`), the node's arguments are replaced by random terminals. Positions
+	outside the tree and symbols of a type other than the node's are ignored.
+	*/
+	modification: function modification() {
+		var primitives = this.primitives,
+			element = this,
+			pos, value, subtree;
+		for (var i = 0; i < arguments.length; i += 2) {
+			pos = arguments[i] |0;
+			value = this.coerceValue(arguments[i + 1], pos);
+			if (pos < element.__values__.length &&
+					primitives.symbols[value].type === element.nodeType(pos)) {
+				subtree = element.subtree(pos);
+				if (primitives.compatible(value, subtree[0])) {
+					subtree[0] = value;
+				} else {
+					subtree = primitives.symbols[value].args.reduce(function (values, type) {
+						return values.concat(element.randomSubtree(type, 0));
+					}, [value]);
+				}
+				element = element.replacement(pos, subtree) || element;
+			}
+		}
+		return element === this ? new this.constructor(this.__values__) : element;
+	},
+
+	/** The `neighbourhood` of an expression element has all the elements resulting from replacing
+	a symbol with a compatible one, or a function's subtree with a terminal of the same type.
+	*/
+	neighbourhood: function neighbourhood() {
+		var primitives = this.primitives,
+			neighbours = [],
+			values = this.__values__,
+			symbol, type;
+		for (var i = 0, len = values.length; i < len; i++) {
+			symbol = values[i];
+			type = this.nodeType(i);
+			primitives.functions(type).concat(primitives.terminals(type)).forEach(function (s) {
+				if (s !== symbol && primitives.compatible(s, symbol)) {
+					neighbours.push(this.modification(i, s));
+				}
+			}, this);
+			if (primitives.symbols[symbol].args.length > 0) {
+				primitives.terminals(type).forEach(function (s) {
+					neighbours.push(this.replacement(i, [s]));
+				}, this);
+			}
+		}
+		return neighbours;
+	}
+}); // declare ExpressionElement.
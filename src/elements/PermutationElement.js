@@ -0,0 +1,100 @@
+﻿/** # Permutation element
+
+`PermutationElement` is a type of element whose values are always a
+[permutation](http://en.wikipedia.org/wiki/Permutation) of the integers from 0 to the element's
+length (exclusive). It is meant for problems like routing and scheduling, where candidate solutions
+are orderings of a set of items.
+*/
+var PermutationElement = elements.PermutationElement = declare(Element, {
+	/** The constructor works like `Element`'s, yet values that are not a permutation are always
+	repaired (see `checkValues`). Hence operators that are not aware of permutations can still be
+	used, although the ones in `GeneticAlgorithm` for permutations are recommended.
+
+	The element's `model` must have as many dimensions as the permutation's length, each with `n`
+	equal to said length. `PermutationElement.model(length)` can be used to build it.
+	*/
+	constructor: function PermutationElement(values, evaluation) {
+		this.__values__ = !values ? this.randomValues() : this.checkValues(values, true);
+		this.evaluation = evaluation;
+	},
+
+	/** `PermutationElement.model(length)` builds an element model for permutations of the given
+	`length`.
+	*/
+	'static model': function model(length) {
+		return Iterable.repeat({ n: length }, length).toArray();
+	},
+
+	/** Random values are random shuffles of the integers from 0 to the element's length.
+	*/
+	randomValues: function randomValues() {
+		return new this.ArrayType(this.problem.random.shuffle(
+			Iterable.range(this.model.length).toArray()
+		));
+	},
+
+	/** Checking the values also implies checking that every value appears only once. If `coerce`
+	is true, the values are repaired: every value is coerced to the model, every repeated value is
+	replaced by one of the missing values in increasing order.
+	*/
+	checkValues: function checkValues(values, coerce) {
+		var len = this.model.length,
+			used = new Array(len),
+			repeated = [],
+			missing = [],
+			result = Element.prototype.checkValues.call(this, values, coerce),
+			i, v;
+		for (i = 0; i < len; i++) {
+			v = result[i];
+			if (used[v]) {
+				raiseIf(!coerce, "Value #", i, " (", v, ") is repeated!");
+				repeated.push(i);
+			} else {
+				used[v] = true;
+			}
+		}
+		for (v = 0; v < len; v++) {
+			if (!used[v]) {
+				missing.push(v);
+			}
+		}
+		for (i = 0; i < repeated.length; i++) {
+			result[repeated[i]] = missing[i];
+		}
+		return result;
+	},
+
+	// ## Expansions ###############################################################################
+
+	/** The `neighbourhood` of a permutation has all the elements resulting from swapping two
+	values with positions not further apart than the given `radius` (1 by default).
+	*/
+	neighbourhood: function neighbourhood(radius) {
+		radius = isNaN(radius) ? 1 : Math.max(1, Math.floor(Math.abs(radius)));
+		var neighbours = [],
+			values = this.__values__,
+			len = values.length;
+		for (var i = 0; i < len; i++) {
+			for (var j = i + 1; j < len && j - i <= radius; j++) {
+				neighbours.push(this.modification(i, values[j]));
+			}
+		}
+		return neighbours;
+	},
+
+	/** The `modification(index, value, ...)` of a permutation sets the `value` at the given
+	`index`, and moves the value previously at `index` to the position where `value` was. Hence
+	the result is always a permutation.
+	*/
+	modification: function modification() {
+		var newValues = this.__values__.slice(),
+			pos, value;
+		for (var i = 0; i < arguments.length; i += 2) {
+			pos = arguments[i] |0;
+			value = this.coerceValue(arguments[i + 1], pos);
+			newValues[newValues.indexOf(value)] = newValues[pos];
+			newValues[pos] = value;
+		}
+		return new this.constructor(newValues);
+	}
+}); // declare PermutationElement.
@@ -0,0 +1,82 @@
+﻿/** # Variable length element
+
+`VariableLengthElement` is a type of element whose number of values may change, between a minimum
+and a maximum length. It is meant for problems like rule set or program induction, where the size of
+the candidate solutions is not known beforehand.
+*/
+var VariableLengthElement = elements.VariableLengthElement = declare(Element, {
+	/** The element's `model` defines the dimensions for the maximum length, i.e. the dimension `i`
+	of the model constrains the value at position `i` of any element. Usually all dimensions are
+	the same, and `VariableLengthElement.model(dimension, maxLength)` can be used to build such
+	model.
+
+	The `minLength` (1 by default) can be changed by declaring a subclass, e.g.
+	`declare(VariableLengthElement, { minLength: 3 })`.
+	*/
+	minLength: 1,
+
+	/** `VariableLengthElement.model(dimension, maxLength)` builds an element model with the given
+	`dimension` repeated `maxLength` times.
+	*/
+	'static model': function model(dimension, maxLength) {
+		return Iterable.repeat(dimension, maxLength).toArray();
+	},
+
+	/** Random values have a uniformly distributed length between `minLength` and the model's
+	length, and each value is uniformly distributed within the range of its dimension.
+	*/
+	randomValues: function randomValues() {
+		var length = this.problem.random.randomInt(this.minLength, this.model.length + 1),
+			values = new this.ArrayType(length);
+		for (var i = 0; i < length; i++) {
+			values[i] = this.randomValue(i);
+		}
+		return values;
+	},
+
+	/** Checking the values also implies checking their length. If `coerce` is true, values beyond
+	the maximum length are dropped, and too short values are completed with random values.
+	*/
+	checkValues: function checkValues(values, coerce) {
+		var element = this,
+			length = values.length,
+			minLength = this.minLength,
+			maxLength = this.model.length;
+		values = Array.prototype.slice.call(values);
+		if (length < minLength || length > maxLength) {
+			raiseIf(!coerce, "Length ", length, " is out of range [", minLength, ",", maxLength,
+				"]!");
+			values = values.slice(0, maxLength);
+			while (values.length < minLength) {
+				values.push(this.randomValue(values.length));
+			}
+		}
+		return new this.ArrayType(values.map(function (value, i) {
+			return element.checkValue(value, i, coerce);
+		}));
+	},
+
+	// ## Expansions ###############################################################################
+
+	/** The `insertion(index, value)` of a variable length element returns a new and unevaluated
+	copy of this element, with the given `value` inserted at the given `index`.
+	*/
+	insertion: function insertion(index, value) {
+		var newValues = this.values();
+		raiseIf(newValues.length >= this.model.length, "Cannot insert into element of maximum ",
+			"length ", newValues.length, "!");
+		newValues.splice(index, 0, value);
+		return new this.constructor(this.checkValues(newValues, true));
+	},
+
+	/** The `deletion(index)` of a variable length element returns a new and unevaluated copy of
+	this element, without the value at the given `index`.
+	*/
+	deletion: function deletion(index) {
+		var newValues = this.values();
+		raiseIf(newValues.length <= this.minLength, "Cannot delete from element of minimum ",
+			"length ", newValues.length, "!");
+		newValues.splice(index, 1);
+		return new this.constructor(this.checkValues(newValues, true));
+	}
+}); // declare VariableLengthElement.
@@ -0,0 +1,246 @@
+﻿/** # Quality indicators
+
+Quality indicators measure how good an approximation of a Pareto front is, e.g. the first front of
+the state of a multi-objective metaheuristic (see `Metaheuristic.qualityIndicators`). All indicators
+take fronts as arrays of points, i.e. arrays of numbers which are all minimized (see `points`).
+Many compare the front with a reference front, usually a sample of the problem's actual Pareto
+front (e.g. `TestBed.paretoFront`).
+
+For further information, see:
+
++ Zitzler, E.; Thiele, L.; Laumanns, M.; Fonseca, C. M.; da Fonseca, V. G. [_"Performance
+	Assessment of Multiobjective Optimizers: An Analysis and Review"_](https://doi.org/10.1109/TEVC.2003.810758).
+	IEEE Transactions on Evolutionary Computation, vol. 7, no. 2, pp. 117-132, 2003.
+*/
+
+/** `points(problem, elements)` returns the points of the given elements, i.e. their losses in
+the `problem` (see `Problem.objectiveLosses`). Evaluations (i.e. arrays of numbers) may be given
+instead of elements.
+*/
+indicators.points = function points(problem, elements) {
+	return elements.map(function (element) {
+		return problem.objectiveLosses(Array.isArray(element) ? element : element.evaluation);
+	});
+};
+
+/** `nonDominatedPoints(points)` returns the given points that are not dominated by any other.
+Repeated points are kept only once.
+*/
+indicators.nonDominatedPoints = function nonDominatedPoints(points) {
+	return points.filter(function (point1, i1) {
+		return points.every(function (point2, i2) {
+			var better = false,
+				worse = false;
+			for (var i = 0; i < point1.length; i++) {
+				better = better || point1[i] < point2[i];
+				worse = worse || point1[i] > point2[i];
+			}
+			return i1 === i2 || better || (!worse && i1 < i2);
+		});
+	});
+};
+
+/** `distance(point1, point2)` is the euclidean distance between two points.
+*/
+indicators.distance = function distance(point1, point2) {
+	var result = 0;
+	for (var i = 0; i < point1.length; i++) {
+		result += (point1[i] - point2[i]) * (point1[i] - point2[i]);
+	}
+	return Math.sqrt(result);
+};
+
+// ## Hypervolume ##################################################################################
+
+/** The `hypervolume(front, reference, samples)` is the volume of the space dominated by the front
+and bounded by the `reference` point. The greater the better. Points that do not dominate the
+reference point are ignored. It is calculated exactly for up to 3 objectives (see
+`exactHypervolume`), and estimated with `samples` random points for more (see
+`monteCarloHypervolume`), since the exact calculation takes exponential time.
+*/
+indicators.hypervolume = function hypervolume(front, reference, samples) {
+	return reference.length > 3 ? indicators.monteCarloHypervolume(front, reference, samples) :
+		indicators.exactHypervolume(front, reference);
+};
+
+/** The `exactHypervolume(front, reference)` is calculated with the WFG algorithm: the volume of
+each point's box (up to the reference point) is added, minus the part of it that is dominated by
+the points that follow, which is calculated recursively. Two objectives are solved with a sweep.
+
++ While, L.; Bradstreet, L.; Barone, L. [_"A Fast Way of Calculating Exact
+	Hypervolumes"_](https://doi.org/10.1109/TEVC.2010.2077298). IEEE Transactions on Evolutionary
+	Computation, vol. 16, no. 1, pp. 86-95, 2012.
+*/
+indicators.exactHypervolume = function exactHypervolume(front, reference) {
+	function wfg(points) {
+		var volume = 0, point, k;
+		if (points.length < 1) {
+			return 0;
+		}
+		points.sort(function (p1, p2) {
+			return p1[0] - p2[0];
+		});
+		if (reference.length < 3) { // Sweep, since points are sorted by the first objective.
+			for (k = 0; k < points.length; k++) {
+				point = points[k];
+				volume += ((k + 1 < points.length ? points[k + 1][0] : reference[0]) - point[0]) *
+					(reference.length > 1 ? reference[1] - point[1] : 1);
+			}
+			return volume;
+		}
+		for (k = 0; k < points.length; k++) {
+			point = points[k];
+			volume += point.reduce(function (box, v, i) {
+				return box * (reference[i] - v);
+			}, 1) - wfg(indicators.nonDominatedPoints(points.slice(k + 1).map(function (p) {
+				return p.map(function (v, i) {
+					return Math.max(v, point[i]);
+				});
+			})));
+		}
+		return volume;
+	}
+	return wfg(indicators.nonDominatedPoints(front.filter(function (point) {
+		return point.every(function (v, i) {
+			return v < reference[i];
+		});
+	})));
+};
+
+/** The `monteCarloHypervolume(front, reference, samples=10000, random)` estimates the
+hypervolume by sampling points uniformly in the box between the least values of the front and the
+reference point, and counting how many of them are dominated by the front. By default the `random`
+generator is a new `MersenneTwister` with a fixed seed, hence the estimations can be repeated.
+*/
+indicators.monteCarloHypervolume = function monteCarloHypervolume(front, reference, samples,
+		random) {
+	samples = isNaN(samples) ? 10000 : Math.max(1, samples|0);
+	random = random || new Randomness.MersenneTwister(1);
+	front = front.filter(function (point) {
+		return point.every(function (v, i) {
+			return v < reference[i];
+		});
+	});
+	if (front.length < 1) {
+		return 0;
+	}
+	var lower = reference.map(function (r, i) {
+			return Math.min.apply(Math, front.map(function (point) {
+				return point[i];
+			}));
+		}),
+		box = lower.reduce(function (box, l, i) {
+			return box * (reference[i] - l);
+		}, 1),
+		hits = 0,
+		sample;
+	for (var n = 0; n < samples; n++) {
+		sample = lower.map(function (l, i) {
+			return random.random(l, reference[i]);
+		});
+		if (front.some(function (point) {
+			return point.every(function (v, i) {
+				return v <= sample[i];
+			});
+		})) {
+			hits++;
+		}
+	}
+	return box * hits / samples;
+};
+
+// ## Distances to the reference front #############################################################
+
+/** The `generationalDistance(front, referenceFront, p=2)` is the power mean (with exponent `p`) of
+the distances of the front's points to the closest point of the reference front. It measures
+convergence, and the less the better.
+*/
+indicators.generationalDistance = function generationalDistance(front, referenceFront, p) {
+	p = isNaN(p) ? 2 : +p;
+	return Math.pow(iterable(front).map(function (point) {
+		return Math.pow(Math.min.apply(Math, referenceFront.map(function (reference) {
+			return indicators.distance(point, reference);
+		})), p);
+	}).sum() / front.length, 1 / p);
+};
+
+/** The `invertedGenerationalDistance(front, referenceFront, p=2)` (a.k.a. IGD) is the
+`generationalDistance` of the reference front to the front. It measures both convergence and
+diversity, and the less the better.
+*/
+indicators.invertedGenerationalDistance = function invertedGenerationalDistance(front,
+		referenceFront, p) {
+	return indicators.generationalDistance(referenceFront, front, p);
+};
+
+/** The `invertedGenerationalDistancePlus(front, referenceFront)` (a.k.a. IGD+) is the average
+over the points of the reference front of the distance to the closest point of the front,
+considering only the objectives in which the front's point is worse. Unlike IGD, it is compatible
+with Pareto dominance.
+
++ Ishibuchi, H.; Masuda, H.; Tanigaki, Y.; Nojima, Y. [_"Modified Distance Calculation in
+	Generational Distance and Inverted Generational Distance"_](https://doi.org/10.1007/978-3-319-15892-1_8).
+	Evolutionary Multi-Criterion Optimization (EMO 2015).
+*/
+indicators.invertedGenerationalDistancePlus = function invertedGenerationalDistancePlus(front,
+		referenceFront) {
+	return iterable(referenceFront).map(function (reference) {
+		return Math.min.apply(Math, front.map(function (point) {
+			return Math.sqrt(iterable(point).zip(reference).mapApply(function (v, r) {
+				return Math.max(v - r, 0) * Math.max(v - r, 0);
+			}).sum());
+		}));
+	}).sum() / referenceFront.length;
+};
+
+/** The `additiveEpsilon(front, referenceFront)` is the least amount that must be subtracted from
+all values of the front's points, for every point of the reference front to be weakly dominated
+by one of them. The less the better.
+*/
+indicators.additiveEpsilon = function additiveEpsilon(front, referenceFront) {
+	return Math.max.apply(Math, referenceFront.map(function (reference) {
+		return Math.min.apply(Math, front.map(function (point) {
+			return Math.max.apply(Math, point.map(function (v, i) {
+				return v - reference[i];
+			}));
+		}));
+	}));
+};
+
+/** The `spread(front, referenceFront)` measures how evenly the points of the front are
+distributed, and how far they extend towards the extremes of the reference front. It is the
+generalized version of Deb's spread (Δ), which is 0 for an ideal distribution, and the less the
+better. The distances from the extremes of the reference front (i.e. its best points in each
+objective) to the front are added to the deviation of the distances of the front's points to their
+nearest neighbours. It is 1 if the front has less than two points.
+
++ Zhou, A.; Jin, Y.; Zhang, Q.; Sendhoff, B.; Tsang, E. [_"Combining Model-based and
+	Genetics-based Offspring Generation for Multi-objective Optimization Using a Convergence
+	Criterion"_](https://doi.org/10.1109/CEC.2006.1688638). IEEE Congress on Evolutionary
+	Computation (CEC 2006).
+*/
+indicators.spread = function spread(front, referenceFront) {
+	if (front.length < 2) {
+		return 1;
+	}
+	var extremes = referenceFront[0].map(function (_, i) {
+			return iterable(referenceFront).lesser(function (reference) {
+				return reference[i];
+			})[0];
+		}),
+		extremeDistance = iterable(extremes).map(function (extreme) {
+			return Math.min.apply(Math, front.map(function (point) {
+				return indicators.distance(point, extreme);
+			}));
+		}).sum(),
+		distances = front.map(function (point1, i1) {
+			return Math.min.apply(Math, front.map(function (point2, i2) {
+				return i1 === i2 ? Infinity : indicators.distance(point1, point2);
+			}));
+		}),
+		mean = iterable(distances).sum() / distances.length,
+		denominator = extremeDistance + front.length * mean;
+	return denominator > 0 ? (extremeDistance + iterable(distances).map(function (d) {
+		return Math.abs(d - mean);
+	}).sum()) / denominator : 0;
+};
@@ -29,13 +29,13 @@ var DifferentialEvolution = metaheuristics.DifferentialEvolution = declare(Metah
 	probability of `crossoverProbability`, the ith value of the new element results from
 	`a[i] + F(b[i] - c[i])`, where `F` is the `differentialWeight`. The other values are copied from
 	`x`, although it is assured that at least one of the new element's is calculated as shown
-	before.
+	before. Both `F` and the `crossoverProbability` may be self-adaptive (see
+	`Metaheuristic.parameterControls`).
 	*/
 	expansion: function expansion() {
 		var mh = this,
 			result = this.state.map(function (element, elementIndex) {
-				var model = element.model,
-					stateCopy = mh.state.slice();
+				var stateCopy = mh.state.slice();
 				stateCopy.splice(elementIndex, 1);
 				var crossover = mh.random.choices(3, stateCopy),
 					a = crossover[0].__values__,
@@ -43,15 +43,17 @@ var DifferentialEvolution = metaheuristics.DifferentialEvolution = declare(Metah
 					c = crossover[2].__values__,
 					len = element.__values__.length,
 					randomIndex = mh.random.randomInt(len),
+					parameters = mh.inheritedParameters([element]),
+					F = mh.parameter('differentialWeight', parameters),
+					crossoverProbability = mh.parameter('crossoverProbability', parameters),
 					newValues = element.values().map(function (value, i) {
-						if (i === randomIndex || mh.random.randomBool(mh.crossoverProbability)) {
-							return clamp(a[i] + mh.differentialWeight * (b[i] - c[i]),
-								0, model[i].n - 1);
+						if (i === randomIndex || mh.random.randomBool(crossoverProbability)) {
+							return element.coerceValue(a[i] + F * (b[i] - c[i]), i);
 						} else {
 							return value;
 						}
 					});
-				return new mh.problem.Element(newValues);
+				return mh.inherit(new mh.problem.Element(newValues), parameters);
 			});
 		this.onExpand();
 		return result;
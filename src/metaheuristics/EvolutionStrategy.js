@@ -13,22 +13,29 @@ var EvolutionStrategy = metaheuristics.EvolutionStrategy = declare(Metaheuristic
 			/** + `mutantCount=1` is the number of mutants generated per element at each step.
 			*/
 			.number('mutantCount', { coerce: true, defaultValue: 1, minimum: 1 })
+			/** + `delta=1` is the width of the mutations, as a ratio of the range of each
+			dimension.
+			*/
+			.number('delta', { coerce: true, defaultValue: 1, minimum: 0 })
 			/** + `size=1`: state's size is 1 by default in this metaheuristic.
 			*/
 			.integer('size', { coerce: true, defaultValue: 1, minimum: 1 });
 	},
 
 	/** A `mutant` is a new random variation of the given `element`. Although using a normal
-	distribution is more common, here a more efficient tringular distribution is used.
+	distribution is more common, here a more efficient tringular distribution is used, as wide as
+	`delta` times the range of each dimension. Nominal values (e.g. categorical) are resampled
+	instead (see `Element.mutatedValue`). The `delta` may be self-adaptive (see
+	`Metaheuristic.parameterControls`).
 	*/
 	mutant: function mutant(element) {
 		var random = this.random,
-			model = element.model,
+			parameters = this.inheritedParameters([element]),
+			delta = this.parameter('delta', parameters),
 			newValues = element.values().map(function (v, i) {
-				var n = model[i].n;
-				return clamp(v + (random.random() - random.random()) * n, 0, n - 1);
+				return element.mutatedValue(i, random, delta);
 			});
-		return new this.problem.Element(newValues);
+		return this.inherit(new this.problem.Element(newValues), parameters);
 	},
 
 	/** `mutants` calculates an array of `count` mutants, or `this.mutantCount` by default.
@@ -60,9 +67,9 @@ var EvolutionStrategy = metaheuristics.EvolutionStrategy = declare(Metaheuristic
 	/** Serialization and materialization using Sermat.
 	*/
 	'static __SERMAT__': {
-		identifier: 'DistributionEstimation',
-		serializer: function serialize_DistributionEstimation(obj) {
-			return [obj.__params__('mutantCount')];
+		identifier: 'EvolutionStrategy',
+		serializer: function serialize_EvolutionStrategy(obj) {
+			return [obj.__params__('mutantCount', 'delta')];
 		}
 	}
 }); // declare EvolutionStrategy.
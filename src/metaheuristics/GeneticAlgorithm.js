@@ -34,19 +34,22 @@ var GeneticAlgorithm = metaheuristics.GeneticAlgorithm = declare(Metaheuristic,
 	},
 
 	/** The population's (state) `expansion()` is the possibly mutated crossovers of selected
-	elements. How many is determined by `expansionRate`.
+	elements. How many is determined by `expansionRate`. The `mutationRate` may be self-adaptive
+	(see `Metaheuristic.parameterControls`).
 	*/
 	expansion: function expansion() {
-		var parents, childs, child,
+		var parents, parameters, childs, child,
 			newElements = [],
 			len = Math.floor(this.expansionRate * this.size);
 		len += len % 2; // Make len even.
 		for (var i = 0; i < len; i += 2) {
 			parents = this.selection();
+			parameters = this.inheritedParameters(parents);
 			childs = this.crossover(parents);
 			for (var j = 0; j < childs.length; j++) {
-				child = this.random.randomBool(this.mutationRate) ? this.mutation(childs[j]) : childs[j];
-				newElements.push(child);
+				child = this.random.randomBool(this.parameter('mutationRate', parameters)) ?
+					this.mutation(childs[j]) : childs[j];
+				newElements.push(this.inherit(child, parameters));
 			}
 		}
 		this.onExpand();
@@ -135,6 +138,47 @@ var GeneticAlgorithm = metaheuristics.GeneticAlgorithm = declare(Metaheuristic,
 				return state[state.length - 1]; // Very improbable.
 			}).toArray();
 		},
+
+		/** + `crowdedTournamentSelection(count=2)` selects each element with a binary tournament
+		using the crowded comparison of NSGA-II (see `NSGA2`): the element with the lesser `rank`
+		wins, or the one with the greater `crowdingDistance` if both have the same rank. Elements
+		without these properties are compared by their position in the state.
+		*/
+		crowdedTournamentSelection: function crowdedTournamentSelection(count) {
+			count = isNaN(count) ? 2 : count |0;
+			var state = this.state,
+				selected = [],
+				i1, i2, elem1, elem2;
+			for (var i = 0; i < count; i++) {
+				i1 = this.random.randomInt(state.length);
+				i2 = this.random.randomInt(state.length);
+				elem1 = state[i1];
+				elem2 = state[i2];
+				if (elem1.rank !== elem2.rank) {
+					selected.push(elem1.rank < elem2.rank ? elem1 : elem2);
+				} else if (elem1.crowdingDistance !== elem2.crowdingDistance) {
+					selected.push(elem1.crowdingDistance > elem2.crowdingDistance ? elem1 : elem2);
+				} else {
+					selected.push(i1 < i2 ? elem1 : elem2);
+				}
+			}
+			return selected;
+		},
+
+		/** + `tournamentSelection(count=2)` selects each element with a binary tournament: of two
+		elements chosen at random, the one with the better position in the state wins. Hence it
+		assumes the state is sorted, best first (see `Metaheuristic.sort`).
+		*/
+		tournamentSelection: function tournamentSelection(count) {
+			count = isNaN(count) ? 2 : count |0;
+			var state = this.state,
+				selected = [];
+			for (var i = 0; i < count; i++) {
+				selected.push(state[Math.min(this.random.randomInt(state.length),
+					this.random.randomInt(state.length))]);
+			}
+			return selected;
+		}
 	}, // GeneticAlgorithm.selections
 
 	/** ## Crossover methods #######################################################################
@@ -145,13 +189,15 @@ var GeneticAlgorithm = metaheuristics.GeneticAlgorithm = declare(Metaheuristic,
 	*/
 	'static crossovers': {
 		/** + `singlepointCrossover(parents)` given two parents returns an array of two new elements
-		built with one half of each parent. The cutpoint is chosen randomly.
+		built with one half of each parent. The cutpoint is chosen randomly, within the length of the
+		shortest parent.
 		*/
 		singlepointCrossover: function singlepointCrossover(parents) {
 			raiseIf(!Array.isArray(parents) || parents.length < 2, "A two parent array is required.");
-			var cut = this.random.randomInt(this.length - 1) + 1,
-				values0 = parents[0].values(),
-				values1 = parents[1].values();
+			var values0 = parents[0].values(),
+				values1 = parents[1].values(),
+				length = Math.max(1, Math.min(values0.length, values1.length) - 1),
+				cut = this.random.randomInt(length) + 1;
 			return [
 				new this.problem.Element(values0.slice(0, cut).concat(values1.slice(cut))),
 				new this.problem.Element(values1.slice(0, cut).concat(values0.slice(cut)))
@@ -160,15 +206,23 @@ var GeneticAlgorithm = metaheuristics.GeneticAlgorithm = declare(Metaheuristic,
 
 		/** + `twopointCrossover(parents)` given two parents returns an array of two new elements:
 		the first one with two parts of the first parent and one part of the second parent, and the
-		second one assembled viceversa. The two cutpoints are chosen randomly.
+		second one assembled viceversa. The two cutpoints are chosen randomly, within the length of
+		the shortest parent.
 		*/
 		twopointCrossover: function twopointCrossover(parents) {
 			raiseIf(!Array.isArray(parents) || parents.length < 2,
 				"A two parent array is required.");
-			var cut1 = this.random.randomInt(this.length - 1) + 1,
-				cut2 = this.random.randomInt(this.length - 1) + 1,
-				values0 = parents[0].values(),
-				values1 = parents[1].values();
+			var values0 = parents[0].values(),
+				values1 = parents[1].values(),
+				length = Math.max(1, Math.min(values0.length, values1.length) - 1),
+				cut1 = this.random.randomInt(length) + 1,
+				cut2 = this.random.randomInt(length) + 1,
+				cut;
+			if (cut1 > cut2) {
+				cut = cut1;
+				cut1 = cut2;
+				cut2 = cut;
+			}
 			return [
 				new this.problem.Element(values0.slice(0, cut1)
 					.concat(values1.slice(cut1, cut2)).concat(values0.slice(cut2))),
@@ -178,22 +232,189 @@ var GeneticAlgorithm = metaheuristics.GeneticAlgorithm = declare(Metaheuristic,
 		},
 
 		/** + `uniformCrossover(parents)` creates as many children as the given parents, with each
-		value taken randomly from any of the parents.
+		value taken randomly from any of the parents. Children have the length of the shortest
+		parent.
 		*/
 		uniformCrossover: function uniformCrossover(parents, count) {
 			count = isNaN(count) ? parents.length : count|0;
 			var result = [],
-				length = this.problem.elementLength(),
+				length = Math.min.apply(Math, parents.map(function (parent) {
+					return parent.__values__.length;
+				})),
 				random = this.random,
 				values;
 			for (var i = 0; i < count; ++i) {
 				values = [];
 				for (var j = 0; j < length; ++j) {
-					values.push(random.choice(parents).values[j]);
+					values.push(random.choice(parents).__values__[j]);
 				}
 				result.push(new this.problem.Element(values));
 			}
 			return result;
+		},
+
+		/** + `cutAndSpliceCrossover(parents)` is meant for variable length elements (e.g.
+		`VariableLengthElement`). Given two parents it chooses a different cutpoint in each one, and
+		returns two new elements: the first part of the first parent joined with the second part of
+		the second parent, and viceversa. Hence children may have lengths different from their
+		parents'. Children that are too short or too long are repaired by the element's
+		`checkValues`.
+		*/
+		cutAndSpliceCrossover: function cutAndSpliceCrossover(parents) {
+			raiseIf(!Array.isArray(parents) || parents.length < 2, "A two parent array is required.");
+			var Element = this.problem.Element,
+				values0 = parents[0].values(),
+				values1 = parents[1].values(),
+				cut0 = this.random.randomInt(values0.length + 1),
+				cut1 = this.random.randomInt(values1.length + 1);
+			return [
+				new Element(Element.prototype.checkValues(
+					values0.slice(0, cut0).concat(values1.slice(cut1)), true)),
+				new Element(Element.prototype.checkValues(
+					values1.slice(0, cut1).concat(values0.slice(cut0)), true))
+			];
+		},
+
+		/** + `subtreeCrossover(parents)` is meant for expression trees (i.e. `ExpressionElement`).
+		Given two parents it chooses a random node in the first parent, and a random node of the
+		same type in the second parent. It returns two new elements, built by swapping the subtrees
+		that begin at these nodes. Children that would exceed the size or depth limits are replaced
+		by a copy of their parent.
+		*/
+		subtreeCrossover: function subtreeCrossover(parents) {
+			raiseIf(!Array.isArray(parents) || parents.length < 2, "A two parent array is required.");
+			var Element = this.problem.Element,
+				parent0 = parents[0],
+				parent1 = parents[1],
+				i = this.random.randomInt(parent0.__values__.length),
+				type = parent0.nodeType(i),
+				candidates = [];
+			for (var j = 0, len = parent1.__values__.length; j < len; j++) {
+				if (parent1.nodeType(j) === type) {
+					candidates.push(j);
+				}
+			}
+			if (candidates.length < 1) {
+				return [new Element(parent0.__values__), new Element(parent1.__values__)];
+			}
+			j = this.random.choice(candidates);
+			return [
+				parent0.replacement(i, parent1.subtree(j)) || new Element(parent0.__values__),
+				parent1.replacement(j, parent0.subtree(i)) || new Element(parent1.__values__)
+			];
+		},
+
+		/** The following crossovers are meant for elements representing permutations (e.g.
+		`PermutationElement`). Given two parents, they return two new elements which are also
+		permutations.
+
+		+ [`orderCrossover(parents)`](http://www.permutationcity.co.uk/projects/mutants/tsp.html)
+		(a.k.a. OX) copies a random segment of one parent, and fills the rest of the positions with
+		the values of the other parent in the order they appear, starting after the segment.
+		*/
+		orderCrossover: function orderCrossover(parents) {
+			raiseIf(!Array.isArray(parents) || parents.length < 2, "A two parent array is required.");
+			var values0 = parents[0].values(),
+				values1 = parents[1].values(),
+				len = values0.length,
+				cut1 = this.random.randomInt(len + 1),
+				cut2 = this.random.randomInt(len + 1),
+				cut;
+			if (cut1 > cut2) {
+				cut = cut1;
+				cut1 = cut2;
+				cut2 = cut;
+			}
+			function child(valuesA, valuesB) {
+				var segment = valuesA.slice(cut1, cut2),
+					rest = valuesB.slice(cut2).concat(valuesB.slice(0, cut2)).filter(function (v) {
+						return segment.indexOf(v) < 0;
+					});
+				rest = rest.slice(len - cut2).concat(rest.slice(0, len - cut2));
+				return rest.slice(0, cut1).concat(segment, rest.slice(cut1));
+			}
+			return [
+				new this.problem.Element(child(values0, values1)),
+				new this.problem.Element(child(values1, values0))
+			];
+		},
+
+		/** + [`partiallyMappedCrossover(parents)`](http://www.rubicite.com/Tutorials/GeneticAlgorithms/CrossoverOperators/PMXCrossoverOperator.aspx)
+		(a.k.a. PMX) copies a random segment of one parent, and places the values of the other
+		parent's segment following the mapping defined by both segments. The rest is copied from the
+		other parent.
+		*/
+		partiallyMappedCrossover: function partiallyMappedCrossover(parents) {
+			raiseIf(!Array.isArray(parents) || parents.length < 2, "A two parent array is required.");
+			var values0 = parents[0].values(),
+				values1 = parents[1].values(),
+				len = values0.length,
+				cut1 = this.random.randomInt(len + 1),
+				cut2 = this.random.randomInt(len + 1),
+				cut;
+			if (cut1 > cut2) {
+				cut = cut1;
+				cut1 = cut2;
+				cut2 = cut;
+			}
+			function child(valuesA, valuesB) {
+				var result = new Array(len),
+					i, j, v;
+				for (i = cut1; i < cut2; i++) {
+					result[i] = valuesA[i];
+				}
+				for (i = cut1; i < cut2; i++) {
+					v = valuesB[i];
+					if (result.indexOf(v) < 0) {
+						j = i;
+						while (j >= cut1 && j < cut2) {
+							j = valuesB.indexOf(valuesA[j]);
+						}
+						result[j] = v;
+					}
+				}
+				for (i = 0; i < len; i++) {
+					if (typeof result[i] === 'undefined') {
+						result[i] = valuesB[i];
+					}
+				}
+				return result;
+			}
+			return [
+				new this.problem.Element(child(values0, values1)),
+				new this.problem.Element(child(values1, values0))
+			];
+		},
+
+		/** + [`cycleCrossover(parents)`](http://www.rubicite.com/Tutorials/GeneticAlgorithms/CrossoverOperators/CycleCrossoverOperator.aspx)
+		(a.k.a. CX) splits the positions in cycles defined by both parents. The first child takes
+		the values of the odd cycles from the first parent and the values of the even cycles from
+		the second parent. The second child does it the other way around.
+		*/
+		cycleCrossover: function cycleCrossover(parents) {
+			raiseIf(!Array.isArray(parents) || parents.length < 2, "A two parent array is required.");
+			var values0 = parents[0].values(),
+				values1 = parents[1].values(),
+				len = values0.length,
+				child0 = new Array(len),
+				child1 = new Array(len),
+				cycle = 0,
+				i, j;
+			for (i = 0; i < len; i++) {
+				if (typeof child0[i] === 'undefined') {
+					j = i;
+					do {
+						child0[j] = cycle % 2 ? values1[j] : values0[j];
+						child1[j] = cycle % 2 ? values0[j] : values1[j];
+						j = values0.indexOf(values1[j]);
+					} while (j !== i);
+					cycle++;
+				}
+			}
+			return [
+				new this.problem.Element(child0),
+				new this.problem.Element(child1)
+			];
 		}
 	}, // GeneticAlgorithm.crossovers
 
@@ -217,28 +438,27 @@ var GeneticAlgorithm = metaheuristics.GeneticAlgorithm = declare(Metaheuristic,
 		value.
 		*/
 		uniformMutation: function uniformMutation(maxPoints) {
-			max = isNaN(maxPoints) ? Infinity : +maxPoints;
-			var model = this.problem.elementModel();
-			return function mutation(element) {
-				var times = maxPoints, i, range;
+			maxPoints = isNaN(maxPoints) ? Infinity : +maxPoints;
+			var mutation = function mutation(element) {
+				var times = maxPoints, i;
 				element = new this.problem.Element(element.__values__); // Copy element.
 				do {
-					i = this.random.randomInt(model.length);
-					element.values[i] = this.random.randomInt(0, model[i].n);
+					i = this.random.randomInt(element.__values__.length);
+					element.__values__[i] = element.randomValue(i);
 				} while (this.random.randomBool(this.mutationRate) && --times > 0);
 				return element;
 			};
+			mutation.__operator__ = ['GeneticAlgorithm.mutations.uniformMutation', maxPoints];
+			return mutation;
 		},
 
 		/** + `singlepointBiasedMutation(element)` sets a randomly selected gene to random deviation
-		of its value, with a triangular distribution.
+		of its value, with a triangular distribution. Nominal genes (e.g. categorical) are set to
+		another value at random instead (see `Element.mutatedValue`).
 		*/
 		singlepointBiasedMutation: function singlepointBiasedMutation(element) {
-			var random = this.random,
-				model = this.problem.elementModel(),
-				i = random.randomInt(element.length);
-			return element.modification(i, element.__values__[i] +
-				(random.random() - random.random()) * model[i].n);
+			var i = this.random.randomInt(element.__values__.length);
+			return element.modification(i, element.mutatedValue(i, this.random));
 		},
 
 		/** + `recombinationMutation(element)` swaps two values of the element at random.
@@ -247,13 +467,111 @@ var GeneticAlgorithm = metaheuristics.GeneticAlgorithm = declare(Metaheuristic,
 			var values = element.__values__.slice(),
 				i1 = this.random.randomInt(values.length),
 				v1 = values[i1],
-				i2 = this.random.randomInt(values.length), v2;
+				i2 = this.random.randomInt(values.length);
 			if (i1 === i2) {
-				i2 = (i2 + 1) % element.length;
+				i2 = (i2 + 1) % values.length;
 			}
 			values[i1] = values[i2];
 			values[i2] = v1;
 			return new this.problem.Element(values);
+		},
+
+		/** The following mutations are meant for elements representing permutations (e.g.
+		`PermutationElement`), since they always return permutations if given one.
+
+		+ `swapMutation(element)` is the same as `recombinationMutation`.
+		*/
+		swapMutation: function swapMutation(element) {
+			return GeneticAlgorithm.mutations.recombinationMutation.call(this, element);
+		},
+
+		/** + `insertionMutation(element)` moves a randomly selected value to another random
+		position.
+		*/
+		insertionMutation: function insertionMutation(element) {
+			var values = element.values(),
+				from = this.random.randomInt(values.length),
+				to = this.random.randomInt(values.length);
+			values.splice(to, 0, values.splice(from, 1)[0]);
+			return new this.problem.Element(values);
+		},
+
+		/** + `inversionMutation(element)` reverses the order of the values in a random segment of
+		the element.
+		*/
+		inversionMutation: function inversionMutation(element) {
+			var values = element.values(),
+				cut1 = this.random.randomInt(values.length + 1),
+				cut2 = this.random.randomInt(values.length + 1),
+				cut;
+			if (cut1 > cut2) {
+				cut = cut1;
+				cut1 = cut2;
+				cut2 = cut;
+			}
+			return new this.problem.Element(values.slice(0, cut1)
+				.concat(values.slice(cut1, cut2).reverse(), values.slice(cut2)));
+		},
+
+		/** The following mutations are meant for variable length elements (e.g.
+		`VariableLengthElement`), since they change the element's length. If the element's length
+		cannot be changed any further, they fall back to `singlepointUniformMutation`.
+
+		+ `additionMutation(element)` inserts a uniform random value at a random position.
+		*/
+		additionMutation: function additionMutation(element) {
+			var length = element.__values__.length,
+				i;
+			if (!(element instanceof VariableLengthElement) || length >= element.model.length) {
+				return GeneticAlgorithm.mutations.singlepointUniformMutation.call(this, element);
+			}
+			i = this.random.randomInt(length + 1);
+			return element.insertion(i, element.randomValue(i));
+		},
+
+		/** + `deletionMutation(element)` removes the value at a random position.
+		*/
+		deletionMutation: function deletionMutation(element) {
+			var length = element.__values__.length;
+			if (!(element instanceof VariableLengthElement) || length <= element.minLength) {
+				return GeneticAlgorithm.mutations.singlepointUniformMutation.call(this, element);
+			}
+			return element.deletion(this.random.randomInt(length));
+		},
+
+		/** The following mutations are meant for expression trees (i.e. `ExpressionElement`), and
+		they never exceed the element's size or depth limits.
+
+		+ `pointMutation(element)` replaces a random node's symbol with another compatible symbol
+		(see `PrimitiveSet.compatible`). If there is none, `subtreeMutation` is used instead.
+		*/
+		pointMutation: function pointMutation(element) {
+			var primitives = element.primitives,
+				i = this.random.randomInt(element.__values__.length),
+				symbol = element.__values__[i],
+				type = element.nodeType(i),
+				candidates = primitives.functions(type).concat(primitives.terminals(type))
+					.filter(function (s) {
+						return s !== symbol && primitives.compatible(s, symbol);
+					});
+			if (candidates.length < 1) {
+				return GeneticAlgorithm.mutations.subtreeMutation.call(this, element);
+			}
+			return element.modification(i, this.random.choice(candidates));
+		},
+
+		/** + `subtreeMutation(element)` replaces the subtree at a random node with a new random
+		subtree of the same type, grown up to the element's `maxInitialDepth`.
+		*/
+		subtreeMutation: function subtreeMutation(element) {
+			var i = this.random.randomInt(element.__values__.length),
+				type = element.nodeType(i),
+				depth = this.random.randomInt(element.maxInitialDepth + 1),
+				mutant;
+			do { // Subtrees that are too big are built again with lesser depth.
+				mutant = element.replacement(i, element.randomSubtree(type, depth--));
+			} while (!mutant);
+			return mutant;
 		}
 	}, // GeneticAlgorithm.mutations
 
@@ -265,8 +583,28 @@ var GeneticAlgorithm = metaheuristics.GeneticAlgorithm = declare(Metaheuristic,
 		identifier: 'GeneticAlgorithm',
 		serializer: function serialize_GeneticAlgorithm(obj) {
 			var params = obj.__params__('expansionRate', 'mutationRate');
-			//TODO serialize 'selection', 'crossover', 'mutation'
+			params.selection = operatorReference(obj.selection);
+			params.crossover = operatorReference(obj.crossover);
+			params.mutation = operatorReference(obj.mutation);
 			return [params];
+		},
+		materializer: function materialize_GeneticAlgorithm(obj, args, type) {
+			if (!args) {
+				return null;
+			}
+			var params = base.copy({
+					selection: operatorFromReference(args[0].selection),
+					crossover: operatorFromReference(args[0].crossover),
+					mutation: operatorFromReference(args[0].mutation)
+				}, args[0]);
+			return new type(params);
 		}
 	}
 }); // declare GeneticAlgorithm.
+
+/** All genetic operators are registered (see `utilities.registerOperators`), with names like
+`GeneticAlgorithm.crossovers.singlepointCrossover`.
+*/
+registerOperators('GeneticAlgorithm.selections', GeneticAlgorithm.selections);
+registerOperators('GeneticAlgorithm.crossovers', GeneticAlgorithm.crossovers);
+registerOperators('GeneticAlgorithm.mutations', GeneticAlgorithm.mutations);
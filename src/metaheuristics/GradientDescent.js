@@ -8,7 +8,7 @@ move the current solution in the steepest direction.
 var GradientDescent = metaheuristics.GradientDescent = declare(Metaheuristic, {
 	/** The constructor takes the following parameters:
 	*/
-	constructor: function HillClimbing(params) {
+	constructor: function GradientDescent(params) {
 		Metaheuristic.call(this, params);
 		initialize(this, params)
 		/** + `delta=1`: the maximum distance considered by gradient estimators.
@@ -58,10 +58,9 @@ var GradientDescent = metaheuristics.GradientDescent = declare(Metaheuristic, {
 		var mh = this,
 			rate = this.rate(this.step);
 		return Future.all(this.state.map(function (elem) {
-			var model = elem.model;
 			return Future.then(mh.gradient(elem), function (gradient) {
 				var newValues = gradient.map(function (gradientValue, i) {
-					return clamp(elem.__values__[i] - gradientValue * rate, 0, model[i].n - 1);
+					return elem.coerceValue(elem.__values__[i] - gradientValue * rate, i);
 				});
 				return new mh.problem.Element(newValues);
 			});
@@ -90,7 +89,7 @@ var GradientDescent = metaheuristics.GradientDescent = declare(Metaheuristic, {
 					var comp = mh.problem.compare(left, right);
 					comp = comp === 0 ? comp : comp > 0 ? 1 : -1;
 					//FIXME Does not support multiobjective optimization.
-					return (leftEvaluation[0] - rightEvaluation[0]) * comp / 2 / width;
+					return Math.abs(leftEvaluation[0] - rightEvaluation[0]) * comp / 2 / width;
 				});
 			});
 		}));
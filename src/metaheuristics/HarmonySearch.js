@@ -35,20 +35,26 @@ var HarmonySearch = metaheuristics.HarmonySearch = declare(Metaheuristic, {
 	expansion: function expansion() {
 		var mh = this,
 			random = this.random,
-			model = this.problem.Element.prototype.model,
-			values = model.map(function (range, i) {
+			proto = this.problem.Element.prototype,
+			values = proto.model.map(function (_, i) {
+				var range = proto.valueRange(i);
 				if (random.randomBool(mh.harmonyProbability)) {
 					var value = random.choice(mh.state).__values__[i];
 					if (random.randomBool(mh.adjustProbability)) {
-						value += random.randomBool(0.5) ? -mh.delta : mh.delta;
-						/*FIXME case for continuous variables
-							var span = range.n;
+						if (proto.isNominal(i)) {
+							value = random.randomInt(range[0], range[1] + 1);
+						} else if (proto.isContinuous(i)) {
+							var span = range[1] - range[0];
 							value += random.random(-span, +span) * mh.fretWidth;
-						*/
+						} else {
+							value += random.randomBool(0.5) ? -mh.delta : mh.delta;
+						}
 					}
-					return clamp(value, 0, range.n - 1);
+					return proto.coerceValue(value, i);
+				} else if (proto.isContinuous(i)) {
+					return random.random(range[0], range[1]);
 				} else {
-					return random.randomInt(0, range.n) |0;
+					return random.randomInt(range[0], range[1] + 1) |0;
 				}
 			});
 		this.onExpand();
@@ -45,6 +45,13 @@ var HillClimbing = metaheuristics.HillClimbing = declare(Metaheuristic, {
 		});
 	},
 
+	/** Resetting the hill climbing forgets the local optima reached in the previous run.
+	*/
+	reset: function reset() {
+		Metaheuristic.prototype.reset.call(this);
+		this.__localOptima__ = NaN;
+	},
+
 	/** `atLocalOptima()` checks if the search is currently stuck at a local optima.
 	*/
 	atLocalOptima: function atLocalOptima() {
@@ -52,12 +59,19 @@ var HillClimbing = metaheuristics.HillClimbing = declare(Metaheuristic, {
 	},
 
 	/** A hill climbing search must finish when a local optimum is reached. This criteria is tested
-	together with all others.
+	after the metaheuristic's `termination`, and it is reported as `HillClimbing.localOptima`.
 	*/
 	finished: function finished() {
-		return Metaheuristic.prototype.finished.call(this) || this.atLocalOptima();
+		if (!Metaheuristic.prototype.finished.call(this) && this.atLocalOptima()) {
+			this.terminatedBy = HillClimbing.localOptima;
+		}
+		return !!this.terminatedBy;
 	},
 
+	'static localOptima': Termination.predicate(function (mh) {
+		return mh.atLocalOptima();
+	}, 'localOptima'),
+
 	// ## Utilities ################################################################################
 
 	/** Serialization and materialization using Sermat.
@@ -65,7 +79,21 @@ var HillClimbing = metaheuristics.HillClimbing = declare(Metaheuristic, {
 	'static __SERMAT__': {
 		identifier: 'HillClimbing',
 		serializer: function serialize_HillClimbing(obj) {
-			return [obj.__params__('delta')];
+			var params = obj.__params__('delta');
+			if (!isNaN(obj.__localOptima__)) {
+				params.localOptima = obj.__localOptima__;
+			}
+			return [params];
+		},
+		materializer: function materialize_HillClimbing(obj, args, type) {
+			if (!args) {
+				return null;
+			}
+			var mh = new type(args[0]);
+			if (!isNaN(args[0].localOptima)) {
+				mh.__localOptima__ = args[0].localOptima;
+			}
+			return mh;
 		}
 	}
 }); // declare HillClimbing.
@@ -0,0 +1,300 @@
+﻿/** # Island model
+
+The [island model](https://en.wikipedia.org/wiki/Genetic_algorithm#Parallel_implementations) runs
+many metaheuristics (the islands) on the same problem, each one with its own population. Every few
+steps some elements migrate from one island to others, so the islands share their discoveries
+while keeping the diversity of separate populations. The islands may be instances of different
+metaheuristics, e.g. `GeneticAlgorithm` and `DifferentialEvolution`.
+
+The state of the island model has the elements of all islands, sorted. Its statistics include the
+ones of every island, with an additional `island` key with the island's index.
+*/
+var IslandModel = metaheuristics.IslandModel = declare(Metaheuristic, {
+	/** The constructor takes the following parameters:
+	*/
+	constructor: function IslandModel(params) {
+		Metaheuristic.call(this, params);
+		initialize(this, params)
+			/** + `islands` is the array of metaheuristics to run. Their `problem` is always the one
+			of the island model, and its constraint handling is adapted by the island model only.
+			By default `islandCount` instances of `GeneticAlgorithm` are used, with the `size`
+			split evenly between them.
+			*/
+			.array('islands', { ignore: true })
+			/** + `islandCount=4` is the amount of islands built by default.
+			*/
+			.integer('islandCount', { defaultValue: 4, coerce: true, minimum: 1 })
+			/** + `migrationInterval=5` is the amount of steps between migrations.
+			*/
+			.integer('migrationInterval', { defaultValue: 5, coerce: true, minimum: 1 })
+			/** + `migrantCount=1` is the amount of elements each island sends to each of its
+			destinations in every migration.
+			*/
+			.integer('migrantCount', { defaultValue: 1, coerce: true, minimum: 0 })
+			/** + `topology(index)` returns the indices of the islands the island at `index` sends
+			migrants to. By default `IslandModel.topologies.ring` is used.
+			*/
+			.func('topology', { defaultValue: IslandModel.topologies.ring })
+			/** + `migrantSelection(island, count)` chooses the `count` elements of the `island`
+			that will migrate. By default `IslandModel.migrantSelections.best` is used.
+			*/
+			.func('migrantSelection', { defaultValue: IslandModel.migrantSelections.best })
+			/** + `replacement(island, migrants)` puts the `migrants` in the `island`'s state. By
+			default `IslandModel.replacements.worst` is used.
+			*/
+			.func('replacement', { defaultValue: IslandModel.replacements.worst });
+		if (!this.islands) {
+			this.islands = this.defaultIslands();
+		}
+		raiseIf(this.islands.length < 1, "An island model must have at least one island!");
+		this.islands.forEach(function (island) {
+			raiseIf(!(island instanceof Metaheuristic), "Invalid island ", island, "!");
+			island.problem = this.problem;
+			island.adaptsConstraintHandling = false; // The island model adapts it.
+		}, this);
+		/** The `size` of the island model is the sum of the sizes of its islands.
+		*/
+		this.size = iterable(this.islands).map(function (island) {
+			return island.size;
+		}).sum();
+	},
+
+	/** `defaultIslands()` builds `islandCount` instances of `GeneticAlgorithm`, with the `size` of
+	the island model split evenly between them.
+	*/
+	defaultIslands: function defaultIslands() {
+		var mh = this,
+			count = this.islandCount,
+			size = this.size;
+		return Iterable.range(count).map(function (i) {
+			return new GeneticAlgorithm({ problem: mh.problem, random: mh.random,
+				logger: mh.logger, hallOfFame: 0,
+				size: Math.floor(size / count) + (i < size % count ? 1 : 0)
+			});
+		}).toArray();
+	},
+
+	/** The islands are initiated by advancing all of them, hence they evaluate their initial
+	populations. The state of the island model is built with all the islands' states.
+	*/
+	initiate: function initiate() {
+		var mh = this;
+		this.islands.forEach(function (island) {
+			island.problem = mh.problem;
+		});
+		return Future.all(this.islands.map(function (island) {
+			return island.advance();
+		})).then(function () {
+			mh.state = mh.islandsState();
+			mh.onInitiate();
+		});
+	},
+
+	/** `islandsState()` returns an array with the elements of all islands.
+	*/
+	islandsState: function islandsState() {
+		return Array.prototype.concat.apply([], this.islands.map(function (island) {
+			return island.state;
+		}));
+	},
+
+	/** Every update advances all islands one step. Every `migrationInterval` steps the islands
+	exchange migrants, and then the state is rebuilt and sorted.
+	*/
+	update: function update() {
+		var mh = this;
+		return Future.all(this.islands.map(function (island) {
+			return island.advance();
+		})).then(function () {
+			if ((mh.step + 1) % mh.migrationInterval === 0) {
+				mh.migrate();
+			}
+			mh.state = mh.islandsState();
+			return mh.evaluate();
+		}).then(function () {
+			mh.onUpdate();
+			return mh;
+		});
+	},
+
+	/** `migrate()` sends copies of the elements chosen by `migrantSelection` from every island to
+	the destinations given by the `topology`. All migrants are chosen before any is received, and
+	the islands' states are sorted afterwards.
+	*/
+	migrate: function migrate() {
+		var mh = this,
+			arrivals = this.islands.map(function () {
+				return [];
+			});
+		this.islands.forEach(function (island, i) {
+			mh.topology(i).forEach(function (j) {
+				if (j !== i) {
+					arrivals[j] = arrivals[j].concat(mh.migrantSelection(island, mh.migrantCount)
+						.map(function (element) {
+							return element.clone();
+						}));
+				}
+			});
+		});
+		this.islands.forEach(function (island, i) {
+			if (arrivals[i].length > 0) {
+				mh.replacement(island, arrivals[i]);
+				island.state = island.sort(island.state);
+			}
+		});
+		if (this.statistics) {
+			this.statistics.add({ key: 'migrants', step: this.step + 1 },
+				iterable(arrivals).map(function (migrants) {
+					return migrants.length;
+				}).sum());
+		}
+	},
+
+	/** Besides the statistics of the state, the island model's statistics include those of every
+	island. These are moved to the island model's statistics after every step.
+	*/
+	analyze: function analyze(statistics) {
+		statistics = Metaheuristic.prototype.analyze.call(this, statistics);
+		if (statistics) {
+			this.islands.forEach(function (island, i) {
+				if (island.statistics) {
+					island.statistics.stats({}).forEach(function (stat) {
+						statistics.addStatistic(stat, base.copy({ island: i }, stat.keys));
+					});
+					island.statistics = new Statistics();
+				}
+			});
+		}
+		return statistics;
+	},
+
+	/** Resetting the island model also resets all its islands.
+	*/
+	reset: function reset() {
+		Metaheuristic.prototype.reset.call(this);
+		(this.islands || []).forEach(function (island) {
+			island.reset();
+		});
+	},
+
+	// ## Topologies ###############################################################################
+
+	/** `IslandModel.topologies` is a bundle of functions that define where the migrants of every
+	island go. A topology takes the index of an island and returns the indices of its destinations.
+	*/
+	'static topologies': {
+		/** + `ring` sends migrants to the next island, and from the last island to the first one.
+		*/
+		ring: function ring(index) {
+			return [(index + 1) % this.islands.length];
+		},
+
+		/** + `fullyConnected` sends migrants to all other islands.
+		*/
+		fullyConnected: function fullyConnected(index) {
+			return Iterable.range(this.islands.length).filter(function (i) {
+				return i !== index;
+			}).toArray();
+		},
+
+		/** + `random` sends migrants to another island chosen at random in every migration.
+		*/
+		random: function random(index) {
+			var count = this.islands.length;
+			return count < 2 ? [] : [(index + this.random.randomInt(1, count)) % count];
+		}
+	}, // IslandModel.topologies
+
+	// ## Migrant selections #######################################################################
+
+	/** `IslandModel.migrantSelections` is a bundle of functions that choose which elements of an
+	island migrate. These take the `island` and the amount of migrants, and return an array of its
+	elements.
+	*/
+	'static migrantSelections': {
+		/** + `best` chooses the best elements of the island.
+		*/
+		best: function best(island, count) {
+			return island.state.slice(0, count);
+		},
+
+		/** + `random` chooses elements of the island at random.
+		*/
+		random: function random(island, count) {
+			return this.random.choices(Math.min(count, island.state.length), island.state);
+		}
+	}, // IslandModel.migrantSelections
+
+	// ## Replacements #############################################################################
+
+	/** `IslandModel.replacements` is a bundle of policies for putting the migrants in the state of
+	the island they arrive to. These take the `island` and the array of `migrants`, and keep the
+	size of the island's state.
+	*/
+	'static replacements': {
+		/** + `worst` replaces the worst elements of the island.
+		*/
+		worst: function worst(island, migrants) {
+			var state = island.state,
+				count = Math.min(migrants.length, state.length);
+			island.state = state.slice(0, state.length - count).concat(migrants.slice(0, count));
+		},
+
+		/** + `random` replaces elements of the island chosen at random.
+		*/
+		random: function random(island, migrants) {
+			var state = island.state.slice(),
+				count = Math.min(migrants.length, state.length),
+				indices = this.random.choices(count, Iterable.range(state.length).toArray());
+			indices.forEach(function (index, i) {
+				state[index] = migrants[i];
+			});
+			island.state = state;
+		},
+
+		/** + `worseThanMigrants` replaces the worst elements of the island only with the migrants
+		that are better than them.
+		*/
+		worseThanMigrants: function worseThanMigrants(island, migrants) {
+			var state = island.sort(island.state.concat(migrants));
+			island.state = state.slice(0, island.state.length);
+		}
+	}, // IslandModel.replacements
+
+	// ## Utilities ################################################################################
+
+	/** Serialization and materialization using Sermat. The islands are serialized without their
+	problem, which is the island model's.
+	*/
+	'static __SERMAT__': {
+		identifier: 'IslandModel',
+		serializer: function serialize_IslandModel(obj) {
+			var params = obj.__params__('migrationInterval', 'migrantCount');
+			params.islands = Metaheuristic.__innerRecords__(obj.islands);
+			params.topology = operatorReference(obj.topology);
+			params.migrantSelection = operatorReference(obj.migrantSelection);
+			params.replacement = operatorReference(obj.replacement);
+			return [params];
+		},
+		materializer: function materialize_IslandModel(obj, args, type) {
+			if (!args) {
+				return null;
+			}
+			var params = base.copy({
+					islands: Metaheuristic.__fromInnerRecords__(this, args[0].islands,
+						args[0].problem),
+					topology: operatorFromReference(args[0].topology),
+					migrantSelection: operatorFromReference(args[0].migrantSelection),
+					replacement: operatorFromReference(args[0].replacement)
+				}, args[0]);
+			return new type(params);
+		}
+	}
+}); // declare IslandModel.
+
+/** The topologies, migrant selections and replacements are registered (see
+`utilities.registerOperators`), with names like `IslandModel.topologies.ring`.
+*/
+registerOperators('IslandModel.topologies', IslandModel.topologies);
+registerOperators('IslandModel.migrantSelections', IslandModel.migrantSelections);
+registerOperators('IslandModel.replacements', IslandModel.replacements);
@@ -0,0 +1,315 @@
+﻿/** # MOEA/D
+
+The [Multi-Objective Evolutionary Algorithm based on
+Decomposition](https://doi.org/10.1109/TEVC.2007.892759) splits a multi-objective problem in many
+single-objective subproblems, one for each vector of a uniform set of weights. Each subproblem
+aggregates the objectives with a scalarizing function (see `MOEAD.scalarizations`), and has an
+element in the state. The subproblems with close weight vectors form neighbourhoods, which share
+their elements: new elements are built from parents in the same neighbourhood, and may replace the
+elements of the neighbouring subproblems. No Pareto sorting is needed, hence it scales better than
+other metaheuristics with the amount of objectives.
+
+The objectives are compared by their losses (see `Problem.objectiveLosses`), so minimization,
+maximization and approximation are supported. In this implementation all new elements of a step are
+built and evaluated together, and then they replace the elements of the subproblems.
+
+For further information, see:
+
++ Zhang, Q.; Li, H. [_"MOEA/D: A Multiobjective Evolutionary Algorithm Based on
+	Decomposition"_](https://doi.org/10.1109/TEVC.2007.892759). IEEE Transactions on Evolutionary
+	Computation, vol. 11, no. 6, pp. 712-731, 2007.
+*/
+var MOEAD = metaheuristics.MOEAD = declare(GeneticAlgorithm, {
+	/** The constructor takes the `mutationRate`, `crossover` and `mutation` parameters of
+	`GeneticAlgorithm`, and also the following ones:
+	*/
+	constructor: function MOEAD(params) {
+		GeneticAlgorithm.call(this, params);
+		initialize(this, params)
+		/** + `divisions=0` is the amount of divisions of each objective's axis used to build the
+		weight vectors (see `utilities.simplexLattice`). If it is 0, the greatest amount of
+		divisions that gives no more weight vectors than the `size` is used.
+		*/
+			.integer('divisions', { defaultValue: 0, coerce: true, minimum: 0 })
+		/** + `neighbourhoodSize=20` is the amount of subproblems in each neighbourhood, i.e. the
+		ones with the closest weight vectors, including the subproblem's own.
+		*/
+			.integer('neighbourhoodSize', { defaultValue: 20, coerce: true, minimum: 1 })
+		/** + `neighbourhoodProbability=0.9` is the chance of mating and replacing within the
+		neighbourhood of a subproblem, instead of within the whole state.
+		*/
+			.number('neighbourhoodProbability', { defaultValue: 0.9, coerce: true,
+				minimum: 0, maximum: 1 })
+		/** + `replacementLimit=2` is the maximum amount of elements each new element can replace.
+		*/
+			.integer('replacementLimit', { defaultValue: 2, coerce: true, minimum: 1 })
+		/** + `ideal` is the ideal point, i.e. the least loss found so far for each objective. It is
+		updated during the run (see `updateIdeal`).
+		*/
+			.array('ideal', { ignore: true });
+		/** + `scalarization=tchebycheff` is the function that aggregates the objectives in a
+		subproblem (see `MOEAD.scalarizations`), or its operator reference.
+		*/
+		this.scalarization = operatorFromReference(params && params.scalarization ||
+			MOEAD.scalarizations.tchebycheff);
+	},
+
+	/** The `decomposition()` builds the `weights`, an array with a weight vector for each
+	subproblem, and the `neighbourhoods`, an array with the indexes of the subproblems in the
+	neighbourhood of each subproblem, closest first. Both depend only on the parameters, hence they
+	are not part of the checkpoints. Single-objective problems have `size` subproblems, all with the
+	same weight, and the neighbourhoods are made of contiguous subproblems.
+	*/
+	decomposition: function decomposition() {
+		var count = this.problem.objectives.length,
+			divisions = this.divisions,
+			weights, neighbourhoodSize;
+		if (count < 2) {
+			weights = Iterable.range(this.size).map(function () {
+				return [1];
+			}).toArray();
+		} else {
+			if (!divisions) {
+				for (divisions = 1; simplexLatticeSize(count, divisions + 1) <= this.size;) {
+					divisions++;
+				}
+			}
+			weights = simplexLattice(count, divisions);
+		}
+		neighbourhoodSize = Math.min(this.neighbourhoodSize, weights.length);
+		this.weights = weights;
+		this.neighbourhoods = weights.map(function (weight1, i) {
+			var distances = weights.map(function (weight2) {
+				return Math.sqrt(iterable(weight1).zip(weight2).mapApply(function (w1, w2) {
+					return (w1 - w2) * (w1 - w2);
+				}).sum());
+			});
+			return Iterable.range(weights.length).toArray().sort(function (i1, i2) {
+				return distances[i1] - distances[i2] ||
+					Math.abs(i1 - i) - Math.abs(i2 - i) || i1 - i2;
+			}).slice(0, neighbourhoodSize);
+		});
+		return weights;
+	},
+
+	/** The initial state has a random element for each subproblem, in the same order as the
+	`weights`. Hence the state may be smaller than the `size`.
+	*/
+	initiate: function initiate() {
+		this.decomposition();
+		this.ideal = null;
+		return GeneticAlgorithm.prototype.initiate.call(this, this.weights.length);
+	},
+
+	/** In multi-objective problems the state is not sorted, since each element belongs to a
+	subproblem. In single-objective problems all subproblems are the same, so the state is sorted as
+	usual.
+	*/
+	multiObjectiveSort: function multiObjectiveSort(elements) {
+		return elements;
+	},
+
+	/** After every evaluation the ideal point is updated with the evaluated elements.
+	*/
+	evaluate: function evaluate(elements) {
+		var mh = this;
+		return Future.then(GeneticAlgorithm.prototype.evaluate.call(this, elements),
+			function (elements) {
+				mh.updateIdeal(elements);
+				return elements;
+			});
+	},
+
+	/** `updateIdeal(elements)` updates the `ideal` point with the losses of the given elements
+	(see `Problem.objectiveLosses`), and returns it.
+	*/
+	updateIdeal: function updateIdeal(elements) {
+		var problem = this.problem,
+			ideal = this.ideal;
+		elements.forEach(function (element) {
+			var losses = problem.objectiveLosses(element.evaluation);
+			ideal = !ideal ? losses : ideal.map(function (value, i) {
+				return Math.min(value, losses[i]);
+			});
+		});
+		this.ideal = ideal;
+		return ideal;
+	},
+
+	/** `scalarized(element, i)` is the value of the `element` for the `i`-th subproblem, which
+	must be minimized.
+	*/
+	scalarized: function scalarized(element, i) {
+		return this.scalarization(this.problem.objectiveLosses(element.evaluation), this.weights[i],
+			this.ideal);
+	},
+
+	/** At each step a new element is built for every subproblem, with parents from its
+	neighbourhood, or from the whole state with a `1 - neighbourhoodProbability` chance (see
+	`offspring`). After all new elements are evaluated, each one may replace some elements in the
+	same pool it was built from (see `replacement`). Finally the state is sorted (see
+	`multiObjectiveSort`).
+	*/
+	update: function update() {
+		if (!this.weights) { // E.g. when resuming a run from a checkpoint.
+			this.decomposition();
+		}
+		var mh = this,
+			all = Iterable.range(this.state.length).toArray(),
+			pools = this.state.map(function (_, i) {
+				return mh.random.randomBool(mh.neighbourhoodProbability) ?
+					mh.neighbourhoods[i] : all;
+			}),
+			expansion = pools.map(function (pool) {
+				return mh.offspring(pool);
+			});
+		this.onExpand();
+		return Future.then(this.evaluate(expansion.slice()), function () {
+			expansion.forEach(function (element, i) {
+				mh.replacement(element, pools[i]);
+			});
+			mh.sort();
+			mh.updateSuccessRate(expansion);
+			mh.onUpdate();
+			return mh;
+		});
+	},
+
+	/** `offspring(pool)` returns a new element, built by the `crossover` of two elements of the
+	subproblems with indexes in the `pool`, chosen at random, and possibly mutated with the
+	`mutationRate` (which may be self-adaptive, see `Metaheuristic.parameterControls`).
+	*/
+	offspring: function offspring(pool) {
+		var i1 = this.random.randomInt(pool.length),
+			i2 = pool.length > 1 ? this.random.randomInt(pool.length - 1) : i1,
+			parents, parameters, child;
+		if (pool.length > 1 && i2 >= i1) {
+			i2++;
+		}
+		parents = [this.state[pool[i1]], this.state[pool[i2]]];
+		parameters = this.inheritedParameters(parents);
+		child = this.crossover(parents)[0];
+		if (this.random.randomBool(this.parameter('mutationRate', parameters))) {
+			child = this.mutation(child);
+		}
+		return this.inherit(child, parameters);
+	},
+
+	/** `replacement(element, pool)` replaces the elements of the subproblems with indexes in the
+	`pool`, taken in random order, with the given `element` if it is not worse for them. No more
+	than `replacementLimit` elements are replaced. Returns the amount of replaced elements.
+	*/
+	replacement: function replacement(element, pool) {
+		var count = 0,
+			i;
+		pool = this.random.shuffle(pool);
+		for (var n = 0; n < pool.length && count < this.replacementLimit; n++) {
+			i = pool[n];
+			if (this.scalarized(element, i) <= this.scalarized(this.state[i], i)) {
+				this.state[i] = element;
+				count++;
+			}
+		}
+		return count;
+	},
+
+	/** Besides the usual statistics, the values of the elements in their subproblems are recorded
+	(with the `scalarization` key).
+	*/
+	analyze: function analyze(statistics) {
+		statistics = GeneticAlgorithm.prototype.analyze.call(this, statistics);
+		if (statistics) {
+			var mh = this,
+				stat = statistics.stat({ key: 'scalarization', step: this.step });
+			this.state.forEach(function (element, i) {
+				stat.add(mh.scalarized(element, i), element);
+			});
+		}
+		return statistics;
+	},
+
+	/** ## Scalarizations ##########################################################################
+
+	`MOEAD.scalarizations` is a bundle of scalarizing functions. These take the `losses` of an
+	element, the `weights` of a subproblem and the `ideal` point, and return a value that must be
+	minimized. The implemented functions are:
+	*/
+	'static scalarizations': {
+		/** + `weightedSum(losses, weights, ideal)` is the sum of the differences between the
+		losses and the ideal point, multiplied by the weights. It cannot reach the elements in the
+		concave parts of the Pareto front.
+		*/
+		weightedSum: function weightedSum(losses, weights, ideal) {
+			var result = 0;
+			for (var i = 0; i < losses.length; i++) {
+				result += weights[i] * (losses[i] - ideal[i]);
+			}
+			return result;
+		},
+
+		/** + `tchebycheff(losses, weights, ideal)` is the greatest of the differences between the
+		losses and the ideal point, multiplied by the weights. Weights of zero are taken as 1e-6.
+		*/
+		tchebycheff: function tchebycheff(losses, weights, ideal) {
+			var result = -Infinity;
+			for (var i = 0; i < losses.length; i++) {
+				result = Math.max(result,
+					Math.max(weights[i], 1e-6) * Math.abs(losses[i] - ideal[i]));
+			}
+			return result;
+		},
+
+		/** + `pbi(theta=5)` builds a penalty-based boundary intersection function. It is the
+		distance from the ideal point along the direction of the weights, plus `theta` times the
+		distance to the line with that direction.
+		*/
+		pbi: function pbi(theta) {
+			theta = isNaN(theta) ? 5 : +theta;
+			var scalarization = function pbi(losses, weights, ideal) {
+				var norm = Math.sqrt(iterable(weights).map(function (w) {
+						return w * w;
+					}).sum()),
+					d1 = 0, d2 = 0, d, i;
+				for (i = 0; i < losses.length; i++) {
+					d1 += (losses[i] - ideal[i]) * weights[i] / norm;
+				}
+				d1 = Math.abs(d1);
+				for (i = 0; i < losses.length; i++) {
+					d = losses[i] - ideal[i] - d1 * weights[i] / norm;
+					d2 += d * d;
+				}
+				return d1 + theta * Math.sqrt(d2);
+			};
+			scalarization.__operator__ = ['MOEAD.scalarizations.pbi', theta];
+			return scalarization;
+		}
+	}, // MOEAD.scalarizations
+
+	// ## Utilities ################################################################################
+
+	/** Serialization and materialization using Sermat, like `GeneticAlgorithm`. The `ideal` point
+	is part of the run's state.
+	*/
+	'static __SERMAT__': {
+		identifier: 'MOEAD',
+		serializer: function serialize_MOEAD(obj) {
+			var args = GeneticAlgorithm.__SERMAT__.serializer(obj),
+				params = args[0];
+			params.divisions = obj.divisions;
+			params.neighbourhoodSize = obj.neighbourhoodSize;
+			params.neighbourhoodProbability = obj.neighbourhoodProbability;
+			params.replacementLimit = obj.replacementLimit;
+			params.scalarization = operatorReference(obj.scalarization);
+			if (obj.step >= 0 && obj.ideal) {
+				params.ideal = obj.ideal;
+			}
+			return args;
+		},
+		materializer: GeneticAlgorithm.__SERMAT__.materializer
+	}
+}); // declare MOEAD.
+
+/** The scalarizations are registered (see `utilities.registerOperators`), with names like
+`MOEAD.scalarizations.tchebycheff`.
+*/
+registerOperators('MOEAD.scalarizations', MOEAD.scalarizations);
@@ -0,0 +1,65 @@
+﻿/** # NSGA-II
+
+The [Non-dominated Sorting Genetic Algorithm II](https://doi.org/10.1109/4235.996017) is a
+multi-objective genetic algorithm. At each step as many new elements as the population's size are
+generated, selected by binary tournaments with the crowded comparison. Then parents and offspring
+are sorted in fronts of non-dominated elements, and the elements in each front by their crowding
+distance. The next population is taken from this order, i.e. front by front, and the least crowded
+elements of the last front that fits partially.
+
+For further information, see:
+
++ Deb, K.; Pratap, A.; Agarwal, S.; Meyarivan, T. [_"A fast and elitist multiobjective genetic
+	algorithm: NSGA-II"_](https://doi.org/10.1109/4235.996017). IEEE Transactions on Evolutionary
+	Computation, vol. 6, no. 2, pp. 182-197, 2002.
+*/
+var NSGA2 = metaheuristics.NSGA2 = declare(GeneticAlgorithm, {
+	/** The constructor takes the same parameters as `GeneticAlgorithm`, with different defaults:
+
+	+ `expansionRate=1`, hence the amount of offspring is the population's size.
+
+	+ `selection=crowdedTournamentSelection` (see `GeneticAlgorithm.selections`).
+	*/
+	constructor: function NSGA2(params) {
+		GeneticAlgorithm.call(this, Object.assign({
+			expansionRate: 1,
+			selection: GeneticAlgorithm.selections.crowdedTournamentSelection
+		}, params));
+	},
+
+	/** Multi-objective problems are sorted with `nonDominatedSort` (the default
+	`multiObjectiveSort`), which sets the `rank` (i.e. the index of the front) and the
+	`crowdingDistance` of every element.
+
+	`fronts()` returns the fronts of non-dominated elements in the current state, as an array of
+	arrays of elements (see `nonDominatedFronts`). The first one is the best approximation of the
+	Pareto front found so far. Since the state is made of the first fronts of the sorted elements,
+	the ranks of its elements do not change.
+	*/
+	fronts: function fronts() {
+		return this.nonDominatedFronts(this.state.slice());
+	},
+
+	/** Besides the usual statistics, the amount of `fronts` in the state and the size of the
+	first one (`front_size`) are recorded for multi-objective problems.
+	*/
+	analyze: function analyze(statistics) {
+		statistics = GeneticAlgorithm.prototype.analyze.call(this, statistics);
+		if (statistics && this.problem.objectives.length > 1) {
+			var fronts = this.fronts();
+			statistics.add({ key: 'fronts', step: this.step }, fronts.length);
+			statistics.add({ key: 'front_size', step: this.step }, fronts[0].length);
+		}
+		return statistics;
+	},
+
+	// ## Utilities ################################################################################
+
+	/** Serialization and materialization using Sermat, like `GeneticAlgorithm`.
+	*/
+	'static __SERMAT__': {
+		identifier: 'NSGA2',
+		serializer: GeneticAlgorithm.__SERMAT__.serializer,
+		materializer: GeneticAlgorithm.__SERMAT__.materializer
+	}
+}); // declare NSGA2.
@@ -0,0 +1,291 @@
+﻿/** # NSGA-III
+
+The [Non-dominated Sorting Genetic Algorithm III](https://doi.org/10.1109/TEVC.2013.2281535) is a
+variant of `NSGA2` meant for problems with many objectives, where the crowding distance does not
+discriminate well between elements. The next population is also taken front by front, but the
+elements of the last front that fits partially are chosen by how they spread over a set of
+reference points. The objectives are normalized with the ideal point and the intercepts of the
+hyperplane through the extreme points of the population. Every element is associated with the
+reference point whose line from the origin is closest, and the elements associated with the least
+crowded reference points are preferred (the _niche-preserving_ selection).
+
+The objectives are compared by their losses (see `Problem.objectiveLosses`), so minimization,
+maximization and approximation are supported.
+
+For further information, see:
+
++ Deb, K.; Jain, H. [_"An Evolutionary Many-Objective Optimization Algorithm Using
+	Reference-Point-Based Nondominated Sorting Approach, Part I: Solving Problems With Box
+	Constraints"_](https://doi.org/10.1109/TEVC.2013.2281535). IEEE Transactions on Evolutionary
+	Computation, vol. 18, no. 4, pp. 577-601, 2014.
+*/
+var NSGA3 = metaheuristics.NSGA3 = declare(NSGA2, {
+	/** The constructor takes the same parameters as `NSGA2`. Since no crowding distances are
+	calculated, the default `crowdedTournamentSelection` compares only the ranks of the elements.
+	Also, it takes the following parameters:
+	*/
+	constructor: function NSGA3(params) {
+		NSGA2.call(this, params);
+		initialize(this, params)
+		/** + `divisions=0` is the amount of divisions of each objective's axis used to build the
+		reference points (see `utilities.simplexLattice`). If it is 0, the greatest amount of
+		divisions that gives no more reference points than the `size` is used.
+		*/
+			.integer('divisions', { defaultValue: 0, coerce: true, minimum: 0 })
+		/** + `referencePoints` is an array of reference points, which may be given instead of
+		building them with `divisions`. These should be in the normalized objective space, e.g. in
+		the unit simplex.
+		*/
+			.array('referencePoints', { ignore: true });
+	},
+
+	/** `references()` returns the reference points, either the given `referencePoints` or the
+	ones built with `divisions`.
+	*/
+	references: function references() {
+		if (this.referencePoints) {
+			return this.referencePoints;
+		}
+		if (!this.__references__) {
+			var count = this.problem.objectives.length,
+				divisions = this.divisions;
+			if (!divisions) {
+				for (divisions = 1; count > 1 &&
+						simplexLatticeSize(count, divisions + 1) <= this.size;) {
+					divisions++;
+				}
+			}
+			this.__references__ = simplexLattice(count, divisions);
+		}
+		return this.__references__;
+	},
+
+	/** Multi-objective problems are sorted by the rank of their front (see
+	`nonDominatedFronts`), like in `NSGA2`. The elements of the last front that fits partially in
+	the next population (i.e. the first `size` elements) are sorted by the order in which they are
+	chosen by the `niching` selection. The elements of all fronts up to this one get their `niche`
+	and `nicheDistance` (see `association`).
+	*/
+	multiObjectiveSort: function multiObjectiveSort(elements) {
+		var fronts = this.nonDominatedFronts(elements),
+			selected = [],
+			lastFront = [],
+			i = 0;
+		for (; i < fronts.length && selected.length + fronts[i].length <= this.size; i++) {
+			selected = selected.concat(fronts[i]);
+		}
+		if (i < fronts.length && selected.length < this.size) {
+			lastFront = fronts[i++];
+		}
+		this.association(selected.concat(lastFront));
+		lastFront = this.niching(selected, lastFront, this.size - selected.length);
+		selected.concat(lastFront).concat(Array.prototype.concat.apply([], fronts.slice(i)))
+			.forEach(function (element, n) {
+				elements[n] = element;
+			});
+		return elements;
+	},
+
+	/** The `normalization(elements)` returns the losses of the given elements (see
+	`Problem.objectiveLosses`), translated by the ideal point (i.e. the least losses) and divided
+	by the intercepts of the hyperplane that goes through the extreme points (see `intercepts`).
+	*/
+	normalization: function normalization(elements) {
+		var problem = this.problem,
+			losses = elements.map(function (element) {
+				return problem.objectiveLosses(element.evaluation);
+			}),
+			count = problem.objectives.length,
+			ideal = Iterable.range(count).map(function (i) {
+				return Math.min.apply(Math, losses.map(function (ls) {
+					return ls[i];
+				}));
+			}).toArray(),
+			translated = losses.map(function (ls) {
+				return ls.map(function (l, i) {
+					return l - ideal[i];
+				});
+			}),
+			intercepts = this.intercepts(translated);
+		return translated.map(function (ls) {
+			return ls.map(function (l, i) {
+				return l / intercepts[i];
+			});
+		});
+	},
+
+	/** The `intercepts(points)` of the hyperplane that goes through the extreme points, i.e. the
+	points that minimize the achievement scalarizing function for each objective axis. If this
+	hyperplane cannot be built, or its intercepts are not positive, the greatest value of each
+	objective is used instead.
+	*/
+	intercepts: function intercepts(points) {
+		var count = this.problem.objectives.length,
+			extremes = Iterable.range(count).map(function (axis) {
+				return iterable(points).lesser(function (point) {
+					return Math.max.apply(Math, point.map(function (v, i) {
+						return v / (i === axis ? 1 : 1e-6);
+					}));
+				})[0] || points[0];
+			}).toArray(),
+			matrix = extremes.map(function (point) { // Solves `extremes * b = 1`.
+				return point.concat([1]);
+			}),
+			result, pivot, factor, i, j, k;
+		for (i = 0; i < count && matrix; i++) { // Gaussian elimination with partial pivoting.
+			pivot = i;
+			for (j = i + 1; j < count; j++) {
+				if (Math.abs(matrix[j][i]) > Math.abs(matrix[pivot][i])) {
+					pivot = j;
+				}
+			}
+			if (!(Math.abs(matrix[pivot][i]) > 1e-10)) {
+				matrix = null; // Singular matrix.
+			} else {
+				k = matrix[i];
+				matrix[i] = matrix[pivot];
+				matrix[pivot] = k;
+				for (j = 0; j < count; j++) {
+					if (j !== i) {
+						factor = matrix[j][i] / matrix[i][i];
+						for (k = i; k <= count; k++) {
+							matrix[j][k] -= factor * matrix[i][k];
+						}
+					}
+				}
+			}
+		}
+		result = matrix && matrix.map(function (row, i) {
+			return row[i] / row[count]; // The intercept is 1 / b[i].
+		});
+		if (!result || result.some(function (v) {
+			return !(v > 1e-6) || !isFinite(v);
+		})) {
+			result = Iterable.range(count).map(function (i) {
+				return Math.max.apply(Math, points.map(function (point) {
+					return point[i];
+				}));
+			}).toArray();
+		}
+		return result.map(function (v) {
+			return v > 1e-10 ? v : 1;
+		});
+	},
+
+	/** The `association(elements)` normalizes the given elements (see `normalization`), and
+	associates each one with the closest reference point (see `references`), in terms of the
+	perpendicular distance to the line that goes from the origin to the reference point. The index
+	of this reference point is set as the element's `niche`, and the distance as its
+	`nicheDistance`.
+	*/
+	association: function association(elements) {
+		if (elements.length < 1) {
+			return elements;
+		}
+		var references = this.references(),
+			norms = references.map(function (reference) {
+				return iterable(reference).map(function (r) {
+					return r * r;
+				}).sum();
+			});
+		this.normalization(elements).forEach(function (point, n) {
+			var element = elements[n];
+			element.niche = -1;
+			element.nicheDistance = Infinity;
+			references.forEach(function (reference, j) {
+				var t = iterable(point).zip(reference).mapApply(function (p, r) {
+						return p * r;
+					}).sum() / norms[j],
+					distance = Math.sqrt(iterable(point).zip(reference).mapApply(function (p, r) {
+						return (p - t * r) * (p - t * r);
+					}).sum());
+				if (distance < element.nicheDistance) {
+					element.niche = j;
+					element.nicheDistance = distance;
+				}
+			});
+		});
+		return elements;
+	},
+
+	/** The `niching(selected, front, count)` chooses `count` elements of the `front`, given the
+	elements already `selected` for the next population. The reference point with the fewest
+	associated elements (ties are broken at random) gets the associated element of the front that
+	is closest to it, if it has none yet, or a random one otherwise. Reference points with no
+	associated elements left in the front are not considered any more. Returns the elements of the
+	front, the chosen ones first.
+	*/
+	niching: function niching(selected, front, count) {
+		if (count >= front.length) {
+			return front;
+		}
+		var random = this.random,
+			counts = this.references().map(function () {
+				return 0;
+			}),
+			candidates = counts.map(function () {
+				return [];
+			}),
+			available = Iterable.range(counts.length).toArray(),
+			chosen = [],
+			least, j, members, element;
+		selected.forEach(function (element) {
+			counts[element.niche]++;
+		});
+		front.forEach(function (element) {
+			candidates[element.niche].push(element);
+		});
+		while (chosen.length < count && available.length > 0) {
+			least = iterable(available).lesser(function (j) {
+				return counts[j];
+			});
+			j = random.choice(least);
+			members = candidates[j];
+			if (members.length < 1) {
+				available.splice(available.indexOf(j), 1);
+			} else {
+				element = counts[j] === 0 ? iterable(members).lesser(function (member) {
+					return member.nicheDistance;
+				})[0] : random.choice(members);
+				members.splice(members.indexOf(element), 1);
+				chosen.push(element);
+				counts[j]++;
+			}
+		}
+		return chosen.concat(front.filter(function (element) {
+			return chosen.indexOf(element) < 0;
+		}));
+	},
+
+	/** Besides the statistics of `NSGA2`, the amount of reference points with associated elements
+	in the state (`niches`) is recorded for multi-objective problems.
+	*/
+	analyze: function analyze(statistics) {
+		statistics = NSGA2.prototype.analyze.call(this, statistics);
+		if (statistics && this.problem.objectives.length > 1) {
+			var niches = {};
+			this.state.forEach(function (element) {
+				niches[element.niche] = true;
+			});
+			statistics.add({ key: 'niches', step: this.step }, Object.keys(niches).length);
+		}
+		return statistics;
+	},
+
+	// ## Utilities ################################################################################
+
+	/** Serialization and materialization using Sermat, like `GeneticAlgorithm`.
+	*/
+	'static __SERMAT__': {
+		identifier: 'NSGA3',
+		serializer: function serialize_NSGA3(obj) {
+			var args = GeneticAlgorithm.__SERMAT__.serializer(obj);
+			args[0].divisions = obj.divisions;
+			if (obj.referencePoints) {
+				args[0].referencePoints = obj.referencePoints;
+			}
+			return args;
+		},
+		materializer: GeneticAlgorithm.__SERMAT__.materializer
+	}
+}); // declare NSGA3.
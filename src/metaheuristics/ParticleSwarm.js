@@ -33,18 +33,24 @@ var ParticleSwarm = metaheuristics.ParticleSwarm = declare(Metaheuristic, {
 	*/
 	initiate: function initiate(size) {
 		Metaheuristic.prototype.initiate.call(this, size);
-		var mh = this,
-			result = this.state.forEach(function (element) {
-				var model = element.model;
-				element.__velocity__ = mh.random.randoms(model.length, -1, +1).map(function (v, i) {
-					return v * model[i].n;
-				});
-				element.__localBest__ = element;
-			});
+		var result = this.state.forEach(this.initiateParticle, this);
 		this.onInitiate();
 		return result;
 	},
 
+	/** `initiateParticle(element)` sets a random velocity to the given element, and itself as its
+	best position. Elements that enter the swarm from elsewhere (e.g. migrants in an `IslandModel`)
+	are initiated as particles when the state is updated.
+	*/
+	initiateParticle: function initiateParticle(element) {
+		element.__velocity__ = this.random.randoms(element.model.length, -1, +1).map(function (v, i) {
+			var range = element.valueRange(i);
+			return v * (range[1] - range[0]);
+		});
+		element.__localBest__ = element;
+		return element;
+	},
+
 	/** The method `nextVelocity` calculates the velocity of the particle for the next iteration.
 	*/
 	nextVelocity: function nextVelocity(element, globalBest) {
@@ -66,10 +72,9 @@ var ParticleSwarm = metaheuristics.ParticleSwarm = declare(Metaheuristic, {
 	*/
 	nextElement: function nextElement(element, globalBest) {
 		var mh = this,
-			model = element.model,
 			nextVelocity = this.nextVelocity(element, globalBest),
 			nextValues = element.values().map(function (v, i) {
-				return clamp(v + nextVelocity[i], 0, model[i].n - 1);
+				return element.coerceValue(v + nextVelocity[i], i);
 			}),
 			result = new this.problem.Element(nextValues);
 		return Future.then(result.evaluate(), function () {
@@ -91,9 +96,13 @@ var ParticleSwarm = metaheuristics.ParticleSwarm = declare(Metaheuristic, {
 			globalBest = this.__globalBest__ = this.state[0];
 		}
 		return Future.all(this.state.map(function (element) {
+			if (!element.__velocity__) {
+				mh.initiateParticle(element);
+			}
 			return mh.nextElement(element, globalBest);
 		})).then(function (elements) {
 			elements = mh.sort(elements);
+			mh.updateHallOfFame(elements);
 			mh.state = elements;
 			if (mh.problem.compare(mh.__globalBest__, elements[0]) < 0) {
 				mh.__globalBest__ = elements[0];
@@ -110,7 +119,36 @@ var ParticleSwarm = metaheuristics.ParticleSwarm = declare(Metaheuristic, {
 	'static __SERMAT__': {
 		identifier: 'ParticleSwarm',
 		serializer: function serialize_ParticleSwarm(obj) {
-			return [obj.__params__('inertia', 'localAcceleration', 'globalAcceleration')];
+			var params = obj.__params__('inertia', 'localAcceleration', 'globalAcceleration');
+			if (obj.step >= 0) { // The velocities and best positions are part of the run's state.
+				params.velocities = obj.state.map(function (element) {
+					return element.__velocity__ || null;
+				});
+				params.localBests = obj.state.map(function (element) {
+					return element.__localBest__ || null;
+				});
+				if (obj.__globalBest__) {
+					params.globalBest = obj.__globalBest__;
+				}
+			}
+			return [params];
+		},
+		materializer: function materialize_ParticleSwarm(obj, args, type) {
+			if (!args) {
+				return null;
+			}
+			var params = args[0],
+				mh = new type(params);
+			if (params.velocities) {
+				mh.state.forEach(function (element, i) {
+					element.__velocity__ = params.velocities[i];
+					element.__localBest__ = params.localBests[i];
+				});
+			}
+			if (params.globalBest) {
+				mh.__globalBest__ = params.globalBest;
+			}
+			return mh;
 		}
 	}
 }); // declare ParticleSwarm.
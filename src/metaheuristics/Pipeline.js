@@ -0,0 +1,186 @@
+﻿/** # Pipeline
+
+A `Pipeline` runs a sequence of metaheuristics (the stages) on the same problem, one after the
+other. Each stage runs until its own `termination` is met, and then the next stage starts with the
+final state of the previous one as its `seed`. A common use is a global search followed by a local
+polish, e.g. `DifferentialEvolution` followed by `HillClimbing`.
+
+The state of the pipeline is the state of its current stage. Its statistics are continuous across
+stages: the steps of the pipeline count the steps of all stages, and the statistics of every stage
+are included with an additional `stage` key with the stage's index.
+*/
+var Pipeline = metaheuristics.Pipeline = declare(Metaheuristic, {
+	/** The constructor takes the following parameters:
+	*/
+	constructor: function Pipeline(params) {
+		Metaheuristic.call(this, params);
+		initialize(this, params)
+			/** + `stages` is the array of metaheuristics to run. Their `problem` is always the one of
+			the pipeline, and its constraint handling is adapted by the pipeline only. By default a
+			`GeneticAlgorithm` is followed by a `HillClimbing` with the same `size`, splitting the
+			`steps` between them.
+			*/
+			.array('stages', { ignore: true })
+			/** + `stage=0` is the index of the current stage.
+			*/
+			.integer('stage', { defaultValue: 0, coerce: true, minimum: 0 });
+		if (!this.stages) {
+			this.stages = this.defaultStages();
+		}
+		raiseIf(this.stages.length < 1, "A pipeline must have at least one stage!");
+		this.stages.forEach(function (stage) {
+			raiseIf(!(stage instanceof Metaheuristic), "Invalid stage ", stage, "!");
+			stage.problem = this.problem;
+			stage.adaptsConstraintHandling = false; // The pipeline adapts it.
+		}, this);
+	},
+
+	/** The pipeline finishes when its last stage does. Its `termination` only checks the problem's
+	`sufficientElements` by default.
+	*/
+	termination: Termination.sufficientElements(),
+
+	/** `defaultStages()` builds a `GeneticAlgorithm` and a `HillClimbing`, both with the `size` of
+	the pipeline. The former takes half the `steps`.
+	*/
+	defaultStages: function defaultStages() {
+		var globalSteps = Math.ceil(this.steps / 2);
+		return [
+			new GeneticAlgorithm({ problem: this.problem, random: this.random, logger: this.logger,
+				hallOfFame: 0, size: this.size, steps: globalSteps }),
+			new HillClimbing({ problem: this.problem, random: this.random, logger: this.logger,
+				hallOfFame: 0, size: this.size, steps: Math.max(0, this.steps - globalSteps - 1) })
+		];
+	},
+
+	/** `currentStage()` returns the metaheuristic of the current stage.
+	*/
+	currentStage: function currentStage() {
+		return this.stages[this.stage];
+	},
+
+	/** The pipeline is initiated by advancing its first stage, hence it evaluates its initial
+	state.
+	*/
+	initiate: function initiate() {
+		var mh = this,
+			stage = this.currentStage();
+		this.stages.forEach(function (stage) {
+			stage.problem = mh.problem;
+		});
+		return Future.then(stage.advance(), function () {
+			mh.state = stage.state.slice();
+			mh.onInitiate();
+		});
+	},
+
+	/** Every update advances the current stage one step. If the current stage is finished, the
+	next one is started instead, seeded with the final state of the former. The pipeline's state is
+	a copy of the stage's, which is already evaluated and sorted, hence it is not sorted again.
+	*/
+	update: function update() {
+		var mh = this,
+			stage = this.currentStage();
+		if (this.stage < this.stages.length - 1 && stage.finished()) {
+			stage.__finish__();
+			this.stage++;
+			this.currentStage().seed = stage.state.slice();
+			stage = this.currentStage();
+		}
+		return Future.then(stage.advance(), function () {
+			mh.state = stage.state.slice();
+			mh.updateHallOfFame(mh.state);
+			mh.onEvaluate(mh.state);
+			mh.onUpdate();
+			return mh;
+		});
+	},
+
+	/** Besides its `termination`, the pipeline finishes after its last stage does. This is
+	reported as `Pipeline.lastStage`.
+	*/
+	finished: function finished() {
+		if (!Metaheuristic.prototype.finished.call(this) && this.lastStageFinished()) {
+			this.terminatedBy = Pipeline.lastStage;
+		}
+		return !!this.terminatedBy;
+	},
+
+	/** `lastStageFinished()` checks if the current stage is the last one, and it is finished.
+	*/
+	lastStageFinished: function lastStageFinished() {
+		var stage = this.currentStage();
+		return this.stage >= this.stages.length - 1 && stage.step >= 0 && stage.finished();
+	},
+
+	'static lastStage': Termination.predicate(function (mh) {
+		return mh.lastStageFinished();
+	}, 'lastStage'),
+
+	/** Finishing the pipeline also finishes its current stage.
+	*/
+	__finish__: function __finish__() {
+		var stage = this.currentStage();
+		if (stage.step >= 0) {
+			stage.__finish__();
+		}
+		return Metaheuristic.prototype.__finish__.call(this);
+	},
+
+	/** Besides the statistics of the state, the pipeline's statistics include those of its stages.
+	These are moved to the pipeline's statistics after every step, with the `step` of the pipeline.
+	*/
+	analyze: function analyze(statistics) {
+		statistics = Metaheuristic.prototype.analyze.call(this, statistics);
+		var stage = this.currentStage(),
+			index = this.stage,
+			step = this.step;
+		if (statistics && stage.statistics) {
+			stage.statistics.stats({}).forEach(function (stat) {
+				var keys = base.copy({ stage: index }, stat.keys);
+				if (keys.hasOwnProperty('step')) {
+					keys.step = step;
+				}
+				statistics.addStatistic(stat, keys);
+			});
+			stage.statistics = new Statistics();
+		}
+		return statistics;
+	},
+
+	/** Resetting the pipeline also resets all its stages, and goes back to the first one.
+	*/
+	reset: function reset() {
+		Metaheuristic.prototype.reset.call(this);
+		this.stage = 0;
+		(this.stages || []).forEach(function (stage) {
+			stage.reset();
+		});
+	},
+
+	// ## Utilities ################################################################################
+
+	/** Serialization and materialization using Sermat. The stages are serialized without their
+	problem, which is the pipeline's.
+	*/
+	'static __SERMAT__': {
+		identifier: 'Pipeline',
+		serializer: function serialize_Pipeline(obj) {
+			var params = obj.__params__();
+			params.stages = Metaheuristic.__innerRecords__(obj.stages);
+			if (obj.stage > 0) {
+				params.stage = obj.stage;
+			}
+			return [params];
+		},
+		materializer: function materialize_Pipeline(obj, args, type) {
+			if (!args) {
+				return null;
+			}
+			var params = base.copy({
+					stages: Metaheuristic.__fromInnerRecords__(this, args[0].stages, args[0].problem)
+				}, args[0]);
+			return new type(params);
+		}
+	}
+}); // declare Pipeline.
@@ -0,0 +1,245 @@
+﻿/** # Restarts
+
+Local searches like `HillClimbing`, `SimulatedAnnealing`, `GradientDescent` or `EvolutionStrategy`
+get stuck at local optima. `Restarts` wraps one of these metaheuristics, and runs it again every
+time it finishes, starting from random elements or from perturbations of the best element found so
+far. On every restart the population may grow, as in
+[IPOP](https://doi.org/10.1109/CEC.2005.1554902), and the step size (i.e. `delta`) may shrink.
+
+The state of the restarts is the state of the wrapped metaheuristic. The result of the run is the
+best element found across all restarts.
+*/
+var Restarts = metaheuristics.Restarts = declare(Metaheuristic, {
+	/** The constructor takes the following parameters:
+	*/
+	constructor: function Restarts(params) {
+		Metaheuristic.call(this, params);
+		initialize(this, params)
+			/** + `inner` is the metaheuristic to restart. Its `problem` is always the one of the
+			restarts, and its constraint handling is adapted by the restarts only, so restarting
+			does not reset it. When its run finishes (i.e. its `termination` is met, or it reaches
+			a local optimum in the case of `HillClimbing`) it is restarted. By default a
+			`HillClimbing` with the same `size` is used.
+			*/
+			.object('inner', { ignore: true })
+			/** + `seeding(size)` returns the `seed` of every restart. By default
+			`Restarts.seedings.random` is used.
+			*/
+			.func('seeding', { defaultValue: Restarts.seedings.random })
+			/** + `sizeGrowth=1` multiplies the `size` of the inner metaheuristic on every restart.
+			IPOP uses 2.
+			*/
+			.number('sizeGrowth', { defaultValue: 1, coerce: true, minimum: 1 })
+			/** + `deltaShrink=1` multiplies the `delta` (i.e. the step size) of the inner
+			metaheuristic on every restart.
+			*/
+			.number('deltaShrink', { defaultValue: 1, coerce: true, minimum: 0 })
+			/** + `restartCount=0` is the amount of restarts done in the current run.
+			*/
+			.integer('restartCount', { defaultValue: 0, coerce: true, minimum: 0 })
+			/** + `best` is the best element found across all restarts.
+			*/
+			.object('best', { ignore: true })
+			/** + `initialInner` has the `size`, `delta` and `seed` of the inner metaheuristic
+			before any restarts, which are restored by `reset`. By default these are taken from the
+			inner metaheuristic when the restarts are built.
+			*/
+			.object('initialInner', { ignore: true });
+		if (!this.inner) {
+			this.inner = new HillClimbing({ problem: this.problem, random: this.random,
+				logger: this.logger, hallOfFame: 0, size: this.size });
+		}
+		raiseIf(!(this.inner instanceof Metaheuristic), "Invalid inner metaheuristic ",
+			this.inner, "!");
+		this.inner.problem = this.problem;
+		this.inner.adaptsConstraintHandling = false; // The restarts adapt it.
+		this.size = this.inner.size;
+		if (!this.initialInner) {
+			this.initialInner = { size: this.inner.size };
+			if (typeof this.inner.delta === 'number') {
+				this.initialInner.delta = this.inner.delta;
+			}
+			if (this.inner.seed) {
+				this.initialInner.seed = this.inner.seed.slice();
+			}
+		}
+	},
+
+	/** The restarts are initiated by advancing the inner metaheuristic, hence it evaluates its
+	initial state.
+	*/
+	initiate: function initiate() {
+		var mh = this,
+			inner = this.inner;
+		inner.problem = this.problem;
+		return Future.then(inner.advance(), function () {
+			mh.state = inner.state.slice();
+			mh.updateBest();
+			mh.onInitiate();
+		});
+	},
+
+	/** Every update advances the inner metaheuristic one step. If it is finished, it is restarted
+	first (see `restart`). The state of the restarts is a copy of the inner metaheuristic's, which
+	is already evaluated and sorted, hence it is not sorted again.
+	*/
+	update: function update() {
+		var mh = this,
+			inner = this.inner;
+		if (inner.finished()) {
+			this.restart();
+		}
+		return Future.then(inner.advance(), function () {
+			mh.state = inner.state.slice();
+			mh.updateHallOfFame(mh.state);
+			mh.updateBest();
+			mh.onEvaluate(mh.state);
+			mh.onUpdate();
+			return mh;
+		});
+	},
+
+	/** `restart()` prepares the inner metaheuristic to start over. Its `size` is multiplied by
+	`sizeGrowth`, its `delta` (if it has one) by `deltaShrink`, and its `seed` is given by
+	`seeding`. The inner metaheuristic is then reset, so it is initiated in its next step.
+	*/
+	restart: function restart() {
+		var inner = this.inner;
+		this.restartCount++;
+		inner.__finish__();
+		inner.size = Math.round(inner.size * this.sizeGrowth);
+		if (typeof inner.delta === 'number') {
+			inner.delta *= this.deltaShrink;
+		}
+		this.size = inner.size;
+		inner.seed = this.seeding(inner.size);
+		inner.reset();
+		if (this.statistics) {
+			this.statistics.add({ key: 'restart', step: this.step + 1 }, this.restartCount);
+		}
+	},
+
+	/** `updateBest()` updates the `best` element across all restarts with the first element of
+	the state. It is called after every step.
+	*/
+	updateBest: function updateBest() {
+		var elem = this.state[0];
+		if (elem && (!this.best || this.problem.compare(elem, this.best) > 0)) {
+			this.best = elem;
+		}
+		return this.best;
+	},
+
+	/** After every evaluation the `best` element is updated as well (see `updateBest`).
+	*/
+	evaluate: function evaluate(elements) {
+		var mh = this;
+		return Future.then(Metaheuristic.prototype.evaluate.call(this, elements), function (elements) {
+			mh.updateBest();
+			return elements;
+		});
+	},
+
+	/** The result of the run is the `best` element found across all restarts, unless the
+	`hallOfFame` has a better one (see `Metaheuristic.bestElement`).
+	*/
+	bestElement: function bestElement() {
+		var best = Metaheuristic.prototype.bestElement.call(this);
+		return !this.best || (best && this.problem.compare(best, this.best) > 0) ? best : this.best;
+	},
+
+	/** Resetting the restarts also resets the inner metaheuristic, and restores its `size`,
+	`delta` and `seed` to the ones it had before any restarts (see `initialInner`).
+	*/
+	reset: function reset() {
+		Metaheuristic.prototype.reset.call(this);
+		this.restartCount = 0;
+		this.best = null;
+		var inner = this.inner,
+			initial = this.initialInner;
+		if (inner) {
+			if (initial) {
+				inner.size = this.size = initial.size;
+				if (initial.hasOwnProperty('delta')) {
+					inner.delta = initial.delta;
+				}
+				if (initial.seed) {
+					inner.seed = initial.seed.slice();
+				} else {
+					delete inner.seed;
+				}
+			}
+			inner.reset();
+		}
+	},
+
+	// ## Seedings #################################################################################
+
+	/** `Restarts.seedings` is a bundle of functions that build the seeds of the restarts. These
+	take the `size` of the inner metaheuristic, and return an array of elements. The rest of the
+	inner metaheuristic's state is filled with random elements.
+	*/
+	'static seedings': {
+		/** + `random` restarts from random elements, i.e. the seed is empty.
+		*/
+		random: function random(size) {
+			return [];
+		},
+
+		/** + `perturbed(ratio=0.5)` restarts from mutations of the best element found so far (see
+		`Element.mutatedValue`), in every dimension with the given `ratio`.
+		*/
+		perturbed: function perturbed(ratio) {
+			ratio = isNaN(ratio) ? 0.5 : +ratio;
+			var seeding = function perturbedSeeding(size) {
+				var random = this.random,
+					best = this.best;
+				return !best ? [] : Iterable.range(size).map(function () {
+					return new best.constructor(best.values().map(function (v, i) {
+						return best.mutatedValue(i, random, ratio);
+					}));
+				}).toArray();
+			};
+			seeding.__operator__ = ['Restarts.seedings.perturbed', ratio];
+			return seeding;
+		}
+	}, // Restarts.seedings
+
+	// ## Utilities ################################################################################
+
+	/** Serialization and materialization using Sermat. The inner metaheuristic is serialized
+	without its problem, which is the one of the restarts.
+	*/
+	'static __SERMAT__': {
+		identifier: 'Restarts',
+		serializer: function serialize_Restarts(obj) {
+			var params = obj.__params__('sizeGrowth', 'deltaShrink');
+			params.inner = Metaheuristic.__innerRecords__([obj.inner])[0];
+			params.seeding = operatorReference(obj.seeding);
+			if (obj.step >= 0) {
+				params.initialInner = obj.initialInner;
+				params.restartCount = obj.restartCount;
+				if (obj.best) {
+					params.best = obj.best;
+				}
+			}
+			return [params];
+		},
+		materializer: function materialize_Restarts(obj, args, type) {
+			if (!args) {
+				return null;
+			}
+			var params = base.copy({
+					inner: Metaheuristic.__fromInnerRecords__(this, [args[0].inner],
+						args[0].problem)[0],
+					seeding: operatorFromReference(args[0].seeding)
+				}, args[0]);
+			return new type(params);
+		}
+	}
+}); // declare Restarts.
+
+/** The seedings are registered (see `utilities.registerOperators`), with names like
+`Restarts.seedings.perturbed`.
+*/
+registerOperators('Restarts.seedings', Restarts.seedings);
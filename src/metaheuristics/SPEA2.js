@@ -0,0 +1,186 @@
+﻿/** # SPEA2
+
+The [Strength Pareto Evolutionary Algorithm 2](https://doi.org/10.3929/ethz-a-004284029) is a
+multi-objective genetic algorithm. Besides the population of new elements, it keeps an archive of
+fixed size with the best elements found so far, which is the state of this metaheuristic. At each
+step the parents of the new population are selected from the archive with binary tournaments. Then
+the next archive is taken from the union of the archive and the new population (the _environmental
+selection_): all the non-dominated elements, completed with the best dominated ones if they are too
+few, or truncated if they are too many.
+
+For further information, see:
+
++ Zitzler, E.; Laumanns, M.; Thiele, L. [_"SPEA2: Improving the Strength Pareto Evolutionary
+	Algorithm"_](https://doi.org/10.3929/ethz-a-004284029). TIK-Report 103, ETH Zurich, 2001.
+*/
+var SPEA2 = metaheuristics.SPEA2 = declare(GeneticAlgorithm, {
+	/** The constructor takes the same parameters as `GeneticAlgorithm`, with different defaults:
+
+	+ `expansionRate=1`, hence the `size` is the amount of elements in the population.
+
+	+ `selection=tournamentSelection` (see `GeneticAlgorithm.selections`).
+
+	Also, it takes the following parameters:
+	*/
+	constructor: function SPEA2(params) {
+		GeneticAlgorithm.call(this, Object.assign({
+			expansionRate: 1,
+			selection: GeneticAlgorithm.selections.tournamentSelection
+		}, params));
+		initialize(this, params)
+		/** + `archiveSize=size` is the amount of elements kept in the archive.
+		*/
+			.integer('archiveSize', { defaultValue: this.size, coerce: true, minimum: 1 })
+		/** + `kNearest=0` is the `k` of the k-th nearest neighbour used to estimate the density
+		around each element (see `strengthParetoFitness`). If it is 0, the square root of the amount
+		of elements is used.
+		*/
+			.integer('kNearest', { defaultValue: 0, coerce: true, minimum: 0 });
+	},
+
+	/** The initial state is the first population, and the first archive is taken from it at the
+	beginning of the first update.
+	*/
+	update: function update() {
+		if (this.state.length > this.archiveSize) {
+			this.sieve();
+		}
+		return GeneticAlgorithm.prototype.update.call(this);
+	},
+
+	/** Multi-objective problems are sorted by the fitness assigned by `strengthParetoFitness`,
+	which must be minimized.
+	*/
+	multiObjectiveSort: function multiObjectiveSort(elements) {
+		this.strengthParetoFitness(elements);
+		return elements.sort(function (elem1, elem2) {
+			return elem1.pareto.fitness - elem2.pareto.fitness;
+		});
+	},
+
+	/** The fitness of SPEA2 is assigned to the given elements (or the state by default) after a
+	Pareto analysis (see `Metaheuristic.paretoAnalysis`). Every element's `pareto` object gets the
+	following properties:
+
+	+ `pareto.rawFitness` is the sum of the amount of elements dominated by each of the element's
+	dominators. It is 0 for non-dominated elements.
+
+	+ `pareto.density` is `1 / (d + 2)`, where `d` is the distance to the k-th nearest neighbour
+	(see `kNearest` and `objectiveDistances`). It is always less than 1.
+
+	+ `pareto.fitness` is the sum of both, hence it is less than 1 only for non-dominated elements.
+	*/
+	strengthParetoFitness: function strengthParetoFitness(elements) {
+		elements = this.paretoAnalysis(elements || this.state);
+		var distances = this.objectiveDistances(elements),
+			k = Math.min(this.kNearest || Math.floor(Math.sqrt(elements.length)),
+				elements.length - 1);
+		elements.forEach(function (element, i) {
+			var pareto = element.pareto,
+				sorted = distances[i].slice().sort(function (d1, d2) {
+					return d1 - d2;
+				});
+			pareto.rawFitness = iterable(pareto.dominators).map(function (dominator) {
+				return dominator.pareto.dominated.length;
+			}).sum();
+			pareto.density = 1 / (sorted[k] + 2); // sorted[0] is the distance to itself.
+			pareto.fitness = pareto.rawFitness + pareto.density;
+		});
+		return elements;
+	},
+
+	/** `objectiveDistances(elements)` returns the matrix of the euclidean distances between the
+	evaluations of the given elements. Each objective is normalized by its range in the elements.
+	*/
+	objectiveDistances: function objectiveDistances(elements) {
+		var ranges = this.problem.objectives.map(function (_, i) {
+			var values = elements.map(function (element) {
+				return element.evaluation[i];
+			});
+			return Math.max.apply(Math, values) - Math.min.apply(Math, values);
+		});
+		return elements.map(function (elem1) {
+			return elements.map(function (elem2) {
+				return Math.sqrt(iterable(ranges).map(function (range, i) {
+					var d = range > 0 ? (elem1.evaluation[i] - elem2.evaluation[i]) / range : 0;
+					return d * d;
+				}).sum());
+			});
+		});
+	},
+
+	/** The environmental selection cuts the state down to the `archiveSize` (by default). In
+	multi-objective problems the non-dominated elements are kept, or the first ones in the sorted
+	state if they are not enough. If they are too many, they are reduced with `truncation`.
+	*/
+	sieve: function sieve(size) {
+		size = isNaN(size) ? this.archiveSize : Math.floor(size);
+		if (this.problem.objectives.length > 1) {
+			var nonDominated = this.state.filter(function (element) {
+				return element.pareto && element.pareto.fitness < 1;
+			});
+			this.state = nonDominated.length > size ? this.truncation(nonDominated, size) :
+				this.state.slice(0, size);
+		} else if (this.state.length > size) {
+			this.state = this.state.slice(0, size);
+		}
+		this.onSieve();
+	},
+
+	/** The `truncation(elements, size)` removes elements one at a time, until only `size` remain.
+	The removed element is the one with the least distance to its nearest neighbour, or to its
+	second nearest neighbour if there is a tie, and so on. Returns the remaining elements, in the
+	same order.
+	*/
+	truncation: function truncation(elements, size) {
+		var distances = this.objectiveDistances(elements),
+			alive = Iterable.range(elements.length).toArray(),
+			neighbours = alive.map(function (i) {
+				return alive.filter(function (j) {
+					return j !== i;
+				}).sort(function (j1, j2) {
+					return distances[i][j1] - distances[i][j2];
+				});
+			}),
+			removed;
+		function closer(i1, i2) { // Lexicographic comparison of the distances to the neighbours.
+			var ns1 = neighbours[i1],
+				ns2 = neighbours[i2],
+				d;
+			for (var n = 0; n < ns1.length; n++) {
+				d = distances[i1][ns1[n]] - distances[i2][ns2[n]];
+				if (d !== 0) {
+					return d < 0;
+				}
+			}
+			return false;
+		}
+		while (alive.length > size) {
+			removed = alive.reduce(function (i1, i2) {
+				return closer(i2, i1) ? i2 : i1;
+			});
+			alive.splice(alive.indexOf(removed), 1);
+			alive.forEach(function (i) {
+				neighbours[i].splice(neighbours[i].indexOf(removed), 1);
+			});
+		}
+		return alive.map(function (i) {
+			return elements[i];
+		});
+	},
+
+	// ## Utilities ################################################################################
+
+	/** Serialization and materialization using Sermat, like `GeneticAlgorithm`.
+	*/
+	'static __SERMAT__': {
+		identifier: 'SPEA2',
+		serializer: function serialize_SPEA2(obj) {
+			var args = GeneticAlgorithm.__SERMAT__.serializer(obj);
+			args[0].archiveSize = obj.archiveSize;
+			args[0].kNearest = obj.kNearest;
+			return args;
+		},
+		materializer: GeneticAlgorithm.__SERMAT__.materializer
+	}
+}); // declare SPEA2.
@@ -32,11 +32,9 @@ var SimulatedAnnealing = metaheuristics.SimulatedAnnealing = declare(Metaheurist
 	*/
 	randomNeighbour: function randomNeighbour(element, radius) {
 		radius = isNaN(radius) ? this.delta : +radius;
-		var i = this.random.randomInt(element.model.length),
+		var i = this.random.randomInt(element.__values__.length),
 			v = element.__values__[i];
-		return element.modification(i, 
-			clamp(this.random.randomBool() ? v + radius : v - radius, 0, element.model[i].n - 1)
-		);
+		return element.modification(i, this.random.randomBool() ? v + radius : v - radius);
 	},
 
 	/** The `acceptance(current, neighbour, temp=this.temperature())` is the probability of
@@ -77,6 +75,7 @@ var SimulatedAnnealing = metaheuristics.SimulatedAnnealing = declare(Metaheurist
 		return Future.all(this.state.map(function (elem) {
 			var neighbour = mh.randomNeighbour(elem);
 			return Future.then(neighbour.evaluate(), function () {
+				mh.updateHallOfFame([neighbour]); // Rejected neighbours may still be good enough.
 				var p = mh.acceptance(elem, neighbour, temp);
 				acceptanceStat.add(p, neighbour);
 				return mh.random.randomBool(p) ? neighbour : elem;
@@ -96,8 +95,19 @@ var SimulatedAnnealing = metaheuristics.SimulatedAnnealing = declare(Metaheurist
 	'static __SERMAT__': {
 		identifier: 'SimulatedAnnealing',
 		serializer: function serialize_SimulatedAnnealing(obj) {
-			//TODO Serialize 'temperature'
-			return [obj.__params__('maximumTemperature', 'minimumTemperature', 'delta')];
+			var params = obj.__params__('maximumTemperature', 'minimumTemperature', 'delta');
+			params.temperature = operatorReference(obj.temperature);
+			return [params];
+		},
+		materializer: function materialize_SimulatedAnnealing(obj, args, type) {
+			return !args ? null : new type(base.copy({
+				temperature: operatorFromReference(args[0].temperature)
+			}, args[0]));
 		}
 	}
 }); // declare SimulatedAnnealing.
+
+/** The cooling schedules are registered (see `utilities.registerOperators`), with names like
+`SimulatedAnnealing.coolingSchedule.linear`.
+*/
+registerOperators('SimulatedAnnealing.coolingSchedule', SimulatedAnnealing.prototype.coolingSchedule);
@@ -2,7 +2,7 @@
 
 As it sounds, `HelloWorld` is a simple problem class, probably only useful for testing purposes.
 */
-problems.HelloWorld = declare(Problem, {
+var HelloWorld = problems.HelloWorld = declare(Problem, {
 	title: "Hello world",
 	description: "Simple problem where each element is a string, and the "+
 		"optimization goes towards the target string.",
@@ -58,6 +58,7 @@ problems.HelloWorld = declare(Problem, {
 		identifier: 'HelloWorld',
 		serializer: function serialize_HelloWorld(obj) {
 			return [obj.__params__('target')];
-		}
+		},
+		materializer: Problem.__SERMAT__.materializer
 	}
 }); // declare HelloWorld.
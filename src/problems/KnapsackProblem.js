@@ -5,7 +5,7 @@ optimization problem. Given a set of items, each with cost and worth, a selectio
 (to go into the knapsack) so that the total cost does not exceed a certain limit, while maximizing
 the total worth.
 */
-problems.KnapsackProblem = declare(Problem, {
+var KnapsackProblem = problems.KnapsackProblem = declare(Problem, {
 	title: "Knapsack problem",
 	description: "Given a set of items with a cost and a worth, select a subset "+
 		" maximizing the worth sum but not exceeding a cost limit.",
@@ -27,33 +27,35 @@ problems.KnapsackProblem = declare(Problem, {
 	The parameters specific for this problem are:
 	*/
 	constructor: function KnapsackProblem(params) {
+		params = params || {};
+		initialize(this, params)
+			/** + `limit=15` is the cost limit that candidate solution should not exceed.
+			*/
+			.number('limit', { coerce: true, defaultValue: 15 })
+			/** + `defaultAmount=1` is the amount available for each item by default.
+			*/
+			.integer('amount', { coerce: true, defaultValue: 1, minimum: 1 })
+			/** + `items` is the set of items.
+			*/
+			.object('items', { ignore: true });
 		/** The problem's representation is an array with a number for each item, in alphabetical
 		order. Each number holds the selected amount for each item (from 0 up to the item's
 		amount).
 		*/
-		params = params || {};
-		var items = this.items;
+		var items = this.items,
+			amount = this.amount;
 		this.__elementItems__ = Object.keys(items);
 		this.__elementItems__.sort();
-		Problem.call(this, params = Object.assign(params, {
+		Problem.call(this, Object.assign(params, {
 			/** The best selection of items is the one that maximizes worth, without
 			exceeding the cost limit.
 			*/
 			objective: +Infinity,
 			elementModel: this.__elementItems__.map(function (name) {
-				return { n: +(items[name].amount || 1) + 1 };
-			})
+				return { n: +(items[name].amount || amount) + 1 };
+			}),
+			constraints: [{ name: 'limit', fn: KnapsackProblem.limitConstraint }]
 		}));
-		initialize(this, params)
-			/** + `limit=15` is the cost limit that candidate solution should not exceed.
-			*/
-			.number('limit', { coerce: true, defaultValue: 15 })
-			/** + `defaultAmount=1` is the amount available for each item by default.
-			*/
-			.integer('amount', { coerce: true, defaultValue: 1, minimum: 1 })
-			/** + `items` is the set of items.
-			*/
-			.object('items', { ignore: true });
 	},
 
 	/** All elements are mapped to an object with the selected amount associated to each item.
@@ -62,20 +64,30 @@ problems.KnapsackProblem = declare(Problem, {
 		return iterable(this.__elementItems__).zip(element.values()).toObject();
 	},
 
-	/** All elements are evaluated by calculating the worth of all included items. If their cost is
-	greater than the problem's limit, the worth becomes negative.
+	/** The `cost` of an element is the sum of the costs of all included items.
+	*/
+	cost: function cost(element) {
+		var items = this.items;
+		return iterable(this.mapping(element)).mapApply(function (name, amount) {
+			return items[name].cost * amount;
+		}).sum();
+	},
+
+	/** `KnapsackProblem.limitConstraint` is the function of the constraint on the cost limit. It
+	is a registered operator (see `utilities.registerOperators`), so the problem can be serialized.
+	*/
+	'static limitConstraint': function limitConstraint(element) {
+		return this.cost(element) - this.limit;
+	},
+
+	/** All elements are evaluated by calculating the worth of all included items. The cost limit
+	is a constraint, hence elements over the limit are handled by the `constraintHandling`.
 	*/
 	evaluation: function evaluation(element) {
-		var selection = this.mapping(element),
-			items = this.items,
-			worth = 0,
-			cost = 0;
-		iterable(selection).forEachApply(function (name, amount) {
-			var item = items[name];
-			worth += item.worth * amount;
-			cost += item.cost * amount;
-		});
-		return cost > problem.limit ? -worth : worth; //FIXME Too punishing for going over the limit.
+		var items = this.items;
+		return iterable(this.mapping(element)).mapApply(function (name, amount) {
+			return items[name].worth * amount;
+		}).sum();
 	},
 
 	// ## Utilities ################################################################################
@@ -86,6 +98,9 @@ problems.KnapsackProblem = declare(Problem, {
 		identifier: 'KnapsackProblem',
 		serializer: function serialize_KnapsackProblem(obj) {
 			return [obj.__params__('limit', 'amount', 'items')];
-		}
+		},
+		materializer: Problem.__SERMAT__.materializer
 	}
 }); // declare KnapsackProblem
+
+registerOperators('KnapsackProblem', { limitConstraint: KnapsackProblem.limitConstraint });
@@ -4,7 +4,7 @@ A generalized version of the classic [8 queens puzzle](http://en.wikipedia.org/w
 a problem of placing 8 chess queens on an 8x8 chessboard so that no two queens may attack each
 other.
 */
-problems.NQueensPuzzle = declare(Problem, {
+var NQueensPuzzle = problems.NQueensPuzzle = declare(Problem, {
 	title: "N-queens puzzle",
 	description: "Generalized version of the classic problem of placing "+
 		"8 chess queens on an 8x8 chessboard so that no two queens attack each other.",
@@ -18,20 +18,22 @@ problems.NQueensPuzzle = declare(Problem, {
 		params = Object.assign({ N: 8 }, params);
 		Problem.call(this, params = Object.assign(params, {
 			objective: -Infinity,
-			/** The representation is an array of `N` positions, indicating the row of the
-			queen for each column.
+			/** The representation is a permutation of `N` positions, indicating the row of the
+			queen for each column. Hence no pair of queens can share a row or a column.
 			*/
-			elementModel: Iterable.repeat({ n: params.N }, params.N - 1).toArray()
+			Element: PermutationElement,
+			elementModel: PermutationElement.model(params.N)
 		}));
 		initialize(this, params)
 			/** + `N=8`: the number of queens and both dimensions of the board.
 			*/
 			.integer('N', { coerce: true, defaultValue: 8 });
-		this.__rowRange__ = Iterable.range(this.N).toArray();
 	},
 
+	/** Elements' values are already the rows of the queens.
+	*/
 	mapping: function mapping(element) {
-		return element.setMapping(this.__rowRange__);
+		return element.values();
 	},
 
 	/** The elements' evaluation is the count of diagonals shared by queens pairwise.
@@ -41,7 +43,7 @@ problems.NQueensPuzzle = declare(Problem, {
 			count = 0;
 		rows.forEach(function (row, i) {
 			for (var j = 1; i + j < rows.length; j++) {
-				if (rows[j] == row + j || rows[j] == row - j) {
+				if (rows[i + j] == row + j || rows[i + j] == row - j) {
 					count++;
 				}
 			}
@@ -52,7 +54,7 @@ problems.NQueensPuzzle = declare(Problem, {
 	/** It is sufficient when no pair of queens share diagonals.
 	*/
 	sufficientElement: function sufficientElement(element) {
-		return element.evaluation === 0;
+		return !!element.evaluation && element.evaluation[0] === 0;
 	},
 
 	// ## Utilities ################################################################################
@@ -63,6 +65,7 @@ problems.NQueensPuzzle = declare(Problem, {
 		identifier: 'NQueensPuzzle',
 		serializer: function serialize_NQueensPuzzle(obj) {
 			return [obj.__params__('N')];
-		}
+		},
+		materializer: Problem.__SERMAT__.materializer
 	}
 }); // declare NQueensPuzzle
@@ -0,0 +1,257 @@
+﻿/** # Parameter tuning
+
+Metaheuristics have many parameters (e.g. the `mutationRate` of a `GeneticAlgorithm`), and their
+performance on a given problem may depend heavily on their values. Finding good values is itself an
+optimization problem, which can be solved by another metaheuristic. This is usually called
+_meta-optimization_ or _parameter tuning_.
+
+For further information, see:
+
++ Birattari, M.; Stützle, T.; Paquete, L.; Varrentrapp, K. [_"A racing algorithm for configuring
+	metaheuristics"_](http://dl.acm.org/citation.cfm?id=2955498). Proceedings of the 4th Annual
+	Conference on Genetic and Evolutionary Computation (GECCO 2002).
+*/
+var ParameterTuningProblem = problems.ParameterTuningProblem = declare(Problem, {
+	title: "Parameter tuning",
+	description: "Find the parameters' values that make a metaheuristic perform best on a set "+
+		"of problems.",
+
+	/** The constructor takes the following parameters:
+	*/
+	constructor: function ParameterTuningProblem(params) {
+		params = params || {};
+		initialize(this, params)
+			/** + `metaheuristic=GeneticAlgorithm` is the class of the metaheuristic to tune.
+			*/
+			.func('metaheuristic', { defaultValue: GeneticAlgorithm })
+			/** + `parameters` is an object with the dimension of the element model (see
+			`Element.model`) for each parameter to tune, by name. E.g.
+			`{ mutationRate: { type: 'real', min: 0, max: 1 }, size: { min: 10, max: 100 } }`.
+			*/
+			.object('parameters')
+			/** + `settings` are other parameters of the metaheuristic, which are not tuned (e.g.
+			the amount of `steps`). By default the runs have no `logger` and no `hallOfFame`.
+			*/
+			.object('settings', { defaultValue: {} })
+			/** + `problems` is the array of problems on which to run the metaheuristic.
+			*/
+			.array('problems')
+			/** + `seeds=[1,2,3,4,5]` are the seeds of the pseudorandom number generators used in
+			the runs. The metaheuristic is run once for each problem and seed.
+			*/
+			.array('seeds', { defaultValue: [1, 2, 3, 4, 5] })
+			/** + `racing=true` enables racing (see `race`).
+			*/
+			.bool('racing', { defaultValue: true })
+			/** + `racingMinimum=3` is the amount of runs before the configurations start being
+			discarded in a race.
+			*/
+			.integer('racingMinimum', { coerce: true, defaultValue: 3, minimum: 2 })
+			/** + `racingThreshold=2` is the value of the paired t statistic above which a
+			configuration is considered worse than the best one in a race.
+			*/
+			.number('racingThreshold', { coerce: true, defaultValue: 2, minimum: 0 });
+		raiseIf(this.problems.length < 1, "No problems to run the metaheuristic on!");
+		raiseIf(this.seeds.length < 1, "No seeds for the metaheuristic's runs!");
+		/** The elements have a value for each parameter to tune, in alphabetical order. The
+		evaluation of an element is its average loss in all runs (see `loss`), which must be
+		minimized.
+		*/
+		var parameters = this.parameters;
+		this.__elementParameters__ = Object.keys(parameters);
+		this.__elementParameters__.sort();
+		Problem.call(this, Object.assign(params, {
+			objective: -Infinity,
+			elementModel: this.__elementParameters__.map(function (name) {
+				return parameters[name];
+			})
+		}));
+	},
+
+	/** The `runCount` is the number of times the metaheuristic has been run.
+	*/
+	runCount: 0,
+
+	/** All elements are mapped to an object with the value of each parameter, by name.
+	*/
+	mapping: function mapping(element) {
+		return iterable(this.__elementParameters__).zip(element.typedMapping()).toObject();
+	},
+
+	/** The `instances` are all pairs of problems and seeds the metaheuristic is run with, sorted
+	by seed so all problems are tried in the first runs.
+	*/
+	instances: function instances() {
+		var problems = this.problems;
+		return iterable(this.seeds).product(problems).mapApply(function (seed, problem) {
+			return [problem, seed];
+		}).toArray();
+	},
+
+	/** The `loss(problem, element)` measures how far from the objective of the `problem` is the
+	best `element` found in a run: its evaluation when minimizing, the opposite when maximizing,
+	and the distance to the objective when approximating a value. Multi-objective problems are not
+	supported.
+	*/
+	loss: function loss(problem, element) {
+		if (!element || !element.evaluation) {
+			return Infinity;
+		}
+		var value = element.evaluation[0],
+			objective = problem.objectives[0];
+		return objective === -Infinity ? value : objective === +Infinity ? -value :
+			Math.abs(value - objective);
+	},
+
+	/** A `trial(element, problem, seed)` runs the metaheuristic with the parameters given by the
+	`element` on the `problem`, with a `MersenneTwister` generator initialized with the `seed`.
+	The `problem` uses the same generator during the run, hence runs can be repeated exactly. For
+	the same reason trials are run one at a time, even if they are started concurrently. Returns a
+	future of the loss of the run.
+	*/
+	trial: function trial(element, problem, seed) {
+		var tuning = this,
+			result = Future.when(this.__lastTrial__).then(function () {
+				var random = new Randomness.MersenneTwister(seed),
+					problemRandom = problem.random,
+					mh = new tuning.metaheuristic(Object.assign({ logger: null, hallOfFame: 0 },
+						tuning.settings, tuning.mapping(element),
+						{ problem: problem, random: random }));
+				tuning.runCount++;
+				problem.random = random;
+				return mh.run().always(function () {
+					problem.random = problemRandom;
+				});
+			}).then(function (best) {
+				return tuning.loss(problem, best);
+			});
+		this.__lastTrial__ = result.then(function () {}, function () {}); // Failures do not matter.
+		return result;
+	},
+
+	/** The `evaluation` of a single element runs the metaheuristic on all `instances`, and returns
+	the average loss.
+	*/
+	evaluation: function evaluation(element) {
+		var tuning = this,
+			losses = [];
+		return Future.sequence(this.instances(), function (instance) {
+			return tuning.trial(element, instance[0], instance[1]).then(function (loss) {
+				losses.push(loss);
+			});
+		}).then(function () {
+			return iterable(losses).sum() / losses.length;
+		});
+	},
+
+	/** When many elements are evaluated together, they are compared with each other in a `race`,
+	unless `racing` is disabled. Evaluations delegated to an `evaluator` or a `workerPool` are done
+	element by element.
+	*/
+	evaluate: function evaluate(elements, reevaluate) {
+		elements = iterable(elements).filter(function (element) {
+			return reevaluate || element.evaluation === null;
+		}).toArray();
+		if (!this.racing || elements.length < 2 || this.evaluator || this.workerPool) {
+			return Problem.prototype.evaluate.call(this, elements, true);
+		} else {
+			return this.race(elements);
+		}
+	},
+
+	/** ## Racing ##################################################################################
+
+	A race runs all `elements` (i.e. configurations) on each instance in turn. After
+	`racingMinimum` instances, the configurations that are significantly worse than the best one so
+	far are discarded, so the runs are spent on the promising ones. This implementation compares
+	configurations with a paired t test (see `raceSurvivors`).
+
+	Discarded configurations are evaluated as the average of their losses in all instances, where
+	the losses in the instances they did not run are estimated as the ones of the best surviving
+	configuration plus their average difference with it. The evaluation cache is not used in races.
+	*/
+	race: function race(elements) {
+		var tuning = this,
+			instances = this.instances(),
+			losses = elements.map(function () {
+				return [];
+			}),
+			alive = Iterable.range(elements.length).toArray();
+		this.evaluationCount += elements.length;
+		return Future.sequence(Iterable.range(instances.length), function (k) {
+			return Future.sequence(alive, function (i) {
+				var instance = instances[k];
+				return tuning.trial(elements[i], instance[0], instance[1]).then(function (loss) {
+					losses[i].push(loss);
+				});
+			}).then(function () {
+				if (k + 1 >= tuning.racingMinimum && alive.length > 1) {
+					alive = tuning.raceSurvivors(losses, alive, k + 1);
+				}
+			});
+		}).then(function () {
+			var best = ParameterTuningProblem.bestRacer(losses, alive),
+				bestLosses = losses[best],
+				bestMean = iterable(bestLosses).sum() / bestLosses.length;
+			elements.forEach(function (element, i) {
+				var n = losses[i].length,
+					difference = n < bestLosses.length ? iterable(losses[i]).zip(bestLosses)
+						.mapApply(function (loss, bestLoss) {
+							return loss - bestLoss;
+						}).sum() / n : 0;
+				element.evaluation = (iterable(losses[i]).sum() +
+					iterable(bestLosses.slice(n)).sum() + difference * (bestLosses.length - n)) /
+					bestLosses.length;
+			});
+			return elements;
+		});
+	},
+
+	/** `raceSurvivors(losses, alive, n)` returns the indexes in `alive` of the configurations that
+	are not discarded, given the `losses` of the `n` instances run so far. A configuration is
+	discarded if the paired t statistic of its differences with the best configuration is greater
+	than the `racingThreshold`.
+	*/
+	raceSurvivors: function raceSurvivors(losses, alive, n) {
+		var threshold = this.racingThreshold,
+			best = ParameterTuningProblem.bestRacer(losses, alive);
+		return alive.filter(function (i) {
+			if (i === best) {
+				return true;
+			}
+			var differences = Iterable.range(n).map(function (k) {
+					return losses[i][k] - losses[best][k];
+				}).toArray(),
+				mean = iterable(differences).sum() / n,
+				deviation = Math.sqrt(iterable(differences).map(function (d) {
+					return (d - mean) * (d - mean);
+				}).sum() / (n - 1));
+			return deviation > 0 ? mean / deviation * Math.sqrt(n) <= threshold :
+				!(mean > 0); // Losses may be infinite.
+		});
+	},
+
+	/** `ParameterTuningProblem.bestRacer(losses, alive)` returns the index in `alive` of the
+	configuration with the least average loss.
+	*/
+	'static bestRacer': function bestRacer(losses, alive) {
+		var best = iterable(alive).lesser(function (i) {
+			return iterable(losses[i]).sum() / losses[i].length;
+		});
+		return best.length > 0 ? best[0] : alive[0]; // All losses may be infinite.
+	},
+
+	// ## Utilities ################################################################################
+
+	/** Serialization and materialization using Sermat. The `settings` and the values of the
+	categorical `parameters` must be serializable.
+	*/
+	'static __SERMAT__': {
+		identifier: 'ParameterTuningProblem',
+		serializer: function serialize_ParameterTuningProblem(obj) {
+			return [obj.__params__('metaheuristic', 'parameters', 'settings', 'problems', 'seeds',
+				'racing', 'racingMinimum', 'racingThreshold')];
+		},
+		materializer: Problem.__SERMAT__.materializer
+	}
+}); // declare ParameterTuningProblem
@@ -129,5 +129,17 @@ var AssociationRuleLearning = problems.AssociationRuleLearning = declare(Problem
 			element.__measures__ = this.measures(element);
 		}
 		return element.__measures__.confidence;
+	},
+
+	// ## Utilities ################################################################################
+
+	/** Serialization and materialization using Sermat.
+	*/
+	'static __SERMAT__': {
+		identifier: 'AssociationRuleLearning',
+		serializer: function serialize_AssociationRuleLearning(obj) {
+			return [obj.__params__('dataset', 'keys')];
+		},
+		materializer: Problem.__SERMAT__.materializer
 	}
 }); // declare AssociationRule.
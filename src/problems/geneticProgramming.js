@@ -0,0 +1,306 @@
+﻿/** # Genetic programming
+
+[Genetic programming](http://en.wikipedia.org/wiki/Genetic_programming) evolves programs, usually
+represented as expression trees. Here the candidate solutions are `ExpressionElement`s, and the
+genetic operators of `GeneticAlgorithm` meant for them (i.e. `subtreeCrossover`, `pointMutation`
+and `subtreeMutation`) should be used. For example:
+
+```javascript
+var GeneticAlgorithm = inveniemus.metaheuristics.GeneticAlgorithm;
+new GeneticAlgorithm({
+	problem: new inveniemus.problems.BooleanFormulaInference({ target: function (x, y) {
+		return x !== y;
+	}}),
+	crossover: GeneticAlgorithm.crossovers.subtreeCrossover,
+	mutation: GeneticAlgorithm.mutations.subtreeMutation
+});
+```
+
+For further information, see:
+
++ John R. Koza. [_"Genetic Programming: On the Programming of Computers by Means of Natural
+	Selection"_](https://mitpress.mit.edu/books/genetic-programming). MIT Press, 1992.
+*/
+
+/** `ExpressionProblem` is the base class of problems whose elements are expression trees.
+*/
+var ExpressionProblem = problems.ExpressionProblem = declare(Problem, {
+	/** The constructors take the following parameters:
+	*/
+	constructor: function ExpressionProblem(params) {
+		initialize(this, params)
+			/** + The `primitives` of the expressions, as a `PrimitiveSet`.
+			*/
+			.object('primitives')
+			/** + The `rootType` of the expressions (undefined by default).
+			*/
+			.string('rootType', { ignore: true })
+			/** + The maximum size of the expressions, as a number of nodes (200 by default).
+			*/
+			.integer('maxSize', { defaultValue: 200, coerce: true });
+		Problem.call(this, base.copy({
+			Element: ExpressionElement,
+			elementModel: ExpressionElement.model(this.primitives, this.maxSize)
+		}, params));
+		/** + Also `maxDepth`, `minInitialDepth` and `maxInitialDepth` override the defaults of
+		`ExpressionElement`.
+		*/
+		var elementProto = this.Element.prototype;
+		elementProto.primitives = this.primitives;
+		elementProto.rootType = this.rootType;
+		['maxDepth', 'minInitialDepth', 'maxInitialDepth'].forEach(function (id) {
+			if (!isNaN(params[id])) {
+				elementProto[id] = params[id] |0;
+			}
+		});
+	},
+
+	/** Elements are mapped to the string representation of their expressions.
+	*/
+	mapping: function mapping(element) {
+		return element.expression();
+	},
+
+	/** Comparisons use _lexicographic parsimony pressure_ as a form of bloat control: if two
+	elements are equally good, the one with less nodes is considered better.
+	*/
+	compare: function compare(element1, element2) {
+		return Problem.prototype.compare.call(this, element1, element2) ||
+			element2.__values__.length - element1.__values__.length;
+	},
+
+	// ## Utilities ################################################################################
+
+	/** The reconstruction of the parameters also includes the depths that override the defaults of
+	`ExpressionElement`.
+	*/
+	__params__: function __params__() {
+		var params = Problem.prototype.__params__.apply(this, arguments),
+			elementProto = this.Element.prototype;
+		['maxDepth', 'minInitialDepth', 'maxInitialDepth'].forEach(function (id) {
+			if (elementProto.hasOwnProperty(id)) {
+				params[id] = elementProto[id];
+			}
+		});
+		return params;
+	},
+
+	/** Serialization and materialization using Sermat. The functions of the `primitives` must be
+	registered operators (see `utilities.registerOperators`).
+	*/
+	'static __SERMAT__': {
+		identifier: 'ExpressionProblem',
+		serializer: function serialize_ExpressionProblem(obj) {
+			return [obj.__params__('primitives', 'rootType', 'maxSize')];
+		},
+		materializer: Problem.__SERMAT__.materializer
+	}
+}); // declare ExpressionProblem.
+
+/** ## Symbolic regression #########################################################################
+
+[Symbolic regression](http://en.wikipedia.org/wiki/Symbolic_regression) searches for a
+mathematical expression that fits a given dataset.
+*/
+var SymbolicRegression = problems.SymbolicRegression = declare(ExpressionProblem, {
+	title: "Symbolic regression",
+	description: "Find a mathematical expression that fits the given data.",
+
+	/** The constructors take the following parameters:
+	*/
+	constructor: function SymbolicRegression(params) {
+		params = params || {};
+		initialize(this, params)
+			/** + The `data` to fit, as an array of arrays, in which the first element is the
+			expected result and the rest are the values of the variables.
+			*/
+			.array('data', { defaultValue: [] })
+			/** + The names of the `variables` (`['x']` by default).
+			*/
+			.array('variables', { defaultValue: ['x'] })
+			/** + The `constants` that can be used in the expressions (`[1]` by default).
+			*/
+			.array('constants', { defaultValue: [1] })
+			/** + The error `tolerance` for an element to be considered a solution (1e-6 by
+			default).
+			*/
+			.number('tolerance', { defaultValue: 1e-6, coerce: true });
+		ExpressionProblem.call(this, base.copy({
+			objective: -Infinity,
+			primitives: SymbolicRegression.arithmeticPrimitives(this.variables, this.constants)
+		}, params));
+	},
+
+	/** `SymbolicRegression.arithmeticPrimitives(variables, constants)` builds a primitive set with
+	the given `variables` and `constants`, and addition, subtraction, multiplication and protected
+	division (i.e. division by zero returns 1) as functions.
+	*/
+	'static arithmeticPrimitives': function arithmeticPrimitives(variables, constants) {
+		var fns = SymbolicRegression.arithmeticFunctions;
+		return new PrimitiveSet([
+			{ name: 'add', arity: 2, fn: fns.add },
+			{ name: 'sub', arity: 2, fn: fns.sub },
+			{ name: 'mul', arity: 2, fn: fns.mul },
+			{ name: 'div', arity: 2, fn: fns.div }
+		].concat(variables.map(function (name) {
+			return PrimitiveSet.variable(name);
+		}), constants.map(function (value) {
+			return PrimitiveSet.constant(value);
+		})));
+	},
+
+	/** `SymbolicRegression.arithmeticFunctions` are the functions of the arithmetic primitives.
+	They are registered operators (see `utilities.registerOperators`).
+	*/
+	'static arithmeticFunctions': {
+		add: function add(x, y) { return x + y; },
+		sub: function sub(x, y) { return x - y; },
+		mul: function mul(x, y) { return x * y; },
+		div: function div(x, y) { return y === 0 ? 1 : x / y; }
+	},
+
+	/** The evaluation is the root mean squared error of the element's expression over the `data`.
+	*/
+	evaluation: function evaluation(element) {
+		var variables = this.variables;
+		return element.rootMeanSquaredError(function () {
+			var context = {};
+			for (var i = 0; i < variables.length; i++) {
+				context[variables[i]] = arguments[i];
+			}
+			return element.execute(context);
+		}, this.data);
+	},
+
+	/** An element is sufficient when its error is not greater than the `tolerance`.
+	*/
+	sufficientElement: function sufficientElement(element) {
+		return element.evaluation[0] <= this.tolerance;
+	},
+
+	// ## Utilities ################################################################################
+
+	/** Serialization and materialization using Sermat. The `primitives` are not included, since
+	they are built from the `variables` and `constants`.
+	*/
+	'static __SERMAT__': {
+		identifier: 'SymbolicRegression',
+		serializer: function serialize_SymbolicRegression(obj) {
+			return [obj.__params__('data', 'variables', 'constants', 'tolerance', 'rootType',
+				'maxSize')];
+		},
+		materializer: Problem.__SERMAT__.materializer
+	}
+}); // declare SymbolicRegression.
+
+registerOperators('SymbolicRegression.arithmeticFunctions', SymbolicRegression.arithmeticFunctions);
+
+/** ## Boolean formula inference ###################################################################
+
+Boolean formula inference searches for a boolean formula that matches a given truth table.
+*/
+var BooleanFormulaInference = problems.BooleanFormulaInference = declare(ExpressionProblem, {
+	title: "Boolean formula inference",
+	description: "Find a boolean formula that matches the given truth table.",
+
+	/** The constructors take the following parameters:
+	*/
+	constructor: function BooleanFormulaInference(params) {
+		params = params || {};
+		initialize(this, params)
+			/** + The `data` to match, as an array of arrays, in which the first element is the
+			expected result and the rest are the values of the variables.
+			*/
+			.array('data', { ignore: true })
+			/** + Alternatively a `target` function can be given, and its full truth table is used
+			as `data`.
+			*/
+			.func('target', { ignore: true });
+		if (!this.data) {
+			raiseIf(!this.target, "BooleanFormulaInference requires either data or a target!");
+			this.data = BooleanFormulaInference.truthTable(this.target);
+		}
+		initialize(this, params)
+			/** + The names of the `variables` (by default `x0`, `x1`, and so on).
+			*/
+			.array('variables', { defaultValue: Iterable.range(this.data.length > 0 ?
+				this.data[0].length - 1 : 0).map(function (i) {
+					return 'x'+ i;
+				}).toArray() });
+		ExpressionProblem.call(this, base.copy({
+			objective: -Infinity,
+			primitives: BooleanFormulaInference.booleanPrimitives(this.variables)
+		}, params));
+	},
+
+	/** `BooleanFormulaInference.truthTable(f, arity=f.length)` returns the full truth table of the
+	given boolean function `f`, in the format of the `data` parameter.
+	*/
+	'static truthTable': function truthTable(f, arity) {
+		arity = isNaN(arity) ? f.length : arity |0;
+		return Iterable.range(1 << arity).map(function (n) {
+			var inputs = Iterable.range(arity).map(function (i) {
+				return !!(n & (1 << i));
+			}).toArray();
+			return [!!f.apply(null, inputs)].concat(inputs);
+		}).toArray();
+	},
+
+	/** `BooleanFormulaInference.booleanPrimitives(variables)` builds a primitive set with the given
+	`variables`, and conjunction, disjunction and negation as functions.
+	*/
+	'static booleanPrimitives': function booleanPrimitives(variables) {
+		var fns = BooleanFormulaInference.booleanFunctions;
+		return new PrimitiveSet([
+			{ name: 'and', arity: 2, fn: fns.and },
+			{ name: 'or', arity: 2, fn: fns.or },
+			{ name: 'not', arity: 1, fn: fns.not }
+		].concat(variables.map(function (name) {
+			return PrimitiveSet.variable(name);
+		})));
+	},
+
+	/** `BooleanFormulaInference.booleanFunctions` are the functions of the boolean primitives.
+	They are registered operators (see `utilities.registerOperators`).
+	*/
+	'static booleanFunctions': {
+		and: function and(x, y) { return x && y; },
+		or: function or(x, y) { return x || y; },
+		not: function not(x) { return !x; }
+	},
+
+	/** The evaluation is the number of rows in `data` the element's formula does not match.
+	*/
+	evaluation: function evaluation(element) {
+		var variables = this.variables;
+		return iterable(this.data).filter(function (datum) {
+			var context = {};
+			for (var i = 0; i < variables.length; i++) {
+				context[variables[i]] = datum[i + 1];
+			}
+			return !element.execute(context) !== !datum[0];
+		}).count();
+	},
+
+	/** An element is sufficient when it matches all the `data`.
+	*/
+	sufficientElement: function sufficientElement(element) {
+		return element.evaluation[0] === 0;
+	},
+
+	// ## Utilities ################################################################################
+
+	/** Serialization and materialization using Sermat. The `target` function is not included,
+	since its truth table is in the `data`.
+	*/
+	'static __SERMAT__': {
+		identifier: 'BooleanFormulaInference',
+		serializer: function serialize_BooleanFormulaInference(obj) {
+			return [obj.__params__('data', 'variables', 'rootType', 'maxSize')];
+		},
+		materializer: Problem.__SERMAT__.materializer
+	}
+}); // declare BooleanFormulaInference.
+
+registerOperators('BooleanFormulaInference.booleanFunctions',
+	BooleanFormulaInference.booleanFunctions);
@@ -3,7 +3,8 @@
 Problem builder for test beds of algorithms in this library.
 */
 
-/** The function `testbed` is a shortcut used to define the test problems.
+/** The function `testbed` is a shortcut used to define the test problems. Elements of test beds
+have real values in the range from `spec.minimumValue` to `spec.maximumValue`.
 */
 var TestBed = problems.TestBed = declare(Problem, {
 	constructor: function TestBed(spec) {
@@ -12,10 +13,11 @@ var TestBed = problems.TestBed = declare(Problem, {
 			length = isNaN(spec.length) ? 2 : +spec.length;
 		Problem.call(this, base.copy({
 			title: spec.title,
-			elementModel: Iterable.repeat({ n: 2e6 }, length).toArray()
+			elementModel: Iterable.repeat({ type: 'real', min: minimumValue, max: maximumValue },
+				length).toArray()
 		}, spec));
 		this.evaluation = function evaluation(element) {
-			return spec.evaluation(element.rangeMapping([minimumValue, maximumValue]));
+			return spec.evaluation(element.values());
 		};
 
 		/** If an optimum value is provided (`spec.optimumValue`) it is added to the termination
@@ -26,8 +28,61 @@ var TestBed = problems.TestBed = declare(Problem, {
 				return Math.abs(element.evaluation - spec.optimumValue) < element.resolution;
 			};
 		}
+
+		/** If the Pareto front of a multi-objective test bed is known (`spec.paretoFront`), the
+		method `paretoFront(count=100)` returns `count` evaluations sampled from it. These can be
+		used as the reference front of quality indicators (see `Metaheuristic.qualityIndicators`).
+		*/
+		if (spec.paretoFront) {
+			this.paretoFront = function paretoFront(count) {
+				return spec.paretoFront(isNaN(count) ? 100 : Math.max(2, count|0));
+			};
+		}
+	},
+
+	/** `TestBed.dtlzObjectives(values, count, g, spherical)` returns the `count` objectives of
+	the DTLZ test beds (see `problems.testbeds.DTLZ1`), given the element's `values` and the value
+	of `g`. The Pareto front is spherical if `spherical` is true, else it is linear.
+	*/
+	'static dtlzObjectives': function dtlzObjectives(values, count, g, spherical) {
+		return Iterable.range(count).map(function (i) {
+			var f = spherical ? 1 + g : 0.5 * (1 + g),
+				j;
+			for (j = 0; j < count - i - 1; j++) {
+				f *= spherical ? Math.cos(values[j] * Math.PI / 2) : values[j];
+			}
+			if (i > 0) {
+				f *= spherical ? Math.sin(values[j] * Math.PI / 2) : 1 - values[j];
+			}
+			return f;
+		}).toArray();
+	},
+
+	// ## Utilities ################################################################################
+
+	/** Test beds are serialized as a reference to the function in `problems.testbeds` that built
+	them, i.e. its name and the arguments it was called with. The `random` generator is included if
+	it is not the default one. Test beds not built by these functions cannot be serialized.
+	*/
+	'static __SERMAT__': {
+		identifier: 'TestBed',
+		serializer: function serialize_TestBed(obj) {
+			raiseIf(!obj.__testbed__, "Test bed ", obj.title, " was not built by problems.testbeds!");
+			return obj.random === Randomness.DEFAULT ? [obj.__testbed__] :
+				[obj.__testbed__, obj.random];
+		},
+		materializer: function materialize_TestBed(obj, args) {
+			if (!args) {
+				return null;
+			}
+			var testbed = problems.testbeds[args[0][0]].apply(null, args[0].slice(1));
+			if (args[1]) {
+				testbed.random = args[1];
+			}
+			return testbed;
+		}
 	}
-});
+}); // declare TestBed.
 
 /** Testbed problems taken from the web (e.g.
 [1](http://en.wikipedia.org/wiki/Test_functions_for_optimization),
@@ -294,9 +349,11 @@ problems.testbeds = {
 
 	/** Multiobjective optimization problems taken from [_"Comparison of Multiobjective Evolutionary
 	Algorithms: Empirical Results"_ by Zitzler, Deb and Thiele (2000)](http://www.tik.ee.ethz.ch/sop/publicationListFiles/zdt2000a.pdf).
+	Their Pareto fronts are reached when `g = 1`, i.e. when all values but the first are 0, and are
+	available with `paretoFront(count)`.
 	*/
 	ZDT1: function ZDT1(length) {
-		length = isNaN(length) ? 30 : Math.max(1, length|0);
+		length = isNaN(length) ? 30 : Math.max(2, length|0);
 		return new TestBed({
 			title: "Zitzler-Deb-Thiele function 1",
 			length: length,
@@ -305,15 +362,21 @@ problems.testbeds = {
 			maximumValue: +1,
 			evaluation: function evaluation(vs) {
 				var f1 = vs[0],
-					g = iterable(vs).tail().sum() / (vs.length - 1) * 9,
+					g = 1 + iterable(vs).tail().sum() / (vs.length - 1) * 9,
 					h = 1 - Math.sqrt(f1 / g);
 				return [f1, g * h];
+			},
+			paretoFront: function paretoFront(count) {
+				return Iterable.range(count).map(function (i) {
+					var f1 = i / (count - 1);
+					return [f1, 1 - Math.sqrt(f1)];
+				}).toArray();
 			}
 		});
 	},
 
 	ZDT2: function ZDT2(length) {
-		length = isNaN(length) ? 30 : Math.max(1, length|0);
+		length = isNaN(length) ? 30 : Math.max(2, length|0);
 		return new TestBed({
 			title: "Zitzler-Deb-Thiele function 2",
 			length: length,
@@ -322,15 +385,21 @@ problems.testbeds = {
 			maximumValue: +1,
 			evaluation: function evaluation(vs) {
 				var f1 = vs[0],
-					g = iterable(vs).tail().sum() / (vs.length - 1) * 9,
+					g = 1 + iterable(vs).tail().sum() / (vs.length - 1) * 9,
 					h = 1 - Math.pow(f1 / g, 2);
 				return [f1, g * h];
+			},
+			paretoFront: function paretoFront(count) {
+				return Iterable.range(count).map(function (i) {
+					var f1 = i / (count - 1);
+					return [f1, 1 - f1 * f1];
+				}).toArray();
 			}
 		});
 	},
 
 	ZDT3: function ZDT3(length) {
-		length = isNaN(length) ? 30 : Math.max(1, length|0);
+		length = isNaN(length) ? 30 : Math.max(2, length|0);
 		return new TestBed({
 			title: "Zitzler-Deb-Thiele function 3",
 			length: length,
@@ -339,10 +408,138 @@ problems.testbeds = {
 			maximumValue: +1,
 			evaluation: function evaluation(vs) {
 				var f1 = vs[0],
-					g = iterable(vs).tail().sum() / (vs.length - 1) * 9,
+					g = 1 + iterable(vs).tail().sum() / (vs.length - 1) * 9,
 					h = 1 - Math.sqrt(f1 / g) - (f1 / g) * Math.sin(10 * Math.PI * f1);
 				return [f1, g * h];
+			},
+			/** The Pareto front of ZDT3 is disconnected, made of five ranges of `f1`. The points
+			are evenly spaced along these ranges put together.
+			*/
+			paretoFront: function paretoFront(count) {
+				var ranges = [[0, 0.0830015349], [0.1822287280, 0.2577623634],
+						[0.4093136748, 0.4538821041], [0.6183967944, 0.6525117038],
+						[0.8233317983, 0.8518328654]],
+					total = iterable(ranges).mapApply(function (min, max) {
+						return max - min;
+					}).sum();
+				return Iterable.range(count).map(function (i) {
+					var t = i / (count - 1) * total,
+						r = 0;
+					for (; r < ranges.length - 1 && t > ranges[r][1] - ranges[r][0]; r++) {
+						t -= ranges[r][1] - ranges[r][0];
+					}
+					var f1 = Math.min(ranges[r][0] + t, ranges[r][1]);
+					return [f1, 1 - Math.sqrt(f1) - f1 * Math.sin(10 * Math.PI * f1)];
+				}).toArray();
+			}
+		});
+	},
+
+	/** Scalable multi-objective optimization problems taken from [_"Scalable Test Problems for
+	Evolutionary Multiobjective Optimization"_ by Deb, Thiele, Laumanns and Zitzler
+	(2005)](https://doi.org/10.1007/1-84628-137-7_6). They can have any amount of `objectives` (3
+	by default), all to be minimized. Elements have `length` values between 0 and 1. The last
+	`length - objectives + 1` values define a distance `g` to the Pareto front, where it is 0.
+
+	`DTLZ1` has a linear Pareto front, where the objectives add up to 0.5, and many local fronts.
+	*/
+	DTLZ1: function DTLZ1(objectives, length) {
+		objectives = isNaN(objectives) ? 3 : Math.max(2, objectives|0);
+		length = isNaN(length) ? objectives + 4 : Math.max(objectives, length|0);
+		return new TestBed({
+			title: "Deb-Thiele-Laumanns-Zitzler function 1",
+			length: length,
+			objectives: Iterable.repeat(-Infinity, objectives).toArray(),
+			minimumValue:  0,
+			maximumValue: +1,
+			evaluation: function evaluation(vs) {
+				var g = 100 * (vs.length - objectives + 1 +
+					iterable(vs.slice(objectives - 1)).map(function (v) {
+						return (v - 0.5) * (v - 0.5) - Math.cos(20 * Math.PI * (v - 0.5));
+					}).sum());
+				return TestBed.dtlzObjectives(vs, objectives, g, false);
+			}
+		});
+	},
+
+	/** `DTLZ2` has a spherical Pareto front, i.e. the sum of the squares of the objectives is 1.
+	*/
+	DTLZ2: function DTLZ2(objectives, length) {
+		objectives = isNaN(objectives) ? 3 : Math.max(2, objectives|0);
+		length = isNaN(length) ? objectives + 9 : Math.max(objectives, length|0);
+		return new TestBed({
+			title: "Deb-Thiele-Laumanns-Zitzler function 2",
+			length: length,
+			objectives: Iterable.repeat(-Infinity, objectives).toArray(),
+			minimumValue:  0,
+			maximumValue: +1,
+			evaluation: function evaluation(vs) {
+				var g = iterable(vs.slice(objectives - 1)).map(function (v) {
+					return (v - 0.5) * (v - 0.5);
+				}).sum();
+				return TestBed.dtlzObjectives(vs, objectives, g, true);
+			}
+		});
+	},
+
+	/** `DTLZ3` has the Pareto front of `DTLZ2`, and the many local fronts of `DTLZ1`.
+	*/
+	DTLZ3: function DTLZ3(objectives, length) {
+		objectives = isNaN(objectives) ? 3 : Math.max(2, objectives|0);
+		length = isNaN(length) ? objectives + 9 : Math.max(objectives, length|0);
+		return new TestBed({
+			title: "Deb-Thiele-Laumanns-Zitzler function 3",
+			length: length,
+			objectives: Iterable.repeat(-Infinity, objectives).toArray(),
+			minimumValue:  0,
+			maximumValue: +1,
+			evaluation: function evaluation(vs) {
+				var g = 100 * (vs.length - objectives + 1 +
+					iterable(vs.slice(objectives - 1)).map(function (v) {
+						return (v - 0.5) * (v - 0.5) - Math.cos(20 * Math.PI * (v - 0.5));
+					}).sum());
+				return TestBed.dtlzObjectives(vs, objectives, g, true);
+			}
+		});
+	},
+
+	/** `DTLZ4` is like `DTLZ2`, but the values that define the position in the Pareto front are
+	raised to `alpha` (100 by default). Hence the elements tend to gather near some of the axes.
+	*/
+	DTLZ4: function DTLZ4(objectives, length, alpha) {
+		objectives = isNaN(objectives) ? 3 : Math.max(2, objectives|0);
+		length = isNaN(length) ? objectives + 9 : Math.max(objectives, length|0);
+		alpha = isNaN(alpha) ? 100 : +alpha;
+		return new TestBed({
+			title: "Deb-Thiele-Laumanns-Zitzler function 4",
+			length: length,
+			objectives: Iterable.repeat(-Infinity, objectives).toArray(),
+			minimumValue:  0,
+			maximumValue: +1,
+			evaluation: function evaluation(vs) {
+				var g = iterable(vs.slice(objectives - 1)).map(function (v) {
+					return (v - 0.5) * (v - 0.5);
+				}).sum();
+				return TestBed.dtlzObjectives(vs.map(function (v, i) {
+					return i < objectives - 1 ? Math.pow(v, alpha) : v;
+				}), objectives, g, true);
 			}
 		});
 	}
 }; // problems.testbeds
+
+/** The functions in `problems.testbeds` record their name and arguments in the test beds they
+build (as `__testbed__`), which is required by their serialization. Missing arguments at the end
+are left out.
+*/
+iterable(problems.testbeds).forEachApply(function (name, builder) {
+	problems.testbeds[name] = function () {
+		var testbed = builder.apply(this, arguments),
+			args = Array.prototype.slice.call(arguments);
+		while (args.length > 0 && typeof args[args.length - 1] === 'undefined') {
+			args.pop();
+		}
+		testbed.__testbed__ = [name].concat(args);
+		return testbed;
+	};
+});
@@ -7,6 +7,39 @@ var clamp = utilities.clamp = function clamp(value, min, max) {
 	return Math.max(min, Math.min(max, value));
 };
 
+/** `simplexLattice(dimensions, divisions)` returns a uniform set of points in the unit simplex,
+i.e. vectors of non-negative numbers that add up to 1. Each coordinate is a multiple of
+`1 / divisions`. This is the systematic approach of Das and Dennis, used to build the weight vectors
+of `MOEAD` and the reference points of other multi-objective metaheuristics.
+*/
+var simplexLattice = utilities.simplexLattice = function simplexLattice(dimensions, divisions) {
+	raiseIf(dimensions < 1, "Invalid dimensions ", dimensions, " for a simplex lattice!");
+	raiseIf(divisions < 1, "Invalid divisions ", divisions, " for a simplex lattice!");
+	var points = [];
+	(function fill(point, left) {
+		if (point.length === dimensions - 1) {
+			points.push(point.concat([left / divisions]));
+		} else {
+			for (var i = 0; i <= left; i++) {
+				fill(point.concat([i / divisions]), left - i);
+			}
+		}
+	})([], divisions);
+	return points;
+};
+
+/** `simplexLatticeSize(dimensions, divisions)` is the amount of points in the corresponding
+`simplexLattice`, without building it.
+*/
+var simplexLatticeSize = utilities.simplexLatticeSize = function simplexLatticeSize(dimensions,
+		divisions) {
+	var result = 1;
+	for (var i = 1; i < dimensions; i++) {
+		result = result * (divisions + i) / i;
+	}
+	return Math.round(result);
+};
+
 /** A good string representation for element values for logging and debugging can be very useful.
 The Han encoding uses characters for eastern asian scripts in the Unicode standard. The CJK
 (Chinese-Japanese-Korean) unification provides a continuous block of 21035 printable characters,
@@ -60,3 +93,129 @@ utilities.emblemHan = function emblemHan(element) {
 })();
 
 var encodeHan = utilities.encodeHan;
+
+/** ## Operators
+
+Some parameters of metaheuristics are functions, e.g. the genetic operators of `GeneticAlgorithm`
+or the cooling schedules of `SimulatedAnnealing`. Functions cannot be serialized, hence operators
+are registered with a name, which is used to reference them in serializations (e.g. checkpoints).
+
+`utilities.operators` is the registry of operators by name. `registerOperators(prefix, bundle)`
+adds all functions in the `bundle` object, with names like `prefix.key`. Custom operators must be
+registered this way for their metaheuristics to be serializable.
+*/
+var OPERATORS = utilities.operators = {};
+
+var registerOperators = utilities.registerOperators = function registerOperators(prefix, bundle) {
+	iterable(bundle).forEachApply(function (id, member) {
+		if (typeof member === 'function') {
+			OPERATORS[prefix +'.'+ id] = member;
+		}
+	});
+};
+
+/** `operatorReference(operator)` returns the reference to a registered `operator`, as an array
+with its name. Operators built by registered functions (e.g. `GeneticAlgorithm.uniformMutation`)
+have their references in an `__operator__` property, with the name of the builder and the
+arguments it was called with.
+*/
+var operatorReference = utilities.operatorReference = function operatorReference(operator) {
+	if (Array.isArray(operator.__operator__)) {
+		return operator.__operator__;
+	}
+	for (var name in OPERATORS) {
+		if (OPERATORS[name] === operator) {
+			return [name];
+		}
+	}
+	raise("Operator ", operator.name || operator, " is not registered!");
+};
+
+/** `operatorFromReference(reference)` returns the operator for the given `reference`, as returned
+by `operatorReference`. Functions are returned as they are.
+*/
+utilities.operatorFromReference = function operatorFromReference(reference) {
+	if (typeof reference === 'function') {
+		return reference;
+	}
+	var operator = OPERATORS[reference[0]];
+	raiseIf(typeof operator !== 'function', "Operator ", reference[0], " is not registered!");
+	return reference.length > 1 ? operator.apply(null, reference.slice(1)) : operator;
+};
+
+var operatorFromReference = utilities.operatorFromReference;
+
+/** ## Types
+
+All classes in this library are registered with Sermat (see `__epilogue__.js`), hence problems,
+metaheuristics and their elements can be serialized and materialized back. User defined classes,
+e.g. subclasses of `Problem` or `GeneticAlgorithm`, must be registered with
+`registerType(type, spec)`. The `spec` may have:
+
++ An `identifier`, by default the name of the `type`'s constructor.
+
++ A `serializer` and a `materializer`. By default these are the ones of the `type`'s own
+	`__SERMAT__` definition, or the ones of its parent class if it has none.
+
+Materializers are called with the `type` being materialized as a third argument, so the ones of a
+parent class can build instances of its subclasses. If there is no materializer, the constructor is
+called with the serialized values. Registered types are added to `inveniemus.__SERMAT__.include`,
+and to the Sermat instances used by the library.
+*/
+var registerType = utilities.registerType = function registerType(type, spec) {
+	raiseIf(typeof type !== 'function', "Cannot register ", type, " as a type!");
+	spec = spec || {};
+	var hasOwnSpec = type.hasOwnProperty('__SERMAT__'),
+		typeSpec = hasOwnSpec ? type.__SERMAT__ :
+			Object.getPrototypeOf(type.prototype).constructor.__SERMAT__ || {},
+		materializer = spec.materializer || typeSpec.materializer;
+	type.__SERMAT__ = {
+		identifier: spec.identifier || hasOwnSpec && typeSpec.identifier || type.name,
+		serializer: spec.serializer || typeSpec.serializer,
+		materializer: materializer && function materializeType(obj, args, subtype) {
+			return materializer.call(this, obj, args, subtype || type);
+		}
+	};
+	exports.__SERMAT__.include.push(type);
+	Sermat.include(type);
+	if (Metaheuristic.hasOwnProperty('__sermat__')) { // Checkpoints' Sermat may already exist.
+		Metaheuristic.__sermat__.include(type);
+	}
+	return type;
+};
+
+/** ## Tracked randomness
+
+The pseudorandom number generators of `base.Randomness` keep their state inside closures, so their
+serializations only have their seeds. `TrackedRandomness` wraps one of these generators, counting
+how many numbers have been drawn. Its serialization includes this count, so it is materialized with
+the same state, by drawing the same amount of numbers from a new instance of the wrapped generator.
+This allows runs to be checkpointed and resumed exactly (see `Metaheuristic.checkpoint`).
+*/
+var TrackedRandomness = utilities.TrackedRandomness = declare(Randomness, {
+	/** The constructor takes the `generator` to wrap (a seeded `Randomness` instance), and the
+	amount of numbers to `skip` drawing from it (0 by default).
+	*/
+	constructor: function TrackedRandomness(generator, skip) {
+		raiseIf(!(generator instanceof Randomness), "Invalid generator ", generator, "!");
+		var tracked = this;
+		this.generator = generator;
+		this.count = 0;
+		this.__random__ = function __random__() {
+			tracked.count++;
+			return generator.__random__();
+		};
+		for (skip = skip |0; skip > 0; skip--) {
+			this.__random__();
+		}
+	},
+
+	/** Serialization and materialization using Sermat.
+	*/
+	'static __SERMAT__': {
+		identifier: 'TrackedRandomness',
+		serializer: function serialize_TrackedRandomness(obj) {
+			return [obj.generator, obj.count];
+		}
+	}
+}); // declare TrackedRandomness.
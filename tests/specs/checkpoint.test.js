@@ -0,0 +1,103 @@
+define(['creatartis-base', 'sermat', 'inveniemus'], function (base, Sermat, inveniemus) {
+	var iterable = base.iterable,
+		Future = base.Future,
+		Randomness = base.Randomness,
+		Metaheuristic = inveniemus.Metaheuristic,
+		Problem = inveniemus.Problem,
+		utilities = inveniemus.utilities,
+		GeneticAlgorithm = inveniemus.metaheuristics.GeneticAlgorithm;
+
+	function stateString(mh) {
+		return mh.state.map(function (element) {
+			return element.values().join(',') +':'+ element.evaluation;
+		}).join(' ');
+	}
+
+	/** Test-only constraints, registered so the problems using them can be checkpointed.
+	*/
+	var CONSTRAINTS = {
+		/** The sum of the first two values must not be greater than zero.
+		*/
+		nonPositiveSum: function nonPositiveSum(element) {
+			return element.__values__[0] + element.__values__[1];
+		}
+	};
+	utilities.registerOperators('tests.checkpoint', CONSTRAINTS);
+
+	describe("Checkpoints", function () {
+		it("tracked randomness", function () { /////////////////////////////////////////////////////
+			var random = new utilities.TrackedRandomness(new Randomness.MersenneTwister(17));
+			random.randoms(10);
+			expect(random.count).toBe(10);
+			var copy = Metaheuristic.__checkpointSermat__().sermat(random);
+			expect(copy instanceof utilities.TrackedRandomness).toBe(true);
+			expect(copy.count).toBe(10);
+			expect(copy.randoms(5)).toEqual(random.randoms(5));
+		}); // it "tracked randomness"
+
+		it("operators", function () { //////////////////////////////////////////////////////////////
+			var crossover = GeneticAlgorithm.crossovers.twopointCrossover,
+				mutation = GeneticAlgorithm.mutations.uniformMutation(3);
+			expect(utilities.operatorReference(crossover))
+				.toEqual(['GeneticAlgorithm.crossovers.twopointCrossover']);
+			expect(utilities.operatorFromReference(['GeneticAlgorithm.crossovers.twopointCrossover']))
+				.toBe(crossover);
+			expect(utilities.operatorReference(mutation))
+				.toEqual(['GeneticAlgorithm.mutations.uniformMutation', 3]);
+			expect(function () {
+				utilities.operatorReference(function unregistered() {});
+			}).toThrow();
+			var mh = new GeneticAlgorithm({ logger: null, crossover: crossover, mutation: mutation,
+					problem: new Problem({ elementModel: [{ n: 3 }, { n: 3 }] }) }),
+				copy = Metaheuristic.restore(mh.checkpoint());
+			expect(copy instanceof GeneticAlgorithm).toBe(true);
+			expect(copy.crossover).toBe(crossover);
+			expect(utilities.operatorReference(copy.mutation))
+				.toEqual(utilities.operatorReference(mutation));
+			expect(copy.selection).toBe(mh.selection);
+		}); // it "operators"
+
+		iterable([['RandomSearch', Metaheuristic]]).chain(
+			iterable(inveniemus.metaheuristics).filterApply(function (name, mh) {
+				return typeof mh === 'function' && mh.prototype instanceof Metaheuristic;
+			})
+		).forEachApply(function (name, metaheuristic) {
+			var handlings = Problem.constraintHandlings;
+			[['', handlings.feasibilityRules, []],
+				[' with adaptive penalty', handlings.adaptivePenalty(1, 2),
+					[{ fn: CONSTRAINTS.nonPositiveSum }]],
+				[' with epsilon constraint', handlings.epsilonConstraint(6, 2),
+					[{ fn: CONSTRAINTS.nonPositiveSum }]]
+			].forEach(function (handling) {
+				it("resuming "+ name + handling[0], function (done) { //////////////////////////////
+					var random = new utilities.TrackedRandomness(
+							new Randomness.MersenneTwister(123)),
+						problem = new Problem({ random: random, elementModel: [
+							{ type: 'real', min: -5, max: 5 }, { type: 'real', min: -5, max: 5 },
+							{ n: 10 }
+						], constraintHandling: handling[1], constraints: handling[2] }),
+						mh = new metaheuristic({ problem: problem, random: random, size: 8, steps: 8,
+							logger: null }),
+						checkpoint;
+					Future.sequence([0, 1, 2, 3], function () {
+						return mh.advance();
+					}).then(function () {
+						checkpoint = mh.checkpoint();
+						return mh.run();
+					}).then(function () {
+						var resumed = Metaheuristic.restore(checkpoint);
+						expect(resumed.constructor).toBe(metaheuristic);
+						expect(resumed.step).toBe(3);
+						return resumed.run().then(function () {
+							expect(resumed.step).toBe(mh.step);
+							expect(stateString(resumed)).toBe(stateString(mh));
+							done();
+						});
+					}).then(null, function (error) {
+						done.fail(error);
+					});
+				});
+			});
+		});
+	}); // describe "Checkpoints"
+}); //// define.
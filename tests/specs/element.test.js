@@ -38,6 +38,70 @@
 				});
 		}); // it "values"
 
+		it("real values", function () {
+			var problem = new Problem({
+					elementModel: [{ type: 'real', min: -1, max: 1 }, { n: 5 },
+						{ type: 'real', min: 0.5, max: 0.75 }]
+				});
+			expect(problem.Element.prototype.ArrayType).toBe(Float64Array);
+			for (var i = 0; i < 30; i++) {
+				var elem = new problem.Element();
+				expect(elem.__values__ instanceof Float64Array).toBe(true);
+				expect(elem.__values__[0]).not.toBeLessThan(-1);
+				expect(elem.__values__[0]).not.toBeGreaterThan(1);
+				expect(elem.__values__[1] % 1).toBe(0);
+				expect(elem.__values__[2]).not.toBeLessThan(0.5);
+				expect(elem.__values__[2]).not.toBeGreaterThan(0.75);
+				elem.normalizedValues().forEach(function (v) {
+					expect(v).not.toBeLessThan(0);
+					expect(v).not.toBeGreaterThan(1);
+				});
+			}
+			elem = new problem.Element([0.25, 3, 0.6]);
+			expect(elem.values()).toEqual([0.25, 3, 0.6]);
+			expect(elem.normalizedValues()[0]).toBeCloseTo(0.625, 6);
+			expect(function () {
+				return new problem.Element([1.5, 3, 0.6]);
+			}).toThrow();
+			expect(elem.checkValues([1.5, 7.2, 0.1], true)).toEqual(new Float64Array([1, 4, 0.5]));
+			expect(elem.modification(0, -3, 2, 0.7).values()).toEqual([-1, 3, 0.7]);
+			expect(elem.neighbourhood(0.5).map(function (e) {
+				return e.values();
+			})).toEqual([[-0.25, 3, 0.6], [0.75, 3, 0.6], [0.25, 2, 0.6], [0.25, 4, 0.6],
+				[0.25, 3, 0.5], [0.25, 3, 0.75]]);
+		}); // it "real values"
+
+		it("mixed values", function () {
+			var problem = new Problem({
+					elementModel: [
+						{ type: 'categorical', values: ['red', 'green', 'blue'] },
+						{ type: 'integer', min: -3, max: 3 },
+						{ type: 'real', min: 0, max: 10 },
+						{ type: 'boolean' }
+					]
+				}),
+				elem, mutated;
+			expect(problem.Element.prototype.ArrayType).toBe(Float64Array);
+			for (var i = 0; i < 30; i++) {
+				elem = new problem.Element();
+				expect(['red', 'green', 'blue']).toContain(elem.typedMapping()[0]);
+				expect(elem.__values__[1] % 1).toBe(0);
+				expect(elem.__values__[1]).not.toBeLessThan(-3);
+				expect(elem.__values__[1]).not.toBeGreaterThan(3);
+				expect(typeof elem.typedMapping()[3]).toBe('boolean');
+				mutated = elem.mutatedValue(0);
+				expect(mutated).not.toBe(elem.__values__[0]); // Categories are resampled.
+				expect([0, 1, 2]).toContain(mutated);
+				expect(elem.mutatedValue(3)).toBe(1 - elem.__values__[3]);
+			}
+			elem = new problem.Element([1, -3, 5.5, 0]);
+			expect(elem.typedMapping()).toEqual(['green', -3, 5.5, false]);
+			expect(elem.neighbourhood().map(function (e) {
+				return e.values();
+			})).toEqual([[0, -3, 5.5, 0], [2, -3, 5.5, 0], [1, -2, 5.5, 0], [1, -3, 4.5, 0],
+				[1, -3, 6.5, 0], [1, -3, 5.5, 1]]);
+		}); // it "mixed values"
+
 		it("evaluation", function () {
 			var problem = new Problem(),
 				elem = new problem.Element();
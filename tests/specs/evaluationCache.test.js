@@ -0,0 +1,60 @@
+define(['creatartis-base', 'sermat', 'inveniemus'], function (base, Sermat, inveniemus) {
+	var EvaluationCache = inveniemus.EvaluationCache,
+		Problem = inveniemus.Problem;
+
+	describe("EvaluationCache", function () {
+		it("hash", function () { ///////////////////////////////////////////////////////////////////
+			var hash = EvaluationCache.hash;
+			expect(hash([1, 2, 3])).toBe(hash(new Uint32Array([1, 2, 3])));
+			expect(hash([1, 2, 3])).toBe(hash(new Float64Array([1, 2, 3])));
+			expect(hash([1, 2, 3])).not.toBe(hash([3, 2, 1]));
+			expect(hash([1, 2])).not.toBe(hash([1, 2, 0]));
+			expect(hash([0.5])).not.toBe(hash([0.25]));
+			expect(hash([])).toBeOfType('number');
+		}); // it "hash"
+
+		it("least recently used", function () { ////////////////////////////////////////////////////
+			var cache = new EvaluationCache({ size: 3 });
+			cache.set([1], 10);
+			cache.set([2], [20]);
+			cache.set([3], [30]);
+			expect(cache.get([1])).toEqual([10]);
+			expect(cache.get([4])).toBeUndefined();
+			cache.set([4], [40]); // Removes [2].
+			expect(cache.length).toBe(3);
+			expect(cache.get([2])).toBeUndefined();
+			expect(cache.get([3])).toEqual([30]);
+			expect(cache.hits).toBe(2);
+			expect(cache.misses).toBe(2);
+			expect(cache.toArray()).toEqual([[[1], [10]], [[4], [40]], [[3], [30]]]);
+			var copy = new EvaluationCache({ entries: cache.toArray() });
+			expect(copy.get([4])).toEqual([40]);
+			expect(copy.length).toBe(3);
+		}); // it "least recently used"
+
+		it("problem evaluation", function (done) { /////////////////////////////////////////////////
+			var evaluationCount = 0,
+				problem = new Problem({
+					elementModel: [{ n: 2 }, { n: 2 }],
+					evaluationCache: { size: 10 }
+				}),
+				mh = new inveniemus.metaheuristics.HillClimbing({ problem: problem, size: 4,
+					steps: 5, logger: null });
+			problem.evaluation = function evaluation(element) {
+				evaluationCount++;
+				return Problem.prototype.evaluation.call(this, element);
+			};
+			expect(problem.evaluationCache instanceof EvaluationCache).toBe(true);
+			mh.run().then(function () {
+				expect(evaluationCount).not.toBeGreaterThan(4); // There are only 4 candidates.
+				expect(problem.evaluationCache.hits).toBeGreaterThan(0);
+				var hits = 0;
+				for (var step = 0; step <= mh.step; step++) {
+					hits += mh.statistics.stat({ key: 'cache_hits', step: step }).sum();
+				}
+				expect(hits).toBe(problem.evaluationCache.hits);
+				done();
+			});
+		}); // it "problem evaluation"
+	}); // describe "EvaluationCache"
+}); //// define.
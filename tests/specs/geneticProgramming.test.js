@@ -0,0 +1,150 @@
+define(['creatartis-base', 'sermat', 'inveniemus'], function (base, Sermat, inveniemus) {
+	var PrimitiveSet = inveniemus.elements.PrimitiveSet,
+		ExpressionElement = inveniemus.elements.ExpressionElement,
+		ExpressionProblem = inveniemus.problems.ExpressionProblem,
+		GeneticAlgorithm = inveniemus.metaheuristics.GeneticAlgorithm;
+
+	describe("Genetic programming", function () {
+		var primitives = new PrimitiveSet([
+				{ name: 'if', type: 'number', args: ['boolean', 'number', 'number'],
+					fn: function (c, x, y) { return c ? x : y; } },
+				{ name: 'lt', type: 'boolean', args: ['number', 'number'],
+					fn: function (x, y) { return x < y; } },
+				{ name: 'add', type: 'number', args: ['number', 'number'],
+					fn: function (x, y) { return x + y; } },
+				{ name: 'mul', type: 'number', args: ['number', 'number'],
+					fn: function (x, y) { return x * y; } },
+				{ name: 'not', type: 'boolean', args: ['boolean'], fn: function (x) { return !x; } },
+				PrimitiveSet.variable('x', 'number'),
+				PrimitiveSet.constant(2, 'number'),
+				PrimitiveSet.constant(true, 'boolean')
+			]),
+			problem = new ExpressionProblem({
+				primitives: primitives,
+				rootType: 'number',
+				maxSize: 60,
+				maxDepth: 6
+			});
+
+		function expectExpression(elem) {
+			expect(elem instanceof ExpressionElement).toBe(true);
+			expect(primitives.typeCheck(elem.__values__, 'number')).toBe(true);
+			expect(elem.__values__.length).not.toBeGreaterThan(60);
+			expect(elem.depth()).not.toBeGreaterThan(6);
+		}
+
+		it("primitive sets", function () { /////////////////////////////////////////////////////////
+			var values = [0, 1, 5, 6, 5, 2, 5, 6]; // if(lt(x, 2), x, add(x, 2))
+			expect(primitives.typeCheck(values, 'number')).toBe(true);
+			expect(primitives.typeCheck(values, 'boolean')).toBe(false);
+			expect(primitives.typeCheck(values.slice(0, 7), 'number')).toBe(false);
+			expect(primitives.typeCheck(values.concat([5]), 'number')).toBe(false);
+			expect(primitives.typeCheck([0, 5, 5, 5], 'number')).toBe(false);
+			expect(primitives.stringify(values)).toBe('if(lt(x, 2), x, add(x, 2))');
+			expect(primitives.execute(values, { x: 1 })).toBe(1);
+			expect(primitives.execute(values, { x: 3 })).toBe(5);
+			expect(primitives.depth(values)).toBe(2);
+			expect(primitives.subtreeEnd(values, 1)).toBe(4);
+			expect(primitives.subtreeEnd(values, 5)).toBe(8);
+			expect(primitives.compatible(2, 3)).toBe(true);
+			expect(primitives.compatible(5, 6)).toBe(true);
+			expect(primitives.compatible(5, 7)).toBe(false);
+			expect(primitives.compatible(0, 2)).toBe(false);
+		}); // it "primitive sets"
+
+		it("expression elements", function () { ////////////////////////////////////////////////////
+			var depths = {};
+			for (var i = 0; i < 60; i++) {
+				var elem = new problem.Element();
+				expectExpression(elem);
+				depths[elem.depth()] = true;
+			}
+			expect(Object.keys(depths).length).toBeGreaterThan(1);
+			elem = new problem.Element([0, 1, 5, 6, 5, 2, 5, 6]);
+			expect(elem.expression()).toBe('if(lt(x, 2), x, add(x, 2))');
+			expect(elem.subtree(5)).toEqual([2, 5, 6]);
+			expect(elem.replacement(1, [7]).expression()).toBe('if(true, x, add(x, 2))');
+			expect(elem.modification(5, 3).expression()).toBe('if(lt(x, 2), x, mul(x, 2))');
+			expect(elem.modification(5, 1).expression()).toBe(elem.expression()); // Wrong type.
+			elem.neighbourhood().forEach(expectExpression);
+			expect(function () {
+				return new problem.Element([0, 5, 5, 5]);
+			}).toThrow();
+			expect(function () {
+				return new problem.Element([2, 2, 2, 2, 2, 2, 2, 5, 5, 5, 5, 5, 5, 5, 5]); // Too deep.
+			}).toThrow();
+		}); // it "expression elements"
+
+		it("genetic operators", function () { //////////////////////////////////////////////////////
+			var mh = new GeneticAlgorithm({ problem: problem, logger: null });
+			for (var i = 0; i < 30; i++) {
+				var children = GeneticAlgorithm.crossovers.subtreeCrossover.call(mh,
+					[new problem.Element(), new problem.Element()]);
+				expect(children.length).toBe(2);
+				children.forEach(expectExpression);
+				expectExpression(GeneticAlgorithm.mutations.pointMutation.call(mh,
+					new problem.Element()));
+				expectExpression(GeneticAlgorithm.mutations.subtreeMutation.call(mh,
+					new problem.Element()));
+			}
+		}); // it "genetic operators"
+
+		it("parsimony", function () { //////////////////////////////////////////////////////////////
+			var elem1 = new problem.Element([5]),
+				elem2 = new problem.Element([2, 5, 6]);
+			elem1.evaluation = 3;
+			elem2.evaluation = 3;
+			expect(problem.compare(elem1, elem2)).toBeGreaterThan(0);
+			elem2.evaluation = 2;
+			expect(problem.compare(elem1, elem2)).toBeLessThan(0);
+		}); // it "parsimony"
+
+		it("boolean formula inference", function (done) { //////////////////////////////////////////
+			var problem = new inveniemus.problems.BooleanFormulaInference({
+					target: function (x, y) {
+						return x && !y;
+					}
+				}),
+				mh = new GeneticAlgorithm({
+					problem: problem,
+					size: 50,
+					steps: 50,
+					logger: null,
+					crossover: GeneticAlgorithm.crossovers.subtreeCrossover,
+					mutation: GeneticAlgorithm.mutations.subtreeMutation
+				});
+			expect(problem.data.length).toBe(4);
+			expect(problem.variables).toEqual(['x0', 'x1']);
+			mh.run().then(function (best) {
+				expect(best.evaluation[0]).toBe(0);
+				done();
+			});
+		}); // it "boolean formula inference"
+
+		it("symbolic regression", function (done) { ////////////////////////////////////////////////
+			var problem = new inveniemus.problems.SymbolicRegression({
+					data: [-2, -1, 0, 1, 2, 3].map(function (x) {
+						return [x * x + x, x];
+					})
+				}),
+				mh = new GeneticAlgorithm({
+					problem: problem,
+					size: 50,
+					steps: 20,
+					logger: null,
+					crossover: GeneticAlgorithm.crossovers.subtreeCrossover,
+					mutation: GeneticAlgorithm.mutations.pointMutation
+				});
+			var solution = new problem.Element([0, 2, 4, 4, 4]);
+			expect(solution.expression()).toBe('add(mul(x, x), x)');
+			expect(problem.evaluation(solution)).toBe(0);
+			expect(problem.evaluation(new problem.Element([4]))).toBeGreaterThan(0);
+			mh.run().then(function (best) {
+				expect(isNaN(best.evaluation[0])).toBe(false);
+				expect(best.evaluation[0]).toBeLessThan(mh.statistics.stat({ key: 'evaluation',
+					step: 0 }).average());
+				done();
+			});
+		}); // it "symbolic regression"
+	}); // describe "Genetic programming"
+}); //// define.
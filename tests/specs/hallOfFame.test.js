@@ -0,0 +1,119 @@
+define(['creatartis-base', 'sermat', 'inveniemus'], function (base, Sermat, inveniemus) {
+	var HallOfFame = inveniemus.HallOfFame,
+		Problem = inveniemus.Problem,
+		Metaheuristic = inveniemus.Metaheuristic,
+		metaheuristics = inveniemus.metaheuristics,
+		testbeds = inveniemus.problems.testbeds;
+
+	function buildElements(problem, pairs) {
+		return pairs.map(function (pair) {
+			return new problem.Element(pair[0], pair[1]);
+		});
+	}
+
+	describe("HallOfFame", function () {
+		it("ranking", function () { ////////////////////////////////////////////////////////////////
+			var problem = new Problem({ elementModel: [{ n: 10 }, { n: 10 }], objective: -Infinity }),
+				hall = new HallOfFame({ size: 3 });
+			expect(hall.best()).toBeUndefined();
+			hall.update(buildElements(problem, [[[1, 1], 5], [[2, 2], 7], [[3, 3], NaN]]), 0, problem);
+			expect(hall.entries.map(function (entry) { // Elements without evaluation are ignored.
+				return entry.element.evaluation[0];
+			})).toEqual([5, 7]);
+			hall.update(buildElements(problem, [[[1, 1], 5], [[4, 4], 6], [[5, 5], 2]]), 1, problem);
+			expect(hall.entries.map(function (entry) { // Repeated elements are ignored.
+				return [entry.element.values(), entry.step];
+			})).toEqual([[[5, 5], 1], [[1, 1], 0], [[4, 4], 1]]);
+			hall.update(buildElements(problem, [[[6, 6], 8]]), 2, problem);
+			expect(hall.entries.length).toBe(3);
+			expect(hall.includes(new problem.Element([6, 6]))).toBe(false);
+			expect(hall.best().values()).toEqual([5, 5]);
+			hall = new HallOfFame({ size: 3, precision: 1 });
+			hall.update(buildElements(problem, [[[1, 1], 5], [[2, 2], 4], [[4, 4], 3]]), 0, problem);
+			expect(hall.elements().map(function (element) {
+				return element.values();
+			})).toEqual([[4, 4], [1, 1]]);
+			hall.clear();
+			expect(hall.entries.length).toBe(0);
+		}); // it "ranking"
+
+		it("Pareto front", function () { ///////////////////////////////////////////////////////////
+			var problem = new Problem({ elementModel: [{ n: 10 }], objectives: [-Infinity, Infinity] }),
+				hall = new HallOfFame({ size: 3 });
+			hall.update(buildElements(problem, [[[1], [1, 2]], [[2], [2, 3]], [[3], [2, 1]]]), 0,
+				problem);
+			expect(hall.elements().map(function (element) {
+				return element.values()[0];
+			})).toEqual([1, 2]);
+			hall.update(buildElements(problem, [[[4], [0, 2]], [[5], [2, 4]], [[6], [3, 5]]]), 1,
+				problem);
+			expect(hall.entries.map(function (entry) { // Dominated entries are removed.
+				return [entry.element.values()[0], entry.step];
+			})).toEqual([[4, 1], [5, 1], [6, 1]]);
+			hall.update(buildElements(problem, [[[7], [-1, 1]]]), 2, problem);
+			expect(hall.entries.length).toBe(3); // Full archive.
+			expect(hall.includes(new problem.Element([7]))).toBe(false);
+		}); // it "Pareto front"
+
+		it("runs", function (done) { ///////////////////////////////////////////////////////////////
+			var problem = testbeds.sumOptimization(5, -Infinity),
+				mh = new metaheuristics.SimulatedAnnealing({ logger: null, steps: 30, size: 3,
+					problem: problem, hallOfFame: 5 }),
+				finishedWith = null;
+			expect(new Metaheuristic({ problem: problem }).hallOfFame.size).toBe(10);
+			expect(new Metaheuristic({ problem: problem, hallOfFame: 0 }).hallOfFame).toBe(null);
+			mh.events.on('finished', function (mh, criterion, hallOfFame) {
+				finishedWith = hallOfFame;
+			});
+			mh.run().then(function (best) {
+				var hall = mh.hallOfFame,
+					evaluations = hall.elements().map(function (element) {
+						return element.evaluation[0];
+					});
+				expect(finishedWith).toBe(hall);
+				expect(hall.entries.length).toBe(5);
+				expect(evaluations).toEqual(evaluations.slice().sort(function (v1, v2) {
+					return v1 - v2;
+				}));
+				expect(evaluations[0]).not.toBeGreaterThan(best.evaluation[0]);
+				hall.entries.forEach(function (entry) {
+					expect(entry.step).not.toBeLessThan(0);
+					expect(entry.step).not.toBeGreaterThan(mh.step);
+				});
+				var copy = Metaheuristic.restore(mh.checkpoint());
+				expect(copy.hallOfFame.size).toBe(5);
+				expect(copy.hallOfFame.entries.map(function (entry) {
+					return [entry.element.values(), entry.element.evaluation, entry.step];
+				})).toEqual(hall.entries.map(function (entry) {
+					return [entry.element.values(), entry.element.evaluation, entry.step];
+				}));
+				mh.reset();
+				expect(hall.entries.length).toBe(0);
+				done();
+			}, function (error) {
+				done.fail(error);
+			});
+		}); // it "runs"
+
+		it("run result", function (done) { /////////////////////////////////////////////////////////
+			var problem = testbeds.sumOptimization(5, -Infinity),
+				mh = new metaheuristics.SimulatedAnnealing({ logger: null, steps: 20, size: 1,
+					problem: problem, delta: 0.3, random: new base.Randomness.MersenneTwister(7),
+					temperature: function temperature() { // Accepts almost any neighbour.
+						return 1e6;
+					}
+				});
+			problem.random = mh.random;
+			mh.run().then(function (best) {
+				var archived = mh.hallOfFame.best();
+				// The last state has lost the best element found.
+				expect(problem.compare(mh.state[0], archived)).toBeLessThan(0);
+				expect(best).toBe(archived);
+				expect(mh.bestElement()).toBe(archived);
+				done();
+			}, function (error) {
+				done.fail(error);
+			});
+		}); // it "run result"
+	}); // describe "HallOfFame"
+}); //// define.
@@ -0,0 +1,85 @@
+define(['creatartis-base', 'sermat', 'inveniemus'], function (base, Sermat, inveniemus) {
+	var Randomness = base.Randomness,
+		Problem = inveniemus.Problem,
+		Metaheuristic = inveniemus.Metaheuristic,
+		NSGA2 = inveniemus.metaheuristics.NSGA2,
+		indicators = inveniemus.indicators,
+		testbeds = inveniemus.problems.testbeds;
+
+	describe("Quality indicators", function () {
+		it("hypervolume", function () { ////////////////////////////////////////////////////////////
+			expect(indicators.hypervolume([[1, 2], [2, 1]], [3, 3])).toBe(3);
+			expect(indicators.hypervolume([[1, 2], [2, 1], [2, 2], [4, 0]], [3, 3])).toBe(3);
+			expect(indicators.hypervolume([[3, 3]], [3, 3])).toBe(0);
+			var front = [[0, 1, 1], [1, 0, 1], [1, 1, 0]];
+			expect(indicators.hypervolume(front, [2, 2, 2])).toBe(4);
+			expect(indicators.hypervolume(front.concat([[1, 1, 1]]), [2, 2, 2])).toBe(4);
+			expect(indicators.monteCarloHypervolume(front, [2, 2, 2], 20000)).toBeCloseTo(4, 1);
+			expect(indicators.hypervolume([[1, 1, 1, 1]], [2, 2, 2, 2])).toBe(1);
+			expect(indicators.hypervolume([[0, 1, 1, 1], [1, 0, 1, 1]], [2, 2, 2, 2], 20000))
+				.toBeCloseTo(3, 1);
+		}); // it "hypervolume"
+
+		it("distances to a reference front", function () { ////////////////////////////////////////
+			var front = [[0, 1], [1, 0]],
+				referenceFront = [[0, 1], [0.5, 0.5], [1, 0]];
+			expect(indicators.generationalDistance(front, referenceFront)).toBe(0);
+			expect(indicators.invertedGenerationalDistance(front, referenceFront))
+				.toBeCloseTo(Math.sqrt(1 / 6), 9);
+			expect(indicators.invertedGenerationalDistancePlus(front, referenceFront))
+				.toBeCloseTo(1 / 6, 9);
+			expect(indicators.additiveEpsilon(front, referenceFront)).toBe(0.5);
+			expect(indicators.additiveEpsilon(referenceFront.map(function (point) {
+				return [point[0] + 0.1, point[1] + 0.1];
+			}), referenceFront)).toBeCloseTo(0.1, 9);
+			expect(indicators.spread(referenceFront, referenceFront)).toBe(0);
+			expect(indicators.spread([[0, 1], [0.1, 0.9], [1, 0]], referenceFront))
+				.toBeGreaterThan(0);
+			expect(indicators.spread([[0, 1]], referenceFront)).toBe(1);
+			var problem = new Problem({ objectives: [-Infinity, +Infinity] });
+			expect(indicators.points(problem, [[1, 2], new problem.Element(null, [3, 4])]))
+				.toEqual([[1, -2], [3, -4]]);
+		}); // it "distances to a reference front"
+
+		it("ZDT Pareto fronts", function () { //////////////////////////////////////////////////////
+			var front = testbeds.ZDT1().paretoFront(11);
+			expect(front.length).toBe(11);
+			expect(front[0]).toEqual([0, 1]);
+			expect(front[10]).toEqual([1, 0]);
+			expect(front[4][1]).toBeCloseTo(1 - Math.sqrt(0.4), 9);
+			front = testbeds.ZDT2().paretoFront();
+			expect(front.length).toBe(100);
+			expect(front[99]).toEqual([1, 0]);
+			front = testbeds.ZDT3().paretoFront(50);
+			expect(front.length).toBe(50);
+			expect(front[0]).toEqual([0, 1]);
+			expect(front[49][0]).toBeCloseTo(0.8518328654, 9);
+			expect(indicators.nonDominatedPoints(front).length).toBe(50);
+			expect(testbeds.sphere().paretoFront).toBeUndefined();
+		}); // it "ZDT Pareto fronts"
+
+		it("recorded by NSGA-II on ZDT1", function (done) { ////////////////////////////////////////
+			var random = new Randomness.MersenneTwister(29),
+				problem = testbeds.ZDT1(5),
+				mh = new NSGA2({ logger: null, size: 20, steps: 20, problem: problem,
+					random: random, hypervolumeReference: [1.1, 1.1] });
+			problem.random = random;
+			mh.run().then(function () {
+				var statistics = mh.statistics;
+				function indicator(name, step) {
+					return statistics.stat({ key: 'indicator', name: name, step: step }).average();
+				}
+				expect(indicator('hypervolume', 20)).toBeGreaterThan(indicator('hypervolume', 0));
+				expect(indicator('igd', 20)).toBeLessThan(indicator('igd', 0));
+				expect(indicator('igd_plus', 20)).toBeLessThan(indicator('igd_plus', 0));
+				expect(indicator('gd', 20)).toBeLessThan(indicator('gd', 0));
+				var copy = Metaheuristic.restore(mh.checkpoint());
+				expect(copy.hypervolumeReference).toEqual([1.1, 1.1]);
+				expect(copy.qualityIndicators()).toEqual(mh.qualityIndicators());
+				done();
+			}, function (error) {
+				done.fail(error);
+			});
+		}); // it "recorded by NSGA-II on ZDT1"
+	}); // describe "Quality indicators"
+}); //// define.
@@ -0,0 +1,102 @@
+define(['creatartis-base', 'sermat', 'inveniemus'], function (base, Sermat, inveniemus) {
+	var Randomness = base.Randomness,
+		Problem = inveniemus.Problem,
+		metaheuristics = inveniemus.metaheuristics,
+		IslandModel = metaheuristics.IslandModel,
+		testbeds = inveniemus.problems.testbeds;
+
+	describe("IslandModel", function () {
+		it("islands and migration", function (done) { //////////////////////////////////////////////
+			var random = new Randomness.MersenneTwister(31),
+				problem = testbeds.sumOptimization(5, -Infinity),
+				mh = new IslandModel({ logger: null, problem: problem, random: random, steps: 6,
+					migrationInterval: 2, migrantCount: 2,
+					topology: IslandModel.topologies.fullyConnected,
+					islands: [
+						new metaheuristics.GeneticAlgorithm({ size: 10, random: random }),
+						new metaheuristics.DifferentialEvolution({ size: 6, random: random })
+					]
+				});
+			expect(mh.size).toBe(16);
+			expect(mh.islands[1].problem).toBe(problem);
+			expect(new IslandModel({ problem: problem, size: 10 }).islands.map(function (island) {
+				return island.size;
+			})).toEqual([3, 3, 2, 2]);
+			mh.run().then(function () {
+				expect(mh.state.length).toBe(16);
+				mh.islands.forEach(function (island, i) {
+					expect(island.step).toBe(6);
+					expect(mh.statistics.stats({ key: 'evaluation', island: i }).length).toBe(7);
+				});
+				expect(mh.statistics.count({ key: 'migrants' })).toBe(3);
+				expect(mh.statistics.sum({ key: 'migrants' })).toBe(12);
+				var best = mh.islands[0].state[0];
+				mh.migrate();
+				expect(mh.islands[1].state.length).toBe(6);
+				expect(mh.islands[1].state.some(function (element) {
+					return element.equals(best);
+				})).toBe(true);
+				done();
+			}, function (error) {
+				done.fail(error);
+			});
+		}); // it "islands and migration"
+
+		it("constraint handling adaptation", function (done) { /////////////////////////////////////
+			var adaptedSteps = [],
+				constraintHandling = function countedHandling(element1, element2) {
+					return this.objectiveComparison(element1, element2);
+				};
+			constraintHandling.adapt = function adapt(elements, step) {
+				adaptedSteps.push(step);
+			};
+			var problem = new Problem({ elementModel: [{ n: 10 }, { n: 10 }],
+					random: new Randomness.MersenneTwister(5),
+					constraints: [{ fn: function (element) {
+						return element.__values__[0] - 5;
+					}}],
+					constraintHandling: constraintHandling
+				}),
+				mh = new IslandModel({ logger: null, problem: problem, size: 9, islandCount: 3,
+					steps: 5, random: problem.random });
+			mh.run().then(function () {
+				expect(adaptedSteps).toEqual([0, 1, 2, 3, 4, 5]); // Once per step.
+				done();
+			}, function (error) {
+				done.fail(error);
+			});
+		}); // it "constraint handling adaptation"
+
+		it("topologies and policies", function () { ////////////////////////////////////////////////
+			var problem = testbeds.sumOptimization(3, -Infinity),
+				mh = new IslandModel({ problem: problem, size: 12, islandCount: 4 }),
+				topologies = IslandModel.topologies,
+				island = mh.islands[0],
+				migrants = [0, 0].map(function () {
+					return new problem.Element([0, 0, 0], 0);
+				});
+			expect(topologies.ring.call(mh, 3)).toEqual([0]);
+			expect(topologies.fullyConnected.call(mh, 1)).toEqual([0, 2, 3]);
+			for (var i = 0; i < 10; i++) {
+				expect(topologies.random.call(mh, 2)).not.toContain(2);
+			}
+			island.state = island.sort([[0.5, 0.5, 0.5], [0.1, 0.1, 0.1], [0.9, 0.9, 0.9]].map(function (values) {
+				return new problem.Element(values, values[0] * 3);
+			}));
+			expect(IslandModel.migrantSelections.best.call(mh, island, 2)[1].values())
+				.toEqual([0.5, 0.5, 0.5]);
+			expect(IslandModel.migrantSelections.random.call(mh, island, 5).length).toBe(3);
+			IslandModel.replacements.worst.call(mh, island, migrants.slice(0, 1));
+			expect(island.state[2]).toBe(migrants[0]);
+			IslandModel.replacements.random.call(mh, island, migrants);
+			expect(island.state.length).toBe(3);
+			expect(island.state.filter(function (element) {
+				return migrants.indexOf(element) >= 0;
+			}).length).not.toBeLessThan(2);
+			island.state = [new problem.Element([0.1, 0.1, 0.1], 0.3)];
+			IslandModel.replacements.worseThanMigrants.call(mh, island,
+				[new problem.Element([0.2, 0.2, 0.2], 0.6)]);
+			expect(island.state[0].values()).toEqual([0.1, 0.1, 0.1]);
+		}); // it "topologies and policies"
+	}); // describe "IslandModel"
+}); //// define.
@@ -0,0 +1,138 @@
+define(['creatartis-base', 'sermat', 'inveniemus'], function (base, Sermat, inveniemus) {
+	var Future = base.Future,
+		Randomness = base.Randomness,
+		Metaheuristic = inveniemus.Metaheuristic,
+		utilities = inveniemus.utilities,
+		GeneticAlgorithm = inveniemus.metaheuristics.GeneticAlgorithm,
+		testbeds = inveniemus.problems.testbeds;
+
+	describe("Memetic mode", function () {
+		it("local searches", function (done) { /////////////////////////////////////////////////////
+			var problem = testbeds.sumOptimization(4, -Infinity),
+				mh = new Metaheuristic({ logger: null, problem: problem }),
+				element = new problem.Element([0.5, 0.5, 0.5, 0.5]),
+				localSearches = Metaheuristic.localSearches,
+				evaluationCount;
+			element.evaluate();
+			evaluationCount = problem.evaluationCount;
+			Future.when(localSearches.hillClimbing(0.1).call(mh, element, 20)).then(function (found) {
+				expect(problem.evaluationCount - evaluationCount).not.toBeGreaterThan(20);
+				expect(found.evaluation[0]).toBeLessThan(element.evaluation[0]);
+				evaluationCount = problem.evaluationCount;
+				return localSearches.gradientDescent(0.1, 0.2).call(mh, element, 20);
+			}).then(function (found) {
+				expect(problem.evaluationCount - evaluationCount).not.toBeGreaterThan(20);
+				expect(found.evaluation[0]).toBeLessThan(element.evaluation[0]);
+				return localSearches.gradientDescent().call(mh, element, 8); // Not enough budget.
+			}).then(function (found) {
+				expect(found).toBe(element);
+				expect(utilities.operatorReference(localSearches.hillClimbing(0.1)))
+					.toEqual(['Metaheuristic.localSearches.hillClimbing', 0.1]);
+				done();
+			}, function (error) {
+				done.fail(error);
+			});
+		}); // it "local searches"
+
+		it("Lamarckian and Baldwinian", function (done) { //////////////////////////////////////////
+			var problem = testbeds.sumOptimization(3, -Infinity),
+				optimum = function (element) {
+					return new element.constructor([0, 0, 0], 0);
+				},
+				lamarckian = new Metaheuristic({ logger: null, problem: problem,
+					localSearch: optimum }),
+				baldwinian = new Metaheuristic({ logger: null, problem: problem,
+					localSearch: optimum, localSearchMode: 'baldwinian' }),
+				elements = [[0.5, 0.5, 0.5], [0.2, 0.2, 0.2]].map(function (values) {
+					return new problem.Element(values, values[0] * 3);
+				});
+			elements[0].__parameters__ = { mutationRate: 0.3 };
+			expect(function () {
+				return new Metaheuristic({ problem: problem, localSearchMode: 'darwinian' });
+			}).toThrow();
+			lamarckian.state = elements.slice();
+			baldwinian.state = elements.slice();
+			lamarckian.refine(elements.slice(0, 1)).then(function (refined) {
+				var state = lamarckian.state;
+				expect(refined.length).toBe(1);
+				expect(refined[0]).toBe(state[0]);
+				expect(state[0].values()).toEqual([0, 0, 0]);
+				expect(state[0].__parameters__).toEqual({ mutationRate: 0.3 });
+				expect(state[1]).toBe(elements[1]);
+				expect(lamarckian.hallOfFame.best()).toBe(state[0]);
+				return baldwinian.refine(elements.slice(0, 1));
+			}).then(function (refined) {
+				var state = baldwinian.state;
+				expect(refined[0]).toBe(state[0]);
+				expect(state[0].values()).toEqual([0.5, 0.5, 0.5]);
+				expect(state[0].evaluation).toEqual([0]);
+				expect(state[0].__parameters__).toEqual({ mutationRate: 0.3 });
+				expect(elements[0].evaluation).toEqual([1.5]);
+				expect(baldwinian.hallOfFame.best().values()).toEqual([0, 0, 0]);
+				done();
+			}, function (error) {
+				done.fail(error);
+			});
+		}); // it "Lamarckian and Baldwinian"
+
+		it("memetic genetic algorithm", function (done) { //////////////////////////////////////////
+			var problem = testbeds.sumOptimization(5, -Infinity),
+				random = new Randomness.MersenneTwister(11),
+				mh = new GeneticAlgorithm({ logger: null, problem: problem, random: random,
+					size: 10, steps: 5, localSearchBudget: 5,
+					localSearch: Metaheuristic.localSearches.hillClimbing(0.05) }),
+				evaluationCount = problem.evaluationCount,
+				copy = Metaheuristic.restore(mh.checkpoint());
+			expect(utilities.operatorReference(copy.localSearch))
+				.toEqual(['Metaheuristic.localSearches.hillClimbing', 0.05]);
+			expect(copy.localSearchBudget).toBe(5);
+			mh.run().then(function (best) {
+				// The initial population is not refined. Every step 6 new elements are refined.
+				expect(problem.evaluationCount - evaluationCount).toBeGreaterThan(10 + 5 * 6);
+				expect(problem.evaluationCount - evaluationCount).not.toBeGreaterThan(10 + 5 * 6 * 6);
+				expect(mh.state.length).toBe(10);
+				done();
+			}, function (error) {
+				done.fail(error);
+			});
+		}); // it "memetic genetic algorithm"
+
+		['lamarckian', 'baldwinian'].forEach(function (mode) {
+			it("success rate in "+ mode +" mode", function (done) { ////////////////////////////////
+				var problem = testbeds.sumOptimization(5, -Infinity),
+					mh = new GeneticAlgorithm({ logger: null, problem: problem, size: 10, steps: 5,
+						random: new Randomness.MersenneTwister(31), localSearchMode: mode,
+						localSearchBudget: 5,
+						localSearch: Metaheuristic.localSearches.hillClimbing(0.05),
+						parameterControls: {
+							mutationRate: Metaheuristic.parameterControls.oneFifthRule(0.5)
+						} }),
+					iterator = mh.iterate(),
+					rates = [],
+					mutationRates = [];
+				problem.random = mh.random;
+				Future.doWhile(function () {
+					return iterator.next().then(function (result) {
+						if (!result.done) {
+							rates.push(mh.successRate);
+							mutationRates.push(mh.mutationRate);
+						}
+						return !result.done;
+					});
+				}).then(function () {
+					expect(rates.slice(1).some(function (rate) {
+						return rate > 0;
+					})).toBe(true);
+					for (var i = 2; i < rates.length; i++) { // The first update is at step 1.
+						expect(mutationRates[i]).toBe(rates[i - 1] > 0.2 ?
+							mutationRates[i - 1] / 0.5 : rates[i - 1] < 0.2 ?
+							mutationRates[i - 1] * 0.5 : mutationRates[i - 1]);
+					}
+					done();
+				}, function (error) {
+					done.fail(error);
+				});
+			}); // it "success rate"
+		});
+	}); // describe "Memetic mode"
+}); //// define.
@@ -37,6 +37,40 @@
 				});
 				return mh.run().then(done);
 			});
+
+			it("ask and tell.", function (done) { //////////////////////////////////////////////////
+				var mh = new metaheuristic({
+						problem: testbed,
+						size: SIZE,
+						steps: STEPS,
+						logger: null
+					}),
+					finished = false;
+				mh.events.on('finished', function () {
+					finished = true;
+				});
+				function askAndTell() {
+					return mh.ask(SIZE).then(function (elements) {
+						if (elements.length > 0) {
+							expect(elements.length).not.toBeGreaterThan(SIZE);
+							expect(testbed.evaluator).not.toBe(null);
+							return mh.tell(elements, elements.map(function (elem) {
+								return testbed.evaluation(elem);
+							})).then(askAndTell);
+						}
+					});
+				}
+				return askAndTell().then(function () {
+					expect(finished).toBe(true);
+					expect(mh.finished()).toBe(true);
+					expect(mh.step).not.toBeGreaterThan(STEPS);
+					expect(testbed.evaluator).toBe(null);
+					mh.state.forEach(function (elem) {
+						expect(isNaN(elem.evaluation)).toBe(false);
+					});
+					done();
+				});
+			});
 		});
 	});
 }); //// define.
\ No newline at end of file
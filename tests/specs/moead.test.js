@@ -0,0 +1,76 @@
+define(['creatartis-base', 'sermat', 'inveniemus'], function (base, Sermat, inveniemus) {
+	var Randomness = base.Randomness,
+		Problem = inveniemus.Problem,
+		Metaheuristic = inveniemus.Metaheuristic,
+		MOEAD = inveniemus.metaheuristics.MOEAD,
+		scalarizations = MOEAD.scalarizations,
+		utilities = inveniemus.utilities,
+		testbeds = inveniemus.problems.testbeds;
+
+	describe("MOEA/D", function () {
+		it("decomposition", function () { //////////////////////////////////////////////////////////
+			expect(utilities.simplexLattice(2, 2)).toEqual([[0, 1], [0.5, 0.5], [1, 0]]);
+			expect(utilities.simplexLattice(3, 4).length).toBe(utilities.simplexLatticeSize(3, 4));
+			expect(utilities.simplexLatticeSize(3, 12)).toBe(91);
+			var problem = new Problem({ objectives: [-Infinity, +Infinity, 2] });
+			expect(problem.objectiveLosses([1, 3, 5])).toEqual([1, -3, 3]);
+			expect(problem.objectiveLosses([1, NaN, 1])).toEqual([1, Infinity, 1]);
+			var mh = new MOEAD({ problem: testbeds.ZDT1(3), size: 12, neighbourhoodSize: 3 });
+			expect(mh.decomposition().length).toBe(12);
+			expect(mh.neighbourhoods[0]).toEqual([0, 1, 2]);
+			expect(mh.neighbourhoods[5][0]).toBe(5);
+			expect(mh.neighbourhoods[5].slice().sort()).toEqual([4, 5, 6]);
+			mh = new MOEAD({ problem: testbeds.sumOptimization(3), size: 5, neighbourhoodSize: 3 });
+			expect(mh.decomposition()).toEqual([[1], [1], [1], [1], [1]]);
+			expect(mh.neighbourhoods[0]).toEqual([0, 1, 2]);
+			expect(mh.neighbourhoods[2]).toEqual([2, 1, 3]);
+		}); // it "decomposition"
+
+		it("scalarizations", function () { /////////////////////////////////////////////////////////
+			expect(scalarizations.weightedSum([3, 1], [0.5, 0.5], [1, 0])).toBe(1.5);
+			expect(scalarizations.tchebycheff([3, 1], [0.5, 0.5], [1, 0])).toBe(1);
+			expect(scalarizations.tchebycheff([3, 1], [0, 1], [1, 0])).toBe(1);
+			var pbi = scalarizations.pbi(3);
+			expect(pbi([2, 0], [1, 0], [0, 0])).toBe(2);
+			expect(pbi([1, 1], [1, 0], [0, 0])).toBe(4);
+			expect(utilities.operatorReference(pbi)).toEqual(['MOEAD.scalarizations.pbi', 3]);
+			expect(new MOEAD({}).scalarization).toBe(scalarizations.tchebycheff);
+		}); // it "scalarizations"
+
+		[['ZDT1', ['MOEAD.scalarizations.tchebycheff']],
+		 ['ZDT2', ['MOEAD.scalarizations.pbi', 5]],
+		 ['ZDT3', ['MOEAD.scalarizations.weightedSum']]
+		].forEach(function (test) {
+			it("on "+ test[0], function (done) { ///////////////////////////////////////////////////
+				var random = new Randomness.MersenneTwister(37),
+					problem = testbeds[test[0]](5),
+					mh = new MOEAD({ logger: null, size: 20, steps: 30, neighbourhoodSize: 5,
+						problem: problem, scalarization: test[1], random: random });
+				problem.random = random;
+				mh.run().then(function () {
+					expect(mh.state.length).toBe(20);
+					mh.state.forEach(function (element) {
+						mh.problem.objectiveLosses(element.evaluation).forEach(function (loss, i) {
+							expect(loss).not.toBeLessThan(mh.ideal[i]);
+						});
+					});
+					var statistics = mh.statistics;
+					expect(statistics.stat({ key: 'scalarization', step: 30 }).average())
+						.toBeLessThan(statistics.stat({ key: 'scalarization', step: 0 }).average());
+					var copy = Metaheuristic.restore(mh.checkpoint());
+					expect(copy.constructor).toBe(MOEAD);
+					expect(copy.ideal).toEqual(mh.ideal);
+					expect(copy.neighbourhoodSize).toBe(5);
+					expect(utilities.operatorReference(copy.scalarization)).toEqual(test[1]);
+					copy.steps = 31;
+					return copy.run();
+				}).then(function (best) {
+					expect(best).toBeDefined();
+					done();
+				}, function (error) {
+					done.fail(error);
+				});
+			}); // it "on ZDTx"
+		});
+	}); // describe "MOEA/D"
+}); //// define.
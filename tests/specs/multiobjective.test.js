@@ -45,6 +45,33 @@
 			checkSort([[1,2], [1,2], [2,1]]);
 			checkSort([[1,2], [0,3], [2,3], [0,4]]);
 		});
+
+		it("fronts and crowding", function () { ////////////////////////////////////////////////////
+			var problem = new Problem({ objectives: [-Infinity, -Infinity] }),
+				mh = new Metaheuristic({ problem: problem }),
+				elems = [[4,4], [1,3], [3,3], [2,2], [3,1], [4,0], [1,4]].map(function (v) {
+					return new problem.Element(null, v);
+				}),
+				fronts = mh.nonDominatedFronts(elems);
+			expect(fronts.map(function (front) {
+				return front.map(function (elem) {
+					return elems.indexOf(elem);
+				}).sort();
+			})).toEqual([[1, 3, 4, 5], [2, 6], [0]]);
+			expect(elems.map(function (elem) {
+				return elem.rank;
+			})).toEqual([2, 0, 1, 0, 0, 0, 1]);
+			mh.crowdingDistance(fronts[0]);
+			expect(elems[1].crowdingDistance).toBe(Infinity);
+			expect(elems[5].crowdingDistance).toBe(Infinity);
+			expect(elems[3].crowdingDistance).toBeCloseTo(2/3 + 2/3, 6); // Normalized by ranges.
+			expect(elems[4].crowdingDistance).toBeCloseTo(2/3 + 2/3, 6);
+			var sorted = mh.nonDominatedSort(elems.slice());
+			expect(sorted.map(function (elem) {
+				return elem.rank;
+			})).toEqual([0, 0, 0, 0, 1, 1, 2]);
+			expect(sorted[2].crowdingDistance).not.toBeGreaterThan(sorted[1].crowdingDistance);
+		});
 		/*
 		async_it("simple optimization", function () { //////////////////////////////////////////////
 			var ProblemExample = base.declare(Problem, {
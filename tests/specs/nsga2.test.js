@@ -0,0 +1,53 @@
+define(['creatartis-base', 'sermat', 'inveniemus'], function (base, Sermat, inveniemus) {
+	var Randomness = base.Randomness,
+		Metaheuristic = inveniemus.Metaheuristic,
+		GeneticAlgorithm = inveniemus.metaheuristics.GeneticAlgorithm,
+		NSGA2 = inveniemus.metaheuristics.NSGA2,
+		testbeds = inveniemus.problems.testbeds;
+
+	/** The average of `g` in ZDT functions, which is 1 for all elements in the Pareto front.
+	*/
+	function averageG(elements) {
+		return base.iterable(elements).map(function (element) {
+			var values = element.values();
+			return 1 + base.iterable(values).tail().sum() / (values.length - 1) * 9;
+		}).sum() / elements.length;
+	}
+
+	describe("NSGA-II", function () {
+		['ZDT1', 'ZDT2', 'ZDT3'].forEach(function (name) {
+			it("on "+ name, function (done) { //////////////////////////////////////////////////////
+				var mh = new NSGA2({ logger: null, size: 20, steps: 20,
+						problem: testbeds[name](5),
+						random: new Randomness.MersenneTwister(29) }),
+					initialG;
+				expect(mh.expansionRate).toBe(1);
+				expect(mh.selection).toBe(GeneticAlgorithm.selections.crowdedTournamentSelection);
+				mh.events.on('initiated', function () {
+					initialG = averageG(mh.state);
+				});
+				mh.run().then(function () {
+					var fronts = mh.fronts();
+					for (var i = 1; i < mh.state.length; i++) {
+						expect(mh.state[i].rank).not.toBeLessThan(mh.state[i - 1].rank);
+					}
+					fronts[0].forEach(function (element) {
+						expect(element.rank).toBe(0);
+						mh.state.forEach(function (other) {
+							expect(mh.problem.compare(other, element).domination > 0).toBe(false);
+						});
+					});
+					expect(averageG(fronts[0])).toBeLessThan(initialG);
+					expect(mh.statistics.stat({ key: 'front_size', step: 20 }).average())
+						.toBe(fronts[0].length);
+					var copy = Metaheuristic.restore(mh.checkpoint());
+					expect(copy.constructor).toBe(NSGA2);
+					expect(copy.fronts().length).toBe(fronts.length);
+					done();
+				}, function (error) {
+					done.fail(error);
+				});
+			}); // it "on ZDTx"
+		});
+	}); // describe "NSGA-II"
+}); //// define.
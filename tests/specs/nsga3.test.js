@@ -0,0 +1,95 @@
+define(['creatartis-base', 'sermat', 'inveniemus'], function (base, Sermat, inveniemus) {
+	var iterable = base.iterable,
+		Randomness = base.Randomness,
+		Problem = inveniemus.Problem,
+		Metaheuristic = inveniemus.Metaheuristic,
+		NSGA3 = inveniemus.metaheuristics.NSGA3,
+		testbeds = inveniemus.problems.testbeds;
+
+	/** The average distance to the origin of the given elements, which is 1 for all elements in
+	the Pareto front of DTLZ2.
+	*/
+	function averageRadius(elements) {
+		return iterable(elements).map(function (element) {
+			return Math.sqrt(iterable(element.evaluation).map(function (v) {
+				return v * v;
+			}).sum());
+		}).sum() / elements.length;
+	}
+
+	describe("NSGA-III", function () {
+		it("DTLZ test beds", function () { /////////////////////////////////////////////////////////
+			var problem = testbeds.DTLZ1();
+			expect(problem.objectives).toEqual([-Infinity, -Infinity, -Infinity]);
+			expect(problem.elementModel.length).toBe(7);
+			var evaluation = problem.evaluation(new problem.Element([0.2, 0.7, 0.5, 0.5, 0.5,
+				0.5, 0.5]));
+			expect(iterable(evaluation).sum()).toBeCloseTo(0.5, 9);
+			['DTLZ2', 'DTLZ3', 'DTLZ4'].forEach(function (name) {
+				problem = testbeds[name](4);
+				expect(problem.elementModel.length).toBe(13);
+				evaluation = problem.evaluation(new problem.Element([0.2, 0.7, 0.9, 0.5, 0.5,
+					0.5, 0.5, 0.5, 0.5, 0.5, 0.5, 0.5, 0.5]));
+				expect(evaluation.length).toBe(4);
+				expect(iterable(evaluation).map(function (v) {
+					return v * v;
+				}).sum()).toBeCloseTo(1, 9);
+			});
+			problem = Sermat.mat(Sermat.ser(testbeds.DTLZ4(5, 8)));
+			expect(problem.objectives.length).toBe(5);
+			expect(problem.elementModel.length).toBe(8);
+		}); // it "DTLZ test beds"
+
+		it("reference points and niching", function () { ///////////////////////////////////////////
+			var problem = new Problem({ objectives: [-Infinity, -Infinity, -Infinity] }),
+				mh = new NSGA3({ problem: problem, size: 10 }),
+				elems = [[1,0,0], [0,1,0], [0,0,1], [2/3,1/3,0], [0.95,0.05,0]].map(function (v) {
+					return new problem.Element(null, v);
+				});
+			expect(mh.references().length).toBe(10);
+			expect(mh.references()[9]).toEqual([1, 0, 0]);
+			mh.intercepts([[2,0,0], [0,4,0], [0,0,1], [1,1,0.1]]).forEach(function (v, i) {
+				expect(v).toBeCloseTo([2, 4, 1][i], 9);
+			});
+			expect(mh.intercepts([[1,1,1]])).toEqual([1, 1, 1]); // The hyperplane is degenerate.
+			mh.association(elems);
+			expect(elems.map(function (elem) {
+				return elem.niche;
+			})).toEqual([9, 3, 0, 8, 9]);
+			expect(elems[3].nicheDistance).toBeCloseTo(0, 9);
+			expect(elems[4].nicheDistance).toBeCloseTo(0.05, 9);
+			expect(mh.niching([elems[0]], [elems[4], elems[3]], 1)).toEqual([elems[3], elems[4]]);
+			mh = new NSGA3({ problem: problem, referencePoints: [[1, 0, 0], [0, 1, 0]] });
+			expect(mh.references().length).toBe(2);
+		}); // it "reference points and niching"
+
+		[3, 5].forEach(function (objectives) {
+			it("on DTLZ2 with "+ objectives +" objectives", function (done) { //////////////////////
+				var random = new Randomness.MersenneTwister(41),
+					problem = testbeds.DTLZ2(objectives),
+					mh = new NSGA3({ logger: null, size: 36, steps: 30, problem: problem,
+						random: random }),
+					initialRadius;
+				problem.random = random;
+				mh.events.on('initiated', function () {
+					initialRadius = averageRadius(mh.state);
+				});
+				mh.run().then(function () {
+					expect(mh.state.length).toBe(36);
+					for (var i = 1; i < mh.state.length; i++) {
+						expect(mh.state[i].rank).not.toBeLessThan(mh.state[i - 1].rank);
+					}
+					expect(averageRadius(mh.fronts()[0])).toBeLessThan(initialRadius);
+					expect(mh.statistics.stat({ key: 'niches', step: 30 }).average())
+						.toBeGreaterThan(mh.references().length / 2);
+					var copy = Metaheuristic.restore(mh.checkpoint());
+					expect(copy.constructor).toBe(NSGA3);
+					expect(copy.references()).toEqual(mh.references());
+					done();
+				}, function (error) {
+					done.fail(error);
+				});
+			}); // it "on DTLZ2"
+		});
+	}); // describe "NSGA-III"
+}); //// define.
@@ -0,0 +1,183 @@
+define(['creatartis-base', 'sermat', 'inveniemus'], function (base, Sermat, inveniemus) {
+	var Future = base.Future,
+		Randomness = base.Randomness,
+		Metaheuristic = inveniemus.Metaheuristic,
+		controls = Metaheuristic.parameterControls,
+		utilities = inveniemus.utilities,
+		metaheuristics = inveniemus.metaheuristics,
+		testbeds = inveniemus.problems.testbeds;
+
+	function trajectory(mh, name) {
+		return base.Iterable.range(mh.step + 1).map(function (step) {
+			var stat = mh.statistics.stat({ key: 'parameter', name: name, step: step });
+			return Math.round(stat.average() * 1e4) / 1e4;
+		}).toArray();
+	}
+
+	/** Runs the metaheuristic step by step, calling `check` after each one.
+	*/
+	function runSteps(mh, check) {
+		var iterator = mh.iterate();
+		return Future.doWhile(function () {
+			return iterator.next().then(function (result) {
+				if (!result.done) {
+					check(mh);
+				}
+				return !result.done;
+			});
+		});
+	}
+
+	describe("Parameter control", function () {
+		it("schedules", function (done) { //////////////////////////////////////////////////////////
+			var mh = new metaheuristics.GeneticAlgorithm({ logger: null, size: 10, steps: 4,
+				problem: testbeds.sumOptimization(5),
+				random: new Randomness.MersenneTwister(13),
+				parameterControls: {
+					mutationRate: controls.linear(0.5, 0),
+					expansionRate: ['Metaheuristic.parameterControls.exponential', 1, 0.25]
+				}
+			});
+			expect(utilities.operatorReference(mh.parameterControls.expansionRate))
+				.toEqual(['Metaheuristic.parameterControls.exponential', 1, 0.25]);
+			expect(function () {
+				controls.exponential(0, 1);
+			}).toThrow();
+			mh.run().then(function () {
+				expect(mh.initialParameters).toEqual({ mutationRate: 0.2, expansionRate: 0.5 });
+				expect(trajectory(mh, 'mutationRate')).toEqual([0.5, 0.375, 0.25, 0.125, 0]);
+				expect(trajectory(mh, 'expansionRate')).toEqual([1, 0.7071, 0.5, 0.3536, 0.25]);
+				expect(mh.successRate).not.toBeLessThan(0);
+				expect(mh.successRate).not.toBeGreaterThan(1);
+				var copy = Metaheuristic.restore(mh.checkpoint());
+				expect(utilities.operatorReference(copy.parameterControls.mutationRate))
+					.toEqual(['Metaheuristic.parameterControls.linear', 0.5, 0]);
+				expect(copy.initialParameters).toEqual(mh.initialParameters);
+				done();
+			}, function (error) {
+				done.fail(error);
+			});
+		}); // it "schedules"
+
+		it("feedback", function (done) { ///////////////////////////////////////////////////////////
+			var mh = new metaheuristics.EvolutionStrategy({ logger: null, size: 1, steps: 20,
+					problem: testbeds.sumOptimization(5),
+					random: new Randomness.MersenneTwister(17),
+					parameterControls: { delta: controls.oneFifthRule(0.5) }
+				}),
+				last = null;
+			runSteps(mh, function (mh) {
+				if (last) {
+					expect(mh.delta).toBe(last.rate > 0.2 ? last.delta / 0.5 :
+						last.rate < 0.2 ? last.delta * 0.5 : last.delta);
+				}
+				last = { delta: mh.delta, rate: mh.successRate };
+			}).then(function () {
+				expect(mh.step).toBe(20);
+				expect(trajectory(mh, 'delta')[0]).toBe(1);
+				mh.reset();
+				expect(isNaN(mh.successRate)).toBe(true);
+				var control = controls.successHistory(3, 0.2, 0, 2);
+				mh = new metaheuristics.DifferentialEvolution({ logger: null, size: 8, steps: 10,
+					problem: testbeds.sumOptimization(5),
+					random: new Randomness.MersenneTwister(19),
+					parameterControls: { differentialWeight: control }
+				});
+				return runSteps(mh, function (mh) {
+					expect(mh.__controlState__.differentialWeight.memory.length).toBe(3);
+					expect(mh.differentialWeight).not.toBeLessThan(0);
+					expect(mh.differentialWeight).not.toBeGreaterThan(2);
+				});
+			}).then(function () {
+				expect(trajectory(mh, 'differentialWeight').length).toBe(11);
+				expect(trajectory(mh, 'differentialWeight')[0]).toBe(1);
+				done();
+			}, function (error) {
+				done.fail(error);
+			});
+		}); // it "feedback"
+
+		it("resuming with feedback controls", function (done) { ////////////////////////////////////
+			var random = new utilities.TrackedRandomness(new Randomness.MersenneTwister(29)),
+				problem = testbeds.sumOptimization(5),
+				control = controls.successHistory(3, 0.2),
+				mh = new metaheuristics.GeneticAlgorithm({ logger: null, size: 10, steps: 8,
+					problem: problem, random: random,
+					parameterControls: { mutationRate: control, expansionRate: control }
+				}),
+				other = new metaheuristics.GeneticAlgorithm({ logger: null, size: 10, steps: 8,
+					problem: testbeds.sumOptimization(5), random: new Randomness.MersenneTwister(31),
+					parameterControls: { mutationRate: control }
+				}),
+				checkpoint;
+			problem.random = random;
+			Future.sequence([0, 1, 2, 3], function () {
+				return mh.advance();
+			}).then(function () {
+				checkpoint = mh.checkpoint();
+				return other.run(); // Shares the control, but not its state.
+			}).then(function () {
+				expect(mh.__controlState__.mutationRate)
+					.not.toBe(other.__controlState__.mutationRate);
+				expect(mh.__controlState__.mutationRate)
+					.not.toBe(mh.__controlState__.expansionRate);
+				return mh.run();
+			}).then(function () {
+				var resumed = Metaheuristic.restore(checkpoint);
+				expect(resumed.step).toBe(3);
+				expect(resumed.__controlState__.mutationRate.memory.length).toBe(3);
+				expect(resumed.successRate).not.toBeLessThan(0);
+				return resumed.run().then(function () {
+					expect(resumed.step).toBe(mh.step);
+					expect(trajectory(resumed, 'mutationRate').slice(4))
+						.toEqual(trajectory(mh, 'mutationRate').slice(4));
+					expect(resumed.__controlState__).toEqual(mh.__controlState__);
+					expect(resumed.state.map(function (element) {
+						return element.evaluation;
+					})).toEqual(mh.state.map(function (element) {
+						return element.evaluation;
+					}));
+					done();
+				});
+			}).then(null, function (error) {
+				done.fail(error);
+			});
+		}); // it "resuming with feedback controls"
+
+		it("self-adaptation", function (done) { ////////////////////////////////////////////////////
+			var random = new utilities.TrackedRandomness(new Randomness.MersenneTwister(23)),
+				mh = new metaheuristics.EvolutionStrategy({ logger: null, size: 4, steps: 6,
+					problem: testbeds.sumOptimization(5), random: random,
+					parameterControls: { delta: controls.selfAdaptation(0.5, 0.01, 1) }
+				});
+			mh.run().then(function () {
+				mh.state.forEach(function (element) {
+					var delta = element.__parameters__.delta;
+					expect(delta).not.toBeLessThan(0.01);
+					expect(delta).not.toBeGreaterThan(1);
+				});
+				expect(mh.statistics.stat({ key: 'parameter', name: 'delta', step: 6 }).count())
+					.toBe(4);
+				var copy = Metaheuristic.restore(mh.checkpoint());
+				expect(copy.state.map(function (element) {
+					return element.__parameters__.delta;
+				})).toEqual(mh.state.map(function (element) {
+					return element.__parameters__.delta;
+				}));
+				mh = new metaheuristics.GeneticAlgorithm({ logger: null, size: 10, steps: 3,
+					problem: testbeds.sumOptimization(5), random: random,
+					parameterControls: { mutationRate: controls.selfAdaptation(1, 0, 1) }
+				});
+				return mh.run();
+			}).then(function () {
+				expect(mh.state.some(function (element) {
+					return element.__parameters__ && element.__parameters__.mutationRate >= 0;
+				})).toBe(true);
+				expect(mh.inheritedParameters([mh.state[0]]).mutationRate).not.toBeGreaterThan(1);
+				done();
+			}, function (error) {
+				done.fail(error);
+			});
+		}); // it "self-adaptation"
+	}); // describe "Parameter control"
+}); //// define.
@@ -0,0 +1,91 @@
+define(['creatartis-base', 'sermat', 'inveniemus'], function (base, Sermat, inveniemus) {
+	var Randomness = base.Randomness,
+		metaheuristics = inveniemus.metaheuristics,
+		problems = inveniemus.problems,
+		ParameterTuningProblem = problems.ParameterTuningProblem,
+		testbeds = problems.testbeds;
+
+	function tuningProblem(params) {
+		return new ParameterTuningProblem(base.copy(params || {}, {
+			metaheuristic: metaheuristics.GeneticAlgorithm,
+			parameters: {
+				mutationRate: { type: 'real', min: 0, max: 1 },
+				steps: { min: 0, max: 15 }
+			},
+			settings: { size: 6 },
+			problems: [testbeds.sumOptimization(4, -Infinity), testbeds.sumOptimization(3)],
+			seeds: [1, 2, 3],
+			random: new Randomness.MersenneTwister(19)
+		}));
+	}
+
+	describe("Parameter tuning", function () {
+		it("elements and trials", function (done) { ////////////////////////////////////////////////
+			var tuning = tuningProblem(),
+				element = new tuning.Element([0.5, 10]),
+				evaluation;
+			expect(tuning.objectives).toEqual([-Infinity]);
+			expect(tuning.mapping(element)).toEqual({ mutationRate: 0.5, steps: 10 });
+			expect(tuning.instances().map(function (instance) {
+				return [tuning.problems.indexOf(instance[0]), instance[1]];
+			})).toEqual([[0, 1], [1, 1], [0, 2], [1, 2], [0, 3], [1, 3]]);
+			expect(tuning.loss({ objectives: [1] }, { evaluation: [1.5] })).toBe(0.5);
+			expect(tuning.loss({ objectives: [Infinity] }, { evaluation: [1.5] })).toBe(-1.5);
+			expect(tuning.loss(tuning.problems[0], new tuning.problems[0].Element())).toBe(Infinity);
+			tuning.evaluate([element]).then(function () {
+				evaluation = element.evaluation[0];
+				expect(tuning.runCount).toBe(6);
+				expect(evaluation).not.toBeLessThan(0);
+				element = new tuning.Element([0.5, 10]);
+				return element.evaluate();
+			}).then(function () {
+				expect(element.evaluation[0]).toBe(evaluation); // Runs are repeatable.
+				var copy = Sermat.sermat(tuning);
+				expect(copy.constructor).toBe(ParameterTuningProblem);
+				expect(copy.metaheuristic).toBe(metaheuristics.GeneticAlgorithm);
+				expect(copy.problems.length).toBe(2);
+				expect(copy.mapping(new copy.Element([0.5, 10]))).toEqual(tuning.mapping(element));
+				done();
+			}, function (error) {
+				done.fail(error);
+			});
+		}); // it "elements and trials"
+
+		it("racing", function (done) { /////////////////////////////////////////////////////////////
+			var tuning = tuningProblem({ seeds: [1, 2, 3, 4], racingMinimum: 2 }),
+				good = new tuning.Element([0.5, 15]),
+				bad = new tuning.Element([0.5, 0]),
+				elements = [good, bad];
+			tuning.evaluate(elements).then(function () {
+				expect(tuning.runCount).toBeLessThan(16); // Without racing, 8 runs per element.
+				expect(tuning.evaluationCount).toBe(2);
+				expect(good.evaluation[0]).toBeLessThan(bad.evaluation[0]);
+				tuning = tuningProblem({ seeds: [1, 2, 3, 4], racing: false });
+				elements = [new tuning.Element([0.5, 15]), new tuning.Element([0.5, 0])];
+				return tuning.evaluate(elements);
+			}).then(function () {
+				expect(tuning.runCount).toBe(16);
+				expect(elements[0].evaluation[0]).toBe(good.evaluation[0]);
+				done();
+			}, function (error) {
+				done.fail(error);
+			});
+		}); // it "racing"
+
+		it("meta-optimization", function (done) { //////////////////////////////////////////////////
+			var tuning = tuningProblem(),
+				mh = new metaheuristics.GeneticAlgorithm({ logger: null, problem: tuning, size: 4,
+					steps: 2, random: new Randomness.MersenneTwister(23) });
+			mh.run().then(function (best) {
+				var params = tuning.mapping(best);
+				expect(params.steps).toBeGreaterThan(0);
+				expect(mh.state.every(function (element) {
+					return element.evaluation !== null;
+				})).toBe(true);
+				done();
+			}, function (error) {
+				done.fail(error);
+			});
+		}); // it "meta-optimization"
+	}); // describe "Parameter tuning"
+}); //// define.
@@ -0,0 +1,64 @@
+﻿define(['creatartis-base', 'sermat', 'inveniemus'], function (base, Sermat, inveniemus) {
+	var iterable = base.iterable,
+		Problem = inveniemus.Problem,
+		PermutationElement = inveniemus.elements.PermutationElement,
+		GeneticAlgorithm = inveniemus.metaheuristics.GeneticAlgorithm;
+
+	function expectPermutation(elem, length) {
+		var values = elem.values();
+		expect(values.length).toBe(length);
+		expect(values.slice().sort(function (x, y) {
+			return x - y;
+		}).join(',')).toBe(base.Iterable.range(length).toArray().join(','));
+	}
+
+	describe("PermutationElement", function () {
+		var problem = new Problem({
+				Element: PermutationElement,
+				elementModel: PermutationElement.model(7)
+			});
+
+		it("values", function () { /////////////////////////////////////////////////////////////////
+			for (var i = 0; i < 30; i++) {
+				var elem = new problem.Element();
+				expect(elem instanceof PermutationElement).toBe(true);
+				expectPermutation(elem, 7);
+			}
+			expect(new problem.Element([6,5,4,3,2,1,0]).values()).toEqual([6,5,4,3,2,1,0]);
+			expect(new problem.Element([1,1,1,3,2,9,0]).values()).toEqual([1,4,5,3,2,6,0]);
+			expect(function () {
+				new problem.Element().checkValues([1,1,2,3,4,5,6], false);
+			}).toThrow();
+		}); // it "values"
+
+		it("expansions", function () { /////////////////////////////////////////////////////////////
+			var elem = new problem.Element([0,1,2,3,4,5,6]);
+			expect(elem.modification(0, 3).values()).toEqual([3,1,2,0,4,5,6]);
+			expect(elem.neighbourhood().length).toBe(6);
+			expect(elem.neighbourhood(2).length).toBe(11);
+			elem.neighbourhood(7).forEach(function (neighbour) {
+				expectPermutation(neighbour, 7);
+			});
+		}); // it "expansions"
+
+		it("genetic operators", function () { //////////////////////////////////////////////////////
+			var mh = new GeneticAlgorithm({ problem: problem, logger: null });
+			iterable(GeneticAlgorithm.crossovers).filterApply(function (name) {
+				return ['orderCrossover', 'partiallyMappedCrossover', 'cycleCrossover'].indexOf(name) >= 0;
+			}).forEachApply(function (name, crossover) {
+				for (var i = 0; i < 30; i++) {
+					var children = crossover.call(mh, [new problem.Element(), new problem.Element()]);
+					expect(children.length).toBe(2);
+					children.forEach(function (child) {
+						expectPermutation(child, 7);
+					});
+				}
+			});
+			['swapMutation', 'insertionMutation', 'inversionMutation'].forEach(function (name) {
+				for (var i = 0; i < 30; i++) {
+					expectPermutation(GeneticAlgorithm.mutations[name].call(mh, new problem.Element()), 7);
+				}
+			});
+		}); // it "genetic operators"
+	}); // describe "PermutationElement"
+}); //// define.
@@ -0,0 +1,100 @@
+define(['creatartis-base', 'sermat', 'inveniemus'], function (base, Sermat, inveniemus) {
+	var Randomness = base.Randomness,
+		Iterable = base.Iterable,
+		Metaheuristic = inveniemus.Metaheuristic,
+		Problem = inveniemus.Problem,
+		Termination = inveniemus.Termination,
+		metaheuristics = inveniemus.metaheuristics,
+		Pipeline = metaheuristics.Pipeline,
+		testbeds = inveniemus.problems.testbeds;
+
+	describe("Pipeline", function () {
+		it("seeds", function () { //////////////////////////////////////////////////////////////////
+			var problem = testbeds.sumOptimization(3, -Infinity),
+				seed = [new problem.Element([0, 0, 0])],
+				mh = new Metaheuristic({ problem: problem, size: 4, seed: seed });
+			mh.initiate();
+			expect(mh.state.length).toBe(4);
+			expect(mh.state[0]).toBe(seed[0]);
+			mh.initiate(1);
+			expect(mh.state).toEqual(seed);
+			expect(Metaheuristic.restore(mh.checkpoint()).seed[0].values()).toEqual([0, 0, 0]);
+		}); // it "seeds"
+
+		it("stages", function (done) { /////////////////////////////////////////////////////////////
+			var problem = testbeds.sumOptimization(4, -Infinity),
+				random = new Randomness.MersenneTwister(5),
+				globalSearch = new metaheuristics.DifferentialEvolution({ size: 10, steps: 4,
+					random: random }),
+				localSearch = new metaheuristics.HillClimbing({ delta: 0.01, random: random,
+					termination: Termination.steps(3) }),
+				mh = new Pipeline({ logger: null, problem: problem, random: random,
+					stages: [globalSearch, localSearch] }),
+				checkpoint = null;
+			expect(localSearch.problem).toBe(problem);
+			var iterator = mh.iterate();
+			base.Future.doWhile(function () { // Every step is checked right after it is taken.
+				return iterator.next().then(function (result) {
+					if (!result.done) {
+						expect(result.value.best).toBe(mh.currentStage().state[0]);
+						if (mh.step === 6) {
+							checkpoint = mh.checkpoint();
+						}
+					}
+					return !result.done;
+				});
+			}).then(function () {
+				expect(localSearch.seed.length).toBe(10); // Seeded with the final state of the former.
+				expect(localSearch.seed[0]).toBe(globalSearch.state[0]);
+				expect(globalSearch.terminatedBy.name).toBe('steps');
+				expect(mh.terminatedBy).toBe(Pipeline.lastStage);
+				expect(mh.stage).toBe(1);
+				expect(mh.step).toBe(8); // 5 steps of the first stage, and 4 of the second.
+				expect(localSearch.step).toBe(3);
+				expect(mh.statistics.stats({ key: 'evaluation', stage: 0 }).length).toBe(5);
+				expect(mh.statistics.stats({ key: 'evaluation', stage: 1 }).map(function (stat) {
+					return stat.keys.step;
+				})).toEqual([5, 6, 7, 8]);
+				expect(mh.statistics.stats({ key: 'evaluation' }).length).toBe(9 + 9);
+				var copy = Metaheuristic.restore(checkpoint);
+				expect(copy.stage).toBe(1);
+				expect(copy.stages[1].step).toBe(1);
+				expect(copy.stages[1].seed.length).toBe(10);
+				expect(copy.stages[0].problem).toBe(copy.problem);
+				mh.reset();
+				expect(mh.stage).toBe(0);
+				expect(localSearch.step).toBe(-1);
+				done();
+			}, function (error) {
+				done.fail(error);
+			});
+		}); // it "stages"
+
+		it("constraint handling adaptation", function (done) { /////////////////////////////////////
+			var adaptedSteps = [],
+				constraintHandling = function countedHandling(element1, element2) {
+					return this.objectiveComparison(element1, element2);
+				};
+			constraintHandling.adapt = function adapt(elements, step) {
+				adaptedSteps.push(step);
+			};
+			var problem = new Problem({ elementModel: [{ n: 10 }, { n: 10 }],
+					random: new Randomness.MersenneTwister(5),
+					constraints: [{ fn: function (element) {
+						return element.__values__[0] - 5;
+					}}],
+					constraintHandling: constraintHandling
+				}),
+				mh = new Pipeline({ logger: null, problem: problem, size: 4, steps: 6,
+					random: problem.random });
+			mh.run().then(function () {
+				expect(mh.stage).toBe(1);
+				// Once per step of the pipeline, with its step count.
+				expect(adaptedSteps).toEqual(Iterable.range(mh.step + 1).toArray());
+				done();
+			}, function (error) {
+				done.fail(error);
+			});
+		}); // it "constraint handling adaptation"
+	}); // describe "Pipeline"
+}); //// define.
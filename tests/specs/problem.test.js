@@ -73,6 +73,92 @@
 				});
 			}).then(done);
 		}); // it "asynchronous evaluation"
-		
+
+		it("constraints", function () { ////////////////////////////////////////////////////////////
+			var problem = new Problem({
+					elementModel: [{ n: 10 }, { n: 10 }],
+					constraints: [
+						{ fn: function (element) { // x0 <= 5
+							return element.__values__[0] - 5;
+						}},
+						{ type: 'equality', fn: function (element) { // x0 + x1 = 8
+							return element.__values__[0] + element.__values__[1] - 8;
+						}}
+					]
+				}),
+				feasible1 = new problem.Element([3, 5]),
+				feasible2 = new problem.Element([5, 3]),
+				infeasible1 = new problem.Element([6, 2]),
+				infeasible2 = new problem.Element([9, 9]);
+			expect(feasible1.violations()).toEqual([0, 0]);
+			expect(feasible1.isFeasible()).toBe(true);
+			expect(infeasible1.violations()).toEqual([1, 0]);
+			expect(infeasible2.violations()[1]).toBeCloseTo(10, 3);
+			expect(infeasible2.isFeasible()).toBe(false);
+			[feasible1, feasible2, infeasible1, infeasible2].forEach(function (element) {
+				element.evaluation = element.__values__[0] + element.__values__[1];
+			});
+			infeasible1.evaluation = 1;
+			// Feasibility rules (the default).
+			expect(problem.compare(feasible1, infeasible1)).toBeGreaterThan(0);
+			expect(problem.compare(infeasible1, infeasible2)).toBeGreaterThan(0);
+			expect(problem.compare(feasible1, feasible2)).toBe(0);
+			// Static penalty.
+			problem.constraintHandling = Problem.constraintHandlings.staticPenalty(1);
+			expect(problem.compare(infeasible1, feasible1)).toBeGreaterThan(0); // 1 + 1 < 8
+			problem.constraintHandling = Problem.constraintHandlings.staticPenalty(10);
+			expect(problem.compare(infeasible1, feasible1)).toBeLessThan(0); // 1 + 10 > 8
+			// Adaptive penalty.
+			problem.constraintHandling = Problem.constraintHandlings.adaptivePenalty(1, 2, 2, 3);
+			for (var step = 0; step < 3; step++) {
+				problem.adaptConstraintHandling([infeasible1], step);
+			}
+			expect(problem.__handlingState__.penalty).toBe(9);
+			expect(problem.compare(infeasible1, feasible1)).toBeLessThan(0);
+			// Stochastic ranking.
+			problem.constraintHandling = Problem.constraintHandlings.stochasticRanking(1);
+			expect(problem.compare(infeasible1, feasible1)).toBeLessThan(0);
+			expect(problem.rank([feasible2, feasible1, infeasible2, infeasible1]))
+				.toEqual([infeasible1, feasible2, feasible1, infeasible2]);
+			problem.constraintHandling = Problem.constraintHandlings.stochasticRanking(0);
+			expect(problem.rank([infeasible2, infeasible1, feasible2, feasible1]))
+				.toEqual([feasible2, feasible1, infeasible1, infeasible2]);
+			problem.constraintHandling = Problem.constraintHandlings.stochasticRanking(1, 1);
+			expect(problem.rank([feasible2, feasible1, infeasible2, infeasible1]))
+				.toEqual([feasible2, feasible1, infeasible1, infeasible2]);
+			// Epsilon constraint.
+			problem.constraintHandling = Problem.constraintHandlings.epsilonConstraint(10, 1);
+			problem.adaptConstraintHandling([feasible1, feasible2, infeasible1, infeasible2], 0);
+			expect(problem.__handlingState__.epsilon).toBe(0);
+			problem.constraintHandling = Problem.constraintHandlings.epsilonConstraint(10, 1, 2);
+			problem.__handlingState__ = null;
+			problem.adaptConstraintHandling([], 5);
+			expect(problem.__handlingState__.epsilon).toBe(1);
+			expect(problem.compare(infeasible1, feasible1)).toBeGreaterThan(0);
+			problem.adaptConstraintHandling([], 10);
+			expect(problem.compare(infeasible1, feasible1)).toBeLessThan(0);
+			// Problems sharing a handling do not share its state.
+			var other = new Problem({ constraints: problem.constraints,
+				constraintHandling: problem.constraintHandling });
+			other.adaptConstraintHandling([feasible1], 0);
+			expect(other.__handlingState__.epsilon).toBe(2);
+			expect(problem.__handlingState__.epsilon).toBe(0);
+		}); // it "constraints"
+
+		it("knapsack problem", function (done) { ///////////////////////////////////////////////////
+			var random = new base.Randomness.MersenneTwister(7), // Seeded to avoid random failures.
+				problem = new inveniemus.problems.KnapsackProblem({ random: random }),
+				mh = new inveniemus.metaheuristics.GeneticAlgorithm({ problem: problem, size: 20,
+					steps: 20, logger: null, random: random });
+			expect(problem.evaluation(new problem.Element([1, 1, 1, 1, 1]))).toBe(19);
+			expect(new problem.Element([1, 1, 1, 1, 1]).isFeasible()).toBe(false);
+			mh.run().then(function (best) {
+				expect(best.isFeasible()).toBe(true);
+				expect(best.evaluation[0]).toBe(15);
+				expect(mh.statistics.stat({ key: 'feasible', step: mh.step }).count())
+					.toBe(20);
+				done();
+			});
+		}); // it "knapsack problem"
 	}); //// describe "Problem"
 }); //// define.
\ No newline at end of file
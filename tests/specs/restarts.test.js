@@ -0,0 +1,117 @@
+define(['creatartis-base', 'sermat', 'inveniemus'], function (base, Sermat, inveniemus) {
+	var Randomness = base.Randomness,
+		Iterable = base.Iterable,
+		Metaheuristic = inveniemus.Metaheuristic,
+		Problem = inveniemus.Problem,
+		Termination = inveniemus.Termination,
+		utilities = inveniemus.utilities,
+		metaheuristics = inveniemus.metaheuristics,
+		Restarts = metaheuristics.Restarts,
+		testbeds = inveniemus.problems.testbeds;
+
+	/** A deceptive problem, with the global minimum at 0 and a local minimum at 19.
+	*/
+	var DeceptiveProblem = base.declare(Problem, {
+		evaluation: function evaluation(element) {
+			var x = element.values()[0];
+			return x === 0 ? 0 : 20 - x;
+		}
+	});
+
+	describe("Restarts", function () {
+		it("hill climbing", function (done) { //////////////////////////////////////////////////////
+			var problem = new DeceptiveProblem({ elementModel: [{ n: 20 }],
+					random: new Randomness.MersenneTwister(3) }),
+				mh = new Restarts({ logger: null, problem: problem, size: 1, steps: 200,
+					random: new Randomness.MersenneTwister(3),
+					termination: Termination.target(0, 0).or(Termination.steps()) });
+			expect(mh.inner instanceof metaheuristics.HillClimbing).toBe(true);
+			expect(mh.inner.problem).toBe(problem);
+			mh.run().then(function (best) {
+				expect(mh.restartCount).toBeGreaterThan(0);
+				expect(best).toBe(mh.best);
+				expect(best.evaluation[0]).toBe(0);
+				expect(mh.terminatedBy.name).toBe('target');
+				expect(mh.statistics.count({ key: 'restart' })).toBe(mh.restartCount);
+				mh.reset();
+				expect(mh.restartCount).toBe(0);
+				expect(mh.best).toBe(null);
+				expect(mh.inner.step).toBe(-1);
+				done();
+			}, function (error) {
+				done.fail(error);
+			});
+		}); // it "hill climbing"
+
+		it("population growth and step shrinking", function (done) { ///////////////////////////////
+			var random = new Randomness.MersenneTwister(7),
+				problem = testbeds.sumOptimization(3, -Infinity),
+				mh = new Restarts({ logger: null, problem: problem, random: random, steps: 10,
+					sizeGrowth: 2, deltaShrink: 0.5,
+					seeding: Restarts.seedings.perturbed(0.1),
+					inner: new metaheuristics.EvolutionStrategy({ random: random, size: 2,
+						delta: 0.5, termination: Termination.steps(2) })
+				});
+			expect(mh.size).toBe(2);
+			mh.run().then(function (best) {
+				expect(mh.restartCount).toBe(3); // At steps 3, 6 and 9.
+				expect(mh.inner.size).toBe(16);
+				expect(mh.inner.delta).toBe(0.0625);
+				expect(mh.size).toBe(16);
+				expect(mh.state.length).toBe(16);
+				expect(mh.state[0]).toBe(mh.inner.state[0]);
+				expect(mh.inner.seed.length).toBe(16);
+				expect(mh.problem.compare(best, mh.state[0])).not.toBeLessThan(0);
+				var copy = Metaheuristic.restore(mh.checkpoint());
+				expect(copy.restartCount).toBe(3);
+				expect(copy.best.evaluation).toEqual(best.evaluation);
+				expect(copy.inner.delta).toBe(0.0625);
+				expect(utilities.operatorReference(copy.seeding))
+					.toEqual(['Restarts.seedings.perturbed', 0.1]);
+				[mh, copy].forEach(function (restarts) { // The inner metaheuristic starts over.
+					restarts.reset();
+					expect(restarts.size).toBe(2);
+					expect(restarts.inner.size).toBe(2);
+					expect(restarts.inner.delta).toBe(0.5);
+					expect(restarts.inner.seed).toBeUndefined();
+				});
+				return mh.run();
+			}).then(function () {
+				expect(mh.restartCount).toBe(3);
+				expect(mh.inner.size).toBe(16);
+				done();
+			}, function (error) {
+				done.fail(error);
+			});
+		}); // it "population growth and step shrinking"
+
+		it("constraint handling adaptation", function (done) { /////////////////////////////////////
+			var adaptedSteps = [],
+				constraintHandling = function countedHandling(element1, element2) {
+					return this.objectiveComparison(element1, element2);
+				};
+			constraintHandling.adapt = function adapt(elements, step) {
+				adaptedSteps.push(step);
+			};
+			var random = new Randomness.MersenneTwister(5),
+				problem = new Problem({ elementModel: [{ n: 10 }, { n: 10 }], random: random,
+					constraints: [{ fn: function (element) {
+						return element.__values__[0] - 5;
+					}}],
+					constraintHandling: constraintHandling
+				}),
+				mh = new Restarts({ logger: null, problem: problem, random: random, steps: 10,
+					inner: new metaheuristics.EvolutionStrategy({ random: random, size: 2,
+						termination: Termination.steps(2) })
+				});
+			mh.run().then(function () {
+				expect(mh.restartCount).toBe(3);
+				// Once per step, and never again from step 0 when restarting.
+				expect(adaptedSteps).toEqual(Iterable.range(11).toArray());
+				done();
+			}, function (error) {
+				done.fail(error);
+			});
+		}); // it "constraint handling adaptation"
+	}); // describe "Restarts"
+}); //// define.
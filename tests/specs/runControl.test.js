@@ -0,0 +1,184 @@
+define(['creatartis-base', 'sermat', 'inveniemus'], function (base, Sermat, inveniemus) {
+	var Future = base.Future,
+		Randomness = base.Randomness,
+		Metaheuristic = inveniemus.Metaheuristic,
+		GeneticAlgorithm = inveniemus.metaheuristics.GeneticAlgorithm,
+		SimulatedAnnealing = inveniemus.metaheuristics.SimulatedAnnealing,
+		testbeds = inveniemus.problems.testbeds;
+
+	function geneticAlgorithm() {
+		return new GeneticAlgorithm({ logger: null, size: 10, steps: 10,
+			problem: testbeds.sumOptimization(5, -Infinity) });
+	}
+
+	/** A minimal abort signal, like the ones of `AbortController`.
+	*/
+	function abortSignal() {
+		var listeners = [];
+		return {
+			aborted: false,
+			listeners: listeners,
+			addEventListener: function (type, listener) {
+				listeners.push(listener);
+			},
+			removeEventListener: function (type, listener) {
+				listeners.splice(listeners.indexOf(listener), 1);
+			},
+			abort: function () {
+				this.aborted = true;
+				listeners.slice().forEach(function (listener) {
+					listener();
+				});
+			}
+		};
+	}
+
+	describe("Run control", function () {
+		it("abort", function (done) { //////////////////////////////////////////////////////////////
+			var mh = geneticAlgorithm(),
+				finishedBy = null;
+			mh.events.on('advanced', function () {
+				if (mh.step === 2) {
+					mh.abort();
+				}
+			});
+			mh.events.on('finished', function (mh, criterion) {
+				finishedBy = criterion;
+			});
+			mh.run().then(function (best) {
+				expect(mh.step).toBe(2);
+				expect(mh.aborted).toBe(true);
+				expect(best).toBe(mh.state[0]);
+				expect(mh.terminatedBy).toBe(Metaheuristic.abortion);
+				expect(finishedBy).toBe(Metaheuristic.abortion);
+				var signal = abortSignal();
+				mh = geneticAlgorithm();
+				mh.events.on('advanced', function () {
+					if (mh.step === 4) {
+						signal.abort();
+					}
+				});
+				return mh.run(signal).then(function (best) {
+					expect(mh.step).toBe(4);
+					expect(best).toBe(mh.state[0]);
+					expect(signal.listeners.length).toBe(0);
+					mh = geneticAlgorithm();
+					return mh.run(signal); // Already aborted.
+				});
+			}).then(function (best) {
+				expect(mh.step).toBe(-1);
+				expect(best).toBeUndefined();
+				done();
+			}, function (error) {
+				done.fail(error);
+			});
+		}); // it "abort"
+
+		it("abort with the best so far", function (done) { /////////////////////////////////////////
+			var problem = testbeds.sumOptimization(5, -Infinity),
+				mh = new SimulatedAnnealing({ logger: null, steps: 50, size: 1, problem: problem,
+					delta: 0.3, random: new Randomness.MersenneTwister(7),
+					temperature: function temperature() { // Accepts almost any neighbour.
+						return 1e6;
+					}
+				});
+			problem.random = mh.random;
+			mh.events.on('advanced', function () {
+				if (mh.step === 20) {
+					mh.abort();
+				}
+			});
+			mh.run().then(function (best) {
+				var archived = mh.hallOfFame.best();
+				expect(mh.step).toBe(20);
+				expect(mh.terminatedBy).toBe(Metaheuristic.abortion);
+				// The aborted state has lost the best element found.
+				expect(problem.compare(mh.state[0], archived)).toBeLessThan(0);
+				expect(best).toBe(archived);
+				done();
+			}, function (error) {
+				done.fail(error);
+			});
+		}); // it "abort with the best so far"
+
+		it("pause and resume", function (done) { ///////////////////////////////////////////////////
+			var mh = geneticAlgorithm(),
+				run;
+			mh.events.on('advanced', function () {
+				if (mh.step === 1) {
+					mh.pause();
+				}
+			});
+			run = mh.run();
+			Future.delay(50).then(function () {
+				expect(mh.paused).toBe(true);
+				expect(mh.step).toBe(1);
+				expect(run.isPending()).toBe(true);
+				mh.resume();
+				return run;
+			}).then(function (best) {
+				expect(mh.paused).toBe(false);
+				expect(mh.step).toBe(10);
+				expect(mh.terminatedBy.name).toBe('steps');
+				mh.reset();
+				mh.pause();
+				run = mh.run();
+				return Future.delay(20);
+			}).then(function () {
+				expect(mh.step).toBe(-1);
+				mh.abort(); // Aborting resumes paused runs.
+				return run;
+			}).then(function () {
+				expect(mh.step).toBe(-1);
+				expect(mh.terminatedBy).toBe(Metaheuristic.abortion);
+				done();
+			}, function (error) {
+				done.fail(error);
+			});
+		}); // it "pause and resume"
+
+		it("iterate", function (done) { ////////////////////////////////////////////////////////////
+			var mh = geneticAlgorithm(),
+				iterator = mh.iterate(),
+				steps = [],
+				finished = false;
+			mh.events.on('finished', function () {
+				finished = true;
+			});
+			if (typeof Symbol === 'function' && Symbol.asyncIterator) {
+				expect(iterator[Symbol.asyncIterator]()).toBe(iterator);
+			}
+			Future.doWhile(function () {
+				return iterator.next().then(function (result) {
+					if (!result.done) {
+						steps.push(result.value.step);
+						expect(result.value.best).toBe(mh.state[0]);
+						expect(result.value.state).toEqual(mh.state);
+						expect(result.value.state).not.toBe(mh.state);
+					}
+					return !result.done;
+				});
+			}).then(function () {
+				expect(steps).toEqual([0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10]);
+				expect(finished).toBe(true);
+				return iterator.next();
+			}).then(function (result) {
+				expect(result.done).toBe(true);
+				mh = geneticAlgorithm();
+				iterator = mh.iterate();
+				return iterator.next();
+			}).then(function (result) {
+				expect(result.value.step).toBe(0);
+				mh.abort();
+				return iterator.next();
+			}).then(function (result) {
+				expect(result.done).toBe(true);
+				expect(mh.step).toBe(0);
+				expect(mh.terminatedBy).toBe(Metaheuristic.abortion);
+				done();
+			}, function (error) {
+				done.fail(error);
+			});
+		}); // it "iterate"
+	}); // describe "Run control"
+}); //// define.
@@ -0,0 +1,123 @@
+define(['creatartis-base', 'sermat', 'inveniemus'], function (base, Sermat, inveniemus) {
+	var iterable = base.iterable,
+		Problem = inveniemus.Problem,
+		Metaheuristic = inveniemus.Metaheuristic,
+		problems = inveniemus.problems,
+		elements = inveniemus.elements,
+		utilities = inveniemus.utilities,
+		GeneticAlgorithm = inveniemus.metaheuristics.GeneticAlgorithm;
+
+	/** Checks that the materialization of the serialization of `obj` has the same type and the
+	same serialization.
+	*/
+	function expectRoundTrip(obj) {
+		var text = Sermat.ser(obj),
+			copy = Sermat.mat(text);
+		expect(copy).not.toBe(obj);
+		expect(copy.constructor).toBe(obj.constructor);
+		expect(Sermat.ser(copy)).toBe(text);
+		return copy;
+	}
+
+	/** Test-only constraints, registered so the problems using them can be serialized.
+	*/
+	var CONSTRAINTS = {
+		/** The first value of the element must be even.
+		*/
+		evenFirst: function evenFirst(element) {
+			return element.values()[0] % 2;
+		}
+	};
+	utilities.registerOperators('tests.serialization', CONSTRAINTS);
+
+	var PROBLEMS = [
+		new Problem({ title: "Constrained permutations", Element: elements.PermutationElement,
+			elementModel: [5, 5, 5, 5, 5].map(function (n) { // Without repeated references.
+				return { n: n };
+			}),
+			constraints: [{ name: 'even', type: 'equality', fn: CONSTRAINTS.evenFirst }],
+			constraintHandling: Problem.constraintHandlings.staticPenalty(50) }),
+		new problems.HelloWorld({ target: "Hi!" }),
+		new problems.NQueensPuzzle({ N: 5 }),
+		new problems.KnapsackProblem({ limit: 10, amount: 2 }),
+		new problems.AssociationRuleLearning({ keys: [0, 1, 2],
+			dataset: [[1, 0, 1], [0, 1, 1], [1, 1, 0]] }),
+		new problems.ExpressionProblem({ maxSize: 30, maxDepth: 4,
+			primitives: problems.SymbolicRegression.arithmeticPrimitives(['x'], [1, 2]) }),
+		new problems.SymbolicRegression({ variables: ['x'], constants: [1, 3], maxSize: 20,
+			data: [[1, 0], [2, 1], [5, 2]] }),
+		new problems.BooleanFormulaInference({ target: function (x, y) { return x && !y; } }),
+		problems.testbeds.Rosenbrock(3),
+		problems.testbeds.sumOptimization(4, Math.PI)
+	];
+
+	describe("Serialization", function () { ///////////////////////////////////////////////////////
+		it("problems", function () { ///////////////////////////////////////////////////////////////
+			PROBLEMS.forEach(function (problem) {
+				var copy = expectRoundTrip(problem),
+					element = new problem.Element(),
+					copiedElement = new copy.Element(element.values());
+				expect(copiedElement instanceof Object.getPrototypeOf(problem.Element.prototype)
+					.constructor).toBe(true);
+				expect(copy.evaluation(copiedElement)).toEqual(problem.evaluation(element));
+				expect(copy.mapping(copiedElement)).toEqual(problem.mapping(element));
+			});
+			var copy = Sermat.sermat(PROBLEMS[0]),
+				element = new copy.Element([1, 0, 2, 3, 4]);
+			expect(copy.constraints[0].fn).toBe(CONSTRAINTS.evenFirst);
+			expect(copy.violations(element)).toEqual(PROBLEMS[0].violations(element));
+			expect(copy.violations(element)[0]).toBeCloseTo(1, 3);
+			expect(copy.violations(new copy.Element([2, 0, 1, 3, 4]))).toEqual([0]);
+			expect(utilities.operatorReference(copy.constraintHandling))
+				.toEqual(['Problem.constraintHandlings.staticPenalty', 50]);
+			expect(function () {
+				Sermat.ser(new problems.TestBed({ evaluation: function () { return 0; } }));
+			}).toThrow();
+		}); // it "problems"
+
+		it("metaheuristics", function () { /////////////////////////////////////////////////////////
+			iterable(inveniemus.metaheuristics).filterApply(function (name, mh) {
+				return typeof mh === 'function' && mh.prototype instanceof Metaheuristic;
+			}).forEachApply(function (name, metaheuristic) {
+				PROBLEMS.slice(1, 4).forEach(function (problem) {
+					var mh = new metaheuristic({ problem: problem, size: 7, steps: 13 }),
+						copy = expectRoundTrip(mh);
+					expect(copy.size).toBe(7);
+					expect(copy.steps).toBe(13);
+					expect(copy.problem.constructor).toBe(problem.constructor);
+				});
+			});
+		}); // it "metaheuristics"
+
+		it("user types", function () { /////////////////////////////////////////////////////////////
+			var Unregistered = base.declare(problems.HelloWorld, {
+					constructor: function Unregistered(params) {
+						problems.HelloWorld.call(this, params);
+					}
+				}),
+				Greeting = base.declare(problems.HelloWorld, {
+					constructor: function Greeting(params) {
+						problems.HelloWorld.call(this, params);
+					}
+				}),
+				MyAlgorithm = base.declare(GeneticAlgorithm, {
+					constructor: function MyAlgorithm(params) {
+						GeneticAlgorithm.call(this, params);
+					}
+				});
+			expect(Sermat.sermat(new Unregistered()).constructor).not.toBe(Unregistered);
+			expect(utilities.registerType(Greeting)).toBe(Greeting);
+			utilities.registerType(MyAlgorithm, { identifier: 'test.MyAlgorithm' });
+			expect(inveniemus.__SERMAT__.include).toContain(Greeting);
+			var mh = new MyAlgorithm({ problem: new Greeting({ target: "Hey" }), size: 6,
+					mutation: GeneticAlgorithm.mutations.uniformMutation(2) }),
+				copy = expectRoundTrip(mh);
+			expect(Sermat.ser(mh)).toMatch(/^test\.MyAlgorithm\(/);
+			expect(copy.problem.constructor).toBe(Greeting);
+			expect(copy.problem.target).toBe("Hey");
+			expect(utilities.operatorReference(copy.mutation))
+				.toEqual(['GeneticAlgorithm.mutations.uniformMutation', 2]);
+			expect(Metaheuristic.restore(mh.checkpoint()).constructor).toBe(MyAlgorithm);
+		}); // it "user types"
+	}); // describe "Serialization"
+}); //// define.
@@ -0,0 +1,88 @@
+define(['creatartis-base', 'sermat', 'inveniemus'], function (base, Sermat, inveniemus) {
+	var Randomness = base.Randomness,
+		Problem = inveniemus.Problem,
+		Metaheuristic = inveniemus.Metaheuristic,
+		GeneticAlgorithm = inveniemus.metaheuristics.GeneticAlgorithm,
+		SPEA2 = inveniemus.metaheuristics.SPEA2,
+		testbeds = inveniemus.problems.testbeds;
+
+	/** The average of `g` in ZDT functions, which is 1 for all elements in the Pareto front.
+	*/
+	function averageG(elements) {
+		return base.iterable(elements).map(function (element) {
+			var values = element.values();
+			return 1 + base.iterable(values).tail().sum() / (values.length - 1) * 9;
+		}).sum() / elements.length;
+	}
+
+	describe("SPEA2", function () {
+		it("fitness and truncation", function () { /////////////////////////////////////////////////
+			var problem = new Problem({ objectives: [-Infinity, -Infinity] }),
+				mh = new SPEA2({ problem: problem, size: 4 });
+			function buildElems(elems) {
+				return elems.map(function (v) {
+					return new problem.Element(null, v);
+				});
+			}
+			var elems = buildElems([[4,4], [1,3], [3,3], [2,2], [3,1], [4,0], [1,4]]);
+			mh.strengthParetoFitness(elems);
+			expect(elems.map(function (elem) {
+				return elem.pareto.rawFitness;
+			})).toEqual([10, 0, 7, 0, 0, 0, 3]);
+			elems.forEach(function (elem) {
+				expect(elem.pareto.density).toBeGreaterThan(0);
+				expect(elem.pareto.density).toBeLessThan(1);
+				expect(elem.pareto.fitness < 1).toBe(elem.pareto.rawFitness === 0);
+			});
+			mh.state = mh.sort(elems.slice());
+			mh.sieve();
+			expect(mh.state.length).toBe(4);
+			expect(mh.state.map(function (elem) {
+				return elems.indexOf(elem);
+			}).sort()).toEqual([1, 3, 4, 5]);
+			mh.state = mh.sort(elems.slice());
+			mh.sieve(6); // Completed with the best dominated elements.
+			expect(mh.state.indexOf(elems[0])).toBe(-1);
+			elems = buildElems([[0,4], [1,3], [1.2,2.8], [3,1], [4,0]]);
+			expect(mh.truncation(elems, 4)).toEqual([elems[0], elems[2], elems[3], elems[4]]);
+			expect(mh.truncation(elems, 5)).toEqual(elems);
+		}); // it "fitness and truncation"
+
+		['ZDT1', 'ZDT2', 'ZDT3'].forEach(function (name) {
+			it("on "+ name, function (done) { //////////////////////////////////////////////////////
+				var random = new Randomness.MersenneTwister(31),
+					problem = testbeds[name](5),
+					mh = new SPEA2({ logger: null, size: 20, archiveSize: 10, steps: 20,
+						problem: problem, random: random }),
+					initialG;
+				problem.random = random;
+				expect(mh.expansionRate).toBe(1);
+				expect(mh.selection).toBe(GeneticAlgorithm.selections.tournamentSelection);
+				mh.events.on('initiated', function () {
+					initialG = averageG(mh.state);
+				});
+				mh.run().then(function () {
+					expect(mh.state.length).toBe(10);
+					for (var i = 1; i < mh.state.length; i++) {
+						expect(mh.state[i].pareto.fitness)
+							.not.toBeLessThan(mh.state[i - 1].pareto.fitness);
+					}
+					mh.state.forEach(function (element) { // The archive is full of non-dominated.
+						expect(element.pareto.fitness).toBeLessThan(1);
+						mh.state.forEach(function (other) {
+							expect(mh.problem.compare(other, element).domination > 0).toBe(false);
+						});
+					});
+					expect(averageG(mh.state)).toBeLessThan(initialG);
+					var copy = Metaheuristic.restore(mh.checkpoint());
+					expect(copy.constructor).toBe(SPEA2);
+					expect(copy.archiveSize).toBe(10);
+					expect(copy.state.length).toBe(10);
+					done();
+				}, function (error) {
+					done.fail(error);
+				});
+			}); // it "on ZDTx"
+		});
+	}); // describe "SPEA2"
+}); //// define.
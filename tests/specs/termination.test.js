@@ -0,0 +1,133 @@
+define(['creatartis-base', 'sermat', 'inveniemus'], function (base, Sermat, inveniemus) {
+	var Termination = inveniemus.Termination,
+		Problem = inveniemus.Problem,
+		metaheuristics = inveniemus.metaheuristics,
+		testbeds = inveniemus.problems.testbeds;
+
+	function finishedBy(mh) {
+		var result = {};
+		mh.events.on('finished', function (mh, criterion) {
+			result.criterion = criterion;
+		});
+		return mh.run().then(function () {
+			return result.criterion;
+		});
+	}
+
+	describe("Termination", function () {
+		it("default criteria", function (done) { ///////////////////////////////////////////////////
+			var mh = new metaheuristics.GeneticAlgorithm({ logger: null, size: 10, steps: 5,
+				problem: testbeds.sumOptimization(5, -Infinity) });
+			finishedBy(mh).then(function (criterion) {
+				expect(mh.step).toBe(5);
+				expect(criterion.name).toBe('steps');
+				expect(mh.terminatedBy).toBe(criterion);
+				done();
+			});
+		}); // it "default criteria"
+
+		it("evaluations and time", function (done) { ///////////////////////////////////////////////
+			var problem = testbeds.sumOptimization(5, -Infinity),
+				mh = new metaheuristics.GeneticAlgorithm({ logger: null, size: 10, steps: 1000,
+					problem: problem,
+					termination: Termination.evaluations(50).or(Termination.time(60000))
+				}),
+				evaluationCount = problem.evaluationCount;
+			finishedBy(mh).then(function (criterion) {
+				expect(criterion.name).toBe('evaluations');
+				expect(problem.evaluationCount - evaluationCount).not.toBeLessThan(50);
+				expect(mh.step).toBeLessThan(10);
+				mh.termination = Termination.time(0).or(Termination.evaluations(50));
+				mh.reset();
+				return finishedBy(mh);
+			}).then(function (criterion) {
+				expect(criterion.name).toBe('time');
+				expect(mh.step).toBe(0);
+				done();
+			});
+		}); // it "evaluations and time"
+
+		it("stagnation, target and diversity", function (done) { ///////////////////////////////////
+			var problem = testbeds.sumOptimization(5, -Infinity),
+				mh = new inveniemus.Metaheuristic({ logger: null, size: 5, steps: 1000,
+					problem: new Problem({ elementModel: [{ n: 1 }] }), // All evaluations are 0.
+					termination: Termination.stagnation(3) });
+			finishedBy(mh).then(function (criterion) {
+				expect(criterion.name).toBe('stagnation');
+				expect(mh.step).toBe(3);
+				mh = new metaheuristics.HillClimbing({ logger: null, steps: 1000, problem: problem,
+					termination: Termination.target(0, 1e-3) });
+				return finishedBy(mh);
+			}).then(function (criterion) {
+				expect(criterion.name).toBe('target');
+				expect(mh.state[0].evaluation[0]).not.toBeGreaterThan(1e-3);
+				var elems = [new problem.Element(), new problem.Element()];
+				expect(Termination.diversityOf(elems)).toBeGreaterThan(0);
+				expect(Termination.diversityOf([elems[0], elems[0]])).toBe(0);
+				mh = new metaheuristics.GeneticAlgorithm({ logger: null, size: 20, steps: 1000,
+					problem: problem,
+					termination: Termination.diversity(Infinity) });
+				return finishedBy(mh);
+			}).then(function (criterion) {
+				expect(criterion.name).toBe('diversity');
+				expect(mh.step).toBe(0);
+				done();
+			});
+		}); // it "stagnation, target and diversity"
+
+		it("stagnation with multiple objectives", function (done) { ////////////////////////////////
+			var problem = new Problem({ objectives: [-Infinity, -Infinity],
+					elementModel: [{ n: 10 }, { n: 10 }] }),
+				evaluationCount = 0,
+				mh = new metaheuristics.GeneticAlgorithm({ logger: null, size: 10, steps: 10,
+					problem: problem,
+					termination: Termination.steps().or(Termination.stagnation(3)) });
+			// Every element dominates all the ones evaluated before it.
+			problem.evaluation = function evaluation(element) {
+				evaluationCount++;
+				return [-evaluationCount, -evaluationCount];
+			};
+			finishedBy(mh).then(function (criterion) {
+				expect(criterion.name).toBe('steps');
+				expect(mh.step).toBe(10);
+				problem.evaluation = function evaluation(element) {
+					return [0, 0];
+				};
+				mh.reset();
+				return finishedBy(mh);
+			}).then(function (criterion) {
+				expect(criterion.name).toBe('stagnation');
+				expect(mh.step).toBe(3);
+				done();
+			});
+		}); // it "stagnation with multiple objectives"
+
+		it("combinations", function (done) { ///////////////////////////////////////////////////////
+			var problem = testbeds.sumOptimization(5, -Infinity),
+				atStep3 = Termination.predicate(function (mh) {
+					return mh.step >= 3;
+				}, 'atStep3'),
+				always = Termination.predicate(function (mh) {
+					return true;
+				}),
+				never = new Termination(),
+				mh = new metaheuristics.GeneticAlgorithm({ logger: null, size: 10, steps: 10,
+					problem: problem,
+					termination: Termination.steps().or(atStep3.and(always))
+				});
+			expect(never.check(mh)).toBe(null);
+			expect(always.or(never).check(mh)).toBe(always);
+			expect(never.or(always).check(mh)).toBe(always);
+			expect(always.and(never).check(mh)).toBe(null);
+			finishedBy(mh).then(function (criterion) {
+				expect(mh.step).toBe(3);
+				expect(criterion.name).toBe('(atStep3 and predicate)');
+				mh = new metaheuristics.HillClimbing({ logger: null, steps: 1000, problem: problem });
+				return finishedBy(mh);
+			}).then(function (criterion) {
+				expect(criterion).toBe(metaheuristics.HillClimbing.localOptima);
+				done();
+			});
+		}); // it "combinations"
+	}); // describe "Termination"
+}); //// define.
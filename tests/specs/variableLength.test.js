@@ -0,0 +1,83 @@
+define(['creatartis-base', 'sermat', 'inveniemus'], function (base, Sermat, inveniemus) {
+	var declare = base.declare,
+		Problem = inveniemus.Problem,
+		VariableLengthElement = inveniemus.elements.VariableLengthElement,
+		GeneticAlgorithm = inveniemus.metaheuristics.GeneticAlgorithm,
+		Metaheuristic = inveniemus.Metaheuristic;
+
+	function expectLength(elem, min, max) {
+		var values = elem.values();
+		expect(values.length).not.toBeLessThan(min);
+		expect(values.length).not.toBeGreaterThan(max);
+		values.forEach(function (value) {
+			expect(value % 1).toBe(0);
+			expect(value).not.toBeLessThan(0);
+			expect(value).toBeLessThan(5);
+		});
+	}
+
+	describe("VariableLengthElement", function () {
+		var problem = new Problem({
+				Element: declare(VariableLengthElement, { minLength: 2 }),
+				elementModel: VariableLengthElement.model({ n: 5 }, 6)
+			});
+
+		it("values", function () { /////////////////////////////////////////////////////////////////
+			var lengths = {};
+			for (var i = 0; i < 60; i++) {
+				var elem = new problem.Element();
+				expect(elem instanceof VariableLengthElement).toBe(true);
+				expectLength(elem, 2, 6);
+				lengths[elem.__values__.length] = true;
+			}
+			expect(Object.keys(lengths).length).toBeGreaterThan(1);
+			expect(new problem.Element([1,2,3]).values()).toEqual([1,2,3]);
+			expect(function () {
+				return new problem.Element([1]);
+			}).toThrow();
+			expect(function () {
+				return new problem.Element([1,2,3,4,0,1,2]);
+			}).toThrow();
+			expect(problem.Element.prototype.checkValues([1,2,3,4,0,1,2], true).length).toBe(6);
+			expect(problem.Element.prototype.checkValues([9], true).length).toBe(2);
+		}); // it "values"
+
+		it("equality", function () { ///////////////////////////////////////////////////////////////
+			var elem = new problem.Element([1,2,3]);
+			expect(elem.equals(new problem.Element([1,2,3]))).toBe(true);
+			expect(elem.equals(new problem.Element([1,2]))).toBe(false);
+			expect(elem.equals(new problem.Element([1,2,3,0]))).toBe(false);
+			expect(elem.equals(new problem.Element([1,2,4]), 1)).toBe(true);
+			var mh = new Metaheuristic({ problem: problem, logger: null });
+			mh.state = [elem, new problem.Element([1,2]), new problem.Element([1,2,3,0]),
+				new problem.Element([1,2,3]), new problem.Element([1,2])];
+			expect(mh.nub()).toBe(3);
+		}); // it "equality"
+
+		it("genetic operators", function () { //////////////////////////////////////////////////////
+			var mh = new GeneticAlgorithm({ problem: problem, logger: null }),
+				elem = new problem.Element([1,2,3]);
+			expect(elem.insertion(1, 4).values()).toEqual([1,4,2,3]);
+			expect(elem.deletion(0).values()).toEqual([2,3]);
+			['singlepointCrossover', 'twopointCrossover', 'uniformCrossover',
+				'cutAndSpliceCrossover'].forEach(function (name) {
+				for (var i = 0; i < 30; i++) {
+					var children = GeneticAlgorithm.crossovers[name].call(mh,
+						[new problem.Element(), new problem.Element()]);
+					expect(children.length).toBe(2);
+					children.forEach(function (child) {
+						expectLength(child, 2, 6);
+					});
+				}
+			});
+			var additions = GeneticAlgorithm.mutations.additionMutation.call(mh, elem),
+				deletions = GeneticAlgorithm.mutations.deletionMutation.call(mh, elem);
+			expect(additions.__values__.length).toBe(4);
+			expect(deletions.__values__.length).toBe(2);
+			expect(GeneticAlgorithm.mutations.deletionMutation.call(mh, deletions)
+				.__values__.length).toBe(2);
+			expect(GeneticAlgorithm.mutations.additionMutation.call(mh,
+				new problem.Element([0,1,2,3,4,0])).__values__.length).toBe(6);
+		}); // it "genetic operators"
+	}); // describe "VariableLengthElement"
+}); //// define.
@@ -0,0 +1,87 @@
+define(['creatartis-base', 'sermat', 'inveniemus'], function (base, Sermat, inveniemus) {
+	var WorkerPool = inveniemus.WorkerPool,
+		Problem = inveniemus.Problem;
+
+	/** Workers are simulated in the same thread, running `WorkerPool.workerMain` with a problem
+	whose evaluations take as many tens of milliseconds as the element's first value.
+	*/
+	var DelayedProblem = base.declare(Problem, {
+			evaluation: function evaluation(element) {
+				var values = element.values();
+				return base.Future.delay(values[0] * 10, values[0] + values[1]);
+			}
+		}),
+		FakeWorkerPool = base.declare(WorkerPool, {
+			__spawn__: function __spawn__() {
+				var pool = this,
+					listener,
+					terminated = false,
+					worker = {
+						task: null,
+						post: function (message) {
+							setTimeout(function () {
+								listener(message);
+							}, 0);
+						},
+						terminate: function () {
+							terminated = true;
+						},
+						ref: function () {},
+						unref: function () {}
+					};
+				WorkerPool.workerMain(new DelayedProblem({ elementModel: [{ n: 10 }, { n: 10 }] }),
+					function (f) {
+						listener = f;
+					}, function (message) {
+						if (!terminated) {
+							pool.__settle__(worker, message);
+						}
+					});
+				this.spawned = (this.spawned |0) + 1;
+				return worker;
+			}
+		});
+
+	describe("WorkerPool", function () {
+		it("ordering and pool size", function (done) { /////////////////////////////////////////////
+			var pool = new FakeWorkerPool({ module: 'fake', size: 2 }),
+				problem = new Problem({
+					elementModel: [{ n: 10 }, { n: 10 }],
+					workerPool: pool
+				}),
+				elements = [[5, 1], [1, 1], [3, 0], [0, 2], [2, 2]].map(function (values) {
+					return new problem.Element(values);
+				});
+			expect(problem.workerPool).toBe(pool);
+			expect(WorkerPool.defaultSize()).not.toBeLessThan(1);
+			problem.evaluate(elements).then(function () {
+				expect(elements.map(function (element) {
+					return element.evaluation[0];
+				})).toEqual([6, 2, 3, 2, 4]);
+				expect(pool.spawned).toBe(2);
+				expect(pool.__workers__.length).toBe(2);
+				done();
+			}, function (error) {
+				done.fail(error);
+			});
+		}); // it "ordering and pool size"
+
+		it("timeouts", function (done) { ///////////////////////////////////////////////////////////
+			var pool = new FakeWorkerPool({ module: 'fake', size: 1, timeout: 40,
+					timeoutEvaluation: -1 });
+			base.Future.all([pool.evaluate([9, 0]), pool.evaluate([1, 1])]).then(function (evals) {
+				expect(evals).toEqual([-1, [2]]);
+				expect(pool.spawned).toBe(2); // The worker that timed out is replaced.
+				var strictPool = new FakeWorkerPool({ module: 'fake', size: 1, timeout: 40 });
+				return strictPool.evaluate([9, 0]).then(function () {
+					done.fail("Evaluation should have timed out!");
+				}, function (error) {
+					expect(error.message).toMatch(/timed out/);
+					done();
+				});
+			}, function (error) {
+				done.fail(error);
+			});
+		}); // it "timeouts"
+	}); // describe "WorkerPool"
+}); //// define.